@@ -0,0 +1,95 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.18;
+
+interface ICallbackToken {
+    function balanceOf(address account) external view returns (uint256);
+    function transfer(address recipient, uint256 amount) external returns (bool);
+    function transferFrom(address sender, address recipient, uint256 amount) external returns (bool);
+}
+
+// Router stand-in for swapBack. It takes the tokens, then calls back into the token while
+// swapBack is still running (inSwap set), records each callback's outcome and pays out a
+// fixed amount of ETH. addLiquidityETH keeps whatever it is sent.
+contract CallbackRouter {
+    struct Callback {
+        address from;
+        address to;
+        uint256 amount;
+    }
+
+    ICallbackToken public immutable token;
+    uint256 public ethPerSwap;
+    Callback[] private callbacks;
+
+    uint256 public swaps;
+    uint256 public liquidityAdds;
+    bool[] public outcomes;
+    bytes[] public errors;
+
+    constructor(address _token) payable {
+        token = ICallbackToken(_token);
+    }
+
+    receive() external payable {}
+
+    function setEthPerSwap(uint256 amount) external {
+        ethPerSwap = amount;
+    }
+
+    // from == address(this): token.transfer from the router's own balance;
+    // anything else: token.transferFrom(from, to, amount) with the router as spender
+    function addCallback(address from, address to, uint256 amount) external {
+        callbacks.push(Callback(from, to, amount));
+    }
+
+    function outcomeCount() external view returns (uint256) {
+        return outcomes.length;
+    }
+
+    function swapExactTokensForETHSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256,
+        address[] calldata,
+        address to,
+        uint256
+    ) external {
+        swaps++;
+        token.transferFrom(msg.sender, address(this), amountIn);
+
+        for (uint256 i = 0; i < callbacks.length; i++) {
+            Callback memory callback = callbacks[i];
+            bool ok;
+            bytes memory reason;
+            if (callback.from == address(this)) {
+                try token.transfer(callback.to, callback.amount) returns (bool result) {
+                    ok = result;
+                } catch (bytes memory error) {
+                    reason = error;
+                }
+            } else {
+                try token.transferFrom(callback.from, callback.to, callback.amount) returns (bool result) {
+                    ok = result;
+                } catch (bytes memory error) {
+                    reason = error;
+                }
+            }
+            outcomes.push(ok);
+            errors.push(reason);
+        }
+
+        (bool sent, ) = payable(to).call{value: ethPerSwap}("");
+        require(sent, "CallbackRouter: ETH payout failed");
+    }
+
+    function addLiquidityETH(
+        address,
+        uint256,
+        uint256,
+        uint256,
+        address,
+        uint256
+    ) external payable returns (uint256, uint256, uint256) {
+        liquidityAdds++;
+        return (0, 0, 0);
+    }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.18;
+
+interface IClearStuckToken {
+    function clearStuckToken(address tokenAddress, uint256 tokens) external returns (bool);
+}
+
+// Token-shaped contract to hand to clearStuckToken: it reports any balance it is told to,
+// and its transfer either returns false or calls clearStuckToken again before returning.
+contract FakeStuckToken {
+    enum Mode { ReturnFalse, Reenter }
+
+    Mode public mode;
+    uint256 public reportedBalance;
+    uint256 public maxDepth;
+
+    uint256 public depth;
+    uint256 public transferCalls;
+    address public lastRecipient;
+
+    function configure(Mode _mode, uint256 _reportedBalance, uint256 _maxDepth) external {
+        mode = _mode;
+        reportedBalance = _reportedBalance;
+        maxDepth = _maxDepth;
+    }
+
+    function balanceOf(address) external view returns (uint256) {
+        return reportedBalance;
+    }
+
+    function transfer(address recipient, uint256) external returns (bool) {
+        transferCalls++;
+        lastRecipient = recipient;
+        if (mode == Mode.ReturnFalse) return false;
+
+        if (depth < maxDepth) {
+            depth++;
+            IClearStuckToken(msg.sender).clearStuckToken(address(this), 0);
+            depth--;
+        }
+        return true;
+    }
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.18;
+
+// Burns feeBps of every transfer, so recipients get less than the amount sent
+contract FeeOnTransferToken {
+    uint256 public immutable feeBps;
+    mapping(address => uint256) public balanceOf;
+
+    constructor(uint256 supply, uint256 _feeBps) {
+        balanceOf[msg.sender] = supply;
+        feeBps = _feeBps;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        require(balanceOf[msg.sender] >= amount, "FeeOnTransferToken: balance");
+        balanceOf[msg.sender] -= amount;
+        balanceOf[to] += amount - (amount * feeBps) / 10000;
+        return true;
+    }
+}
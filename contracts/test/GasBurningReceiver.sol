@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.18;
+
+// Fee receiver that spins until it runs out of gas, so a plain call to it consumes all
+// the gas forwarded to it
+contract GasBurningReceiver {
+    uint256 public spins;
+
+    receive() external payable {
+        while (true) {
+            spins++;
+        }
+    }
+}
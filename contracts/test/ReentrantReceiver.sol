@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.18;
+
+interface IReentryTarget {
+    function transfer(address recipient, uint256 amount) external returns (bool);
+    function manualSend() external;
+}
+
+// Fee receiver that calls back into the token from receive(), i.e. from inside swapBack's
+// .call{value:}. It re-enters once per arming and records how the nested call went.
+contract ReentrantReceiver {
+    enum Mode { None, Transfer, ManualSend }
+
+    IReentryTarget public immutable token;
+    Mode public mode;
+    address public recipient;
+    uint256 public amount;
+
+    bool public armed;
+    uint256 public reentries;
+    bool public lastSuccess;
+    bytes public lastError;
+
+    constructor(address _token) {
+        token = IReentryTarget(_token);
+    }
+
+    function arm(Mode _mode, address _recipient, uint256 _amount) external {
+        mode = _mode;
+        recipient = _recipient;
+        amount = _amount;
+        armed = true;
+    }
+
+    receive() external payable {
+        if (!armed || mode == Mode.None) return;
+        armed = false;
+        reentries++;
+
+        if (mode == Mode.Transfer) {
+            try token.transfer(recipient, amount) returns (bool ok) {
+                lastSuccess = ok;
+            } catch (bytes memory reason) {
+                lastSuccess = false;
+                lastError = reason;
+            }
+        } else {
+            try token.manualSend() {
+                lastSuccess = true;
+            } catch (bytes memory reason) {
+                lastSuccess = false;
+                lastError = reason;
+            }
+        }
+    }
+}
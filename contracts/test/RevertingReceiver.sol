@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.18;
+
+// Fee receiver that refuses every ETH payment, for setWallets scenarios
+contract RevertingReceiver {
+    receive() external payable {
+        revert("RevertingReceiver: no ETH");
+    }
+}
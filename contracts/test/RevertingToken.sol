@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.18;
+
+// Reports balances normally but every transfer reverts, like a paused or blocklisting token.
+// Balances can only be minted.
+contract RevertingToken {
+    mapping(address => uint256) public balanceOf;
+
+    function mint(address to, uint256 amount) external {
+        balanceOf[to] += amount;
+    }
+
+    function transfer(address, uint256) external pure returns (bool) {
+        revert("RevertingToken: transfers paused");
+    }
+}
@@ -1,6 +1,7 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("hardhat-gas-reporter");
 require("solidity-coverage");
+const path = require("path");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -10,6 +11,12 @@ module.exports = {
       optimizer: {
         enabled: true,
         runs: 200
+      },
+      // scripts/lib/storage.js reads private state by the compiler's storage layout
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"]
+        }
       }
     }
   },
@@ -18,7 +25,11 @@ module.exports = {
       chainId: 31337,
       gas: 12000000,
       blockGasLimit: 12000000,
-      allowUnlimitedContractSize: true
+      allowUnlimitedContractSize: true,
+      // Live fork for fork mode (scripts/lib/fork.js); FORK_BLOCK pins the block
+      ...(process.env.FORK_URL
+        ? { forking: { url: process.env.FORK_URL, ...(process.env.FORK_BLOCK ? { blockNumber: Number(process.env.FORK_BLOCK) } : {}) } }
+        : {})
     },
     localhost: {
       url: "http://127.0.0.1:8545"
@@ -31,6 +42,8 @@ module.exports = {
     coinmarketcap: process.env.COINMARKETCAP_API_KEY
   },
   mocha: {
-    timeout: 40000
+    timeout: 40000,
+    // AUDIT_REPORT=true writes the audit findings report alongside the spec output
+    ...(process.env.AUDIT_REPORT ? { reporter: path.join(__dirname, "test", "reporters", "auditFindings.js") } : {})
   }
 }; 
\ No newline at end of file
@@ -1,53 +1,249 @@
-const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { UNISWAP_V2_ROUTER, deployLocalDex } = require("./lib/dex");
 
-async function main() {
-  console.log("Deploying MOG Token...");
+// Deploys MOG and applies the post-deploy setup described by a config file.
+//
+//   DEPLOY_CONFIG=scripts/deploy.config.example.json npx hardhat run scripts/deploy.js --network localhost
+//
+// DEPLOY_CONFIG points at a JSON file (DEPLOY_CONFIG_JSON takes the JSON inline) and
+// DEPLOY_RECORD overrides where the deployment record is written (default
+// deployments/<network>.json). Without a config only the contract is deployed.
+//
+// Every step is recorded as soon as it completes, so re-running with the same record
+// skips finished steps and resumes at the one that failed.
+
+function loadConfig(env = process.env) {
+  if (env.DEPLOY_CONFIG_JSON) {
+    return JSON.parse(env.DEPLOY_CONFIG_JSON);
+  }
+  if (env.DEPLOY_CONFIG) {
+    return JSON.parse(fs.readFileSync(env.DEPLOY_CONFIG, "utf8"));
+  }
+  return {};
+}
+
+function defaultRecordPath(networkName) {
+  return path.join(__dirname, "..", "deployments", `${networkName}.json`);
+}
+
+function readRecord(recordPath) {
+  if (!fs.existsSync(recordPath)) return null;
+  return JSON.parse(fs.readFileSync(recordPath, "utf8"));
+}
+
+function writeRecord(recordPath, record) {
+  fs.mkdirSync(path.dirname(recordPath), { recursive: true });
+  record.updatedAt = new Date().toISOString();
+  fs.writeFileSync(recordPath, JSON.stringify(record, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2) + "\n");
+}
+
+const tokens = (amount) => ethers.parseUnits(String(amount), 18);
+
+// Ordered setup steps. startTrading() overwrites the buy/sell/transfer multipliers with
+// 1400/800/1000, so setStructure runs after it or the configured structure would be lost.
+// `args` are what gets recorded: a step whose recorded args match is not sent again.
+// `done` additionally checks on-chain state where MOG exposes it.
+const STEPS = [
+  {
+    name: "setParameters",
+    args: ({ parameters: p }) => p && [p.liquidity, p.buyback, p.marketing, p.dev, p.burn, p.denominator],
+    run: (token, args) => token.setParameters(...args)
+  },
+  {
+    name: "setWallets",
+    args: ({ wallets: w }) => w && [w.autoLiquidity, w.marketing, w.dev, w.burn, w.buyback],
+    run: (token, args) => token.setWallets(...args)
+  },
+  {
+    name: "setSwapBackSettings",
+    args: ({ swapBack }) => swapBack && [swapBack.enabled, tokens(swapBack.threshold).toString()],
+    done: async (token, [enabled, threshold]) =>
+      (await token.swapEnabled()) === enabled && (await token.swapThreshold()) === BigInt(threshold),
+    run: (token, args) => token.setSwapBackSettings(...args)
+  },
+  {
+    name: "maxWalletRule",
+    args: ({ maxWalletPercent }) => maxWalletPercent !== undefined && [maxWalletPercent],
+    done: async (token, [percent]) => (await token._maxWalletToken()) === ((await token.totalSupply()) * BigInt(percent)) / 1000n,
+    run: (token, args) => token.maxWalletRule(...args)
+  },
+  {
+    name: "addLiquidity",
+    args: ({ liquidity }) => liquidity && [tokens(liquidity.tokens).toString(), ethers.parseEther(String(liquidity.eth)).toString()],
+    // A pair that already holds tokens has been seeded; adding again would double the pool
+    done: async (token) => (await token.balanceOf(await token.pair())) > 0n,
+    run: async (token, [tokenAmount, ethAmount], { deployer }) => {
+      const router = await ethers.getContractAt("UniswapV2Router02", await token.router());
+      await (await token.approve(await router.getAddress(), tokenAmount)).wait();
+      const latest = await ethers.provider.getBlock("latest");
+      return router.addLiquidityETH(await token.getAddress(), tokenAmount, 0, 0, deployer.address, latest.timestamp + 3600, {
+        value: ethAmount
+      });
+    }
+  },
+  {
+    name: "startTrading",
+    args: ({ startTrading }) => startTrading === true && [],
+    done: async (token) => token.TradingOpen(),
+    run: (token) => token.startTrading()
+  },
+  {
+    name: "setStructure",
+    args: ({ structure: s }) => s && [s.buy, s.sell, s.transfer],
+    run: (token, args) => token.setStructure(...args)
+  }
+];
+
+function sameArgs(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// On the hardhat network or a local hardhat node there is no Uniswap router at the
+// address MOG's constructor calls, so `dex: "local"` plants the stand-in from contracts/dex.
+async function ensureRouter(config, record) {
+  const code = await ethers.provider.getCode(UNISWAP_V2_ROUTER);
+  if (code !== "0x") return;
+
+  if (config.dex !== "local") {
+    throw new Error(`No router at ${UNISWAP_V2_ROUTER} on ${network.name}; set "dex": "local" to deploy the local stand-in`);
+  }
+  const { weth, factory } = await deployLocalDex();
+  record.contracts.WETH = await weth.getAddress();
+  record.contracts.factory = await factory.getAddress();
+}
 
-  // Get the deployer account
+async function onChainConfig(token) {
+  const pair = await ethers.getContractAt("UniswapV2Pair", await token.pair());
+  const [reserve0, reserve1] = await pair.getReserves();
+  return {
+    owner: await token.owner(),
+    totalSupply: await token.totalSupply(),
+    showSupply: await token.showSupply(),
+    totalFee: await token.totalFee(),
+    tradingOpen: await token.TradingOpen(),
+    swapEnabled: await token.swapEnabled(),
+    swapThreshold: await token.swapThreshold(),
+    maxTxAmount: await token._maxTxAmount(),
+    maxWalletToken: await token._maxWalletToken(),
+    pairReserves: [reserve0, reserve1]
+  };
+}
+
+async function runPipeline({ config = {}, recordPath = defaultRecordPath(network.name), log = console.log } = {}) {
+  const [deployer] = await ethers.getSigners();
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+
+  const record = readRecord(recordPath) || { network: network.name, chainId, deployer: deployer.address, contracts: {}, steps: {} };
+  if (record.chainId !== chainId) {
+    throw new Error(`${recordPath} belongs to chain ${record.chainId}, connected to ${chainId}`);
+  }
+
+  let token;
+  const existing = record.contracts.MOG;
+  if (existing && (await ethers.provider.getCode(existing)) !== "0x") {
+    log(`Resuming with MOG at ${existing}`);
+    token = await ethers.getContractAt("MOG", existing);
+  } else {
+    await ensureRouter(config, record);
+    log("Deploying MOG Token...");
+    const MOGToken = await ethers.getContractFactory("MOG");
+    token = await MOGToken.deploy();
+    await token.waitForDeployment();
+
+    record.contracts.MOG = await token.getAddress();
+    record.contracts.router = await token.router();
+    record.contracts.pair = await token.pair();
+    record.steps = { deploy: { status: "done", tx: token.deploymentTransaction().hash } };
+    writeRecord(recordPath, record);
+    log(`MOG Token deployed to ${record.contracts.MOG} (${record.steps.deploy.tx})`);
+  }
+
+  for (const step of STEPS) {
+    const args = step.args(config);
+    if (!args) continue;
+
+    const previous = record.steps[step.name];
+    if (previous && previous.status === "done" && sameArgs(previous.args, args)) {
+      log(`${step.name}: already applied`);
+      continue;
+    }
+    if (step.done && (await step.done(token, args))) {
+      record.steps[step.name] = { status: "done", args, tx: null, note: "already in effect on-chain" };
+      writeRecord(recordPath, record);
+      log(`${step.name}: already in effect on-chain`);
+      continue;
+    }
+
+    try {
+      const tx = await step.run(token, args, { deployer });
+      await tx.wait();
+      record.steps[step.name] = { status: "done", args, tx: tx.hash };
+      log(`${step.name}: ${tx.hash}`);
+    } catch (error) {
+      record.steps[step.name] = { status: "failed", args, error: error.shortMessage || error.message };
+      writeRecord(recordPath, record);
+      throw error;
+    }
+    writeRecord(recordPath, record);
+  }
+
+  record.config = await onChainConfig(token);
+  writeRecord(recordPath, record);
+  return { token, record, recordPath };
+}
+
+async function main() {
   const [deployer] = await ethers.getSigners();
   console.log("Deploying contracts with the account:", deployer.address);
   console.log("Account balance:", (await ethers.provider.getBalance(deployer.address)).toString());
 
-  // Deploy the MOG token
-  const MOGToken = await ethers.getContractFactory("MOG");
-  const mogToken = await MOGToken.deploy();
-  
-  console.log("MOG Token deployed to:", await mogToken.getAddress());
-  console.log("Transaction hash:", mogToken.deploymentTransaction().hash);
+  const { token, record, recordPath } = await runPipeline({
+    config: loadConfig(),
+    recordPath: process.env.DEPLOY_RECORD || defaultRecordPath(network.name)
+  });
 
-  // Wait for deployment to be mined
-  await mogToken.waitForDeployment();
-  
   // Display deployment info
   console.log("\n=== Deployment Summary ===");
-  console.log("Contract Address:", await mogToken.getAddress());
-  console.log("Owner:", await mogToken.owner());
-  console.log("Total Supply:", ethers.formatUnits(await mogToken.totalSupply(), 18));
-  console.log("Name:", await mogToken.name());
-  console.log("Symbol:", await mogToken.symbol());
-  console.log("Decimals:", await mogToken.decimals());
-  console.log("Trading Open:", await mogToken.TradingOpen());
-  
-  // Display initial limits
-  console.log("\n=== Initial Configuration ===");
-  console.log("Max TX Amount:", ethers.formatUnits(await mogToken._maxTxAmount(), 18));
-  console.log("Max Wallet Amount:", ethers.formatUnits(await mogToken._maxWalletToken(), 18));
-  console.log("Total Fee:", await mogToken.totalFee());
-  console.log("Swap Enabled:", await mogToken.swapEnabled());
-  console.log("Swap Threshold:", ethers.formatUnits(await mogToken.swapThreshold(), 18));
+  console.log("Contract Address:", await token.getAddress());
+  console.log("Owner:", record.config.owner);
+  console.log("Total Supply:", ethers.formatUnits(record.config.totalSupply, 18));
+  console.log("Name:", await token.name());
+  console.log("Symbol:", await token.symbol());
+  console.log("Decimals:", await token.decimals());
+  console.log("Trading Open:", record.config.tradingOpen);
+
+  console.log("\n=== Configuration ===");
+  console.log("Max TX Amount:", ethers.formatUnits(record.config.maxTxAmount, 18));
+  console.log("Max Wallet Amount:", ethers.formatUnits(record.config.maxWalletToken, 18));
+  console.log("Total Fee:", record.config.totalFee);
+  console.log("Swap Enabled:", record.config.swapEnabled);
+  console.log("Swap Threshold:", ethers.formatUnits(record.config.swapThreshold, 18));
+  console.log("\nDeployment record written to", recordPath);
 
   console.log("\nDeployment completed successfully!");
-  
+
   // If on a public network, remind about verification
   if (network.name !== "hardhat" && network.name !== "localhost") {
     console.log("\nTo verify the contract, run:");
-    console.log(`npx hardhat verify --network ${network.name} ${await mogToken.getAddress()}`);
+    console.log(`npx hardhat verify --network ${network.name} ${await token.getAddress()}`);
   }
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  }); 
\ No newline at end of file
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  STEPS,
+  loadConfig,
+  defaultRecordPath,
+  readRecord,
+  runPipeline
+};
@@ -0,0 +1,71 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers, network } = require("hardhat");
+const { setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployLocalDex } = require("./lib/dex");
+const { captureSnapshot } = require("./lib/fork");
+
+// Writes the fork snapshot that fork mode loads instead of a live RPC.
+//
+//   FORK_URL=<rpc> FORK_BLOCK=<block> FORK_TOKEN=0xaaee1a9723aadb7afa2810263653a34ba2c21c7a npx hardhat run scripts/fork-snapshot.js
+//   npx hardhat run scripts/fork-snapshot.js
+//
+// With FORK_TOKEN it captures that token from the forked chain; FORK_HOLDERS adds
+// comma-separated addresses whose balances and exemptions should come along, and
+// FORK_SNAPSHOT_OUT sets the output file. Without FORK_TOKEN it deploys a fresh MOG
+// and DEX from LOCAL_DEPLOYER, an address none of the test signers use, and captures
+// that: test/fixtures/synthetic-mog-snapshot.json is produced this way. It is a
+// synthetic fixture, not mainnet state; only a FORK_TOKEN capture covers the real token.
+
+const LOCAL_DEPLOYER = "0x1010101010101010101010101010101010101010";
+const LOCAL_SNAPSHOT = path.join(__dirname, "..", "test", "fixtures", "synthetic-mog-snapshot.json");
+
+async function deployLocalToken() {
+  if (network.name !== "hardhat") {
+    throw new Error(`Set FORK_TOKEN to capture a deployed token; a local deployment can only be captured on the hardhat network`);
+  }
+  await setBalance(LOCAL_DEPLOYER, ethers.parseEther("1000"));
+  const deployer = await ethers.getImpersonatedSigner(LOCAL_DEPLOYER);
+  await deployLocalDex(deployer);
+  const token = await (await ethers.getContractFactory("MOG", deployer)).deploy();
+  await token.waitForDeployment();
+  return token.getAddress();
+}
+
+async function main() {
+  const holders = process.env.FORK_HOLDERS ? process.env.FORK_HOLDERS.split(",").map((address) => address.trim()) : [];
+  let tokenAddress = process.env.FORK_TOKEN;
+  let description;
+  if (tokenAddress) {
+    description = `MOG at ${tokenAddress} captured from ${process.env.FORK_URL ? "a fork" : network.name}`;
+  } else {
+    tokenAddress = await deployLocalToken();
+    description = `Synthetic, not mainnet: fresh MOG deployed by ${LOCAL_DEPLOYER} on the local DEX stand-in, before startTrading`;
+  }
+
+  const snapshot = await captureSnapshot(tokenAddress, { holders, description });
+  const out =
+    process.env.FORK_SNAPSHOT_OUT ||
+    (process.env.FORK_TOKEN ? path.join("fork-snapshots", `${tokenAddress}-${snapshot.blockNumber}.json`) : LOCAL_SNAPSHOT);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, JSON.stringify(snapshot, null, 2) + "\n");
+
+  const slots = Object.values(snapshot.accounts).reduce((sum, account) => sum + Object.keys(account.storage).length, 0);
+  console.log(`${description}`);
+  console.log(`Block ${snapshot.blockNumber}, owner ${snapshot.owner}`);
+  console.log(`${Object.keys(snapshot.accounts).length} accounts, ${slots} storage slots written to ${out}`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  LOCAL_DEPLOYER,
+  deployLocalToken
+};
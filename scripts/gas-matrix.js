@@ -0,0 +1,195 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMOGWithLiquidityFixture, deployMOGWithThinLiquidityFixture } = require("./lib/fixtures");
+const { revertReason } = require("./lib/errors");
+
+// Measures the gas a transfer, buy or sell costs across fee configurations, structures,
+// exemption status and swapBack trigger paths, and prints the result as a markdown table
+// with the worst case per path.
+//
+//   npx hardhat run scripts/gas-matrix.js
+//   GAS_MATRIX_OUT=reports npx hardhat run scripts/gas-matrix.js
+//
+// GAS_MATRIX_OUT names a directory to write gas-matrix.csv and gas-matrix.md into.
+//
+// swapBack only runs when the contract holds swapThreshold and msg.sender is not the
+// pair, so a buy never pays for it and the sell or transfer that crosses the threshold
+// pays for everyone's fees. addLiquidityETH is only added on top in a thin pool.
+
+const tokens = (amount) => ethers.parseUnits(amount, 18);
+
+const SWAP_THRESHOLD = tokens("1000");
+const TRADER_BALANCE = tokens("1000000");
+const TRADE = { transfer: tokens("1000"), buy: ethers.parseEther("0.1"), sell: tokens("1000") };
+
+const DEFAULT_MATRIX = {
+  // setParameters(liquidity, buyback, marketing, dev, burn, denominator)
+  fees: [
+    { name: "default", parameters: [2, 0, 0, 0, 2, 100] },
+    { name: "no burn", parameters: [4, 0, 0, 0, 0, 100] },
+    { name: "all receivers", parameters: [2, 1, 1, 1, 1, 100] },
+    { name: "marketing only", parameters: [0, 0, 4, 0, 0, 100] }
+  ],
+  // setStructure(buy, sell, transfer)
+  structures: [
+    { name: "launch", percents: [1400, 800, 1000] },
+    { name: "reduced", percents: [100, 100, 100] },
+    { name: "zero", percents: [0, 0, 0] }
+  ],
+  paths: ["transfer", "buy", "sell"],
+  // the owner is the only fee-exempt account MOG has
+  senders: ["exempt", "taxed"],
+  swapStates: ["below threshold", "swapBack", "swapBack + liquify"]
+};
+
+// Trading open, limits removed and the trader funded. The contract and DEAD already hold
+// a token so a measurement is not inflated by their first balance write.
+async function preparePool(fixture) {
+  const { mogToken, owner, addr1 } = fixture;
+  await mogToken.startTrading();
+  await mogToken.removeLimits();
+  await mogToken.transfer(addr1.address, TRADER_BALANCE);
+  await mogToken.transfer(await mogToken.getAddress(), tokens("1"));
+  await mogToken.transfer("0x000000000000000000000000000000000000dEaD", tokens("1"));
+  return { ...fixture, trader: { exempt: owner, taxed: addr1 } };
+}
+
+async function deepPoolFixture() {
+  return preparePool(await deployMOGWithLiquidityFixture());
+}
+
+async function thinPoolFixture() {
+  return preparePool(await deployMOGWithThinLiquidityFixture());
+}
+
+async function measureCell({ fees, structure, path: tradePath, sender, swapState }) {
+  const fixture = await loadFixture(swapState === "swapBack + liquify" ? thinPoolFixture : deepPoolFixture);
+  const { mogToken, dex, addr2 } = fixture;
+  const trader = fixture.trader[sender];
+  const tokenAddress = await mogToken.getAddress();
+
+  await mogToken.setParameters(...fees.parameters);
+  await mogToken.setStructure(...structure.percents);
+  if (swapState !== "below threshold") {
+    await mogToken.setSwapBackSettings(true, SWAP_THRESHOLD);
+    await mogToken.transfer(tokenAddress, SWAP_THRESHOLD);
+  }
+
+  const cell = { fees: fees.name, structure: structure.name, path: tradePath, sender, swapState };
+  let receipt;
+  try {
+    let tx;
+    if (tradePath === "transfer") tx = await mogToken.connect(trader).transfer(addr2.address, TRADE.transfer);
+    else if (tradePath === "buy") tx = await dex.buy(trader, TRADE.buy);
+    else tx = await dex.sell(trader, TRADE.sell);
+    receipt = await tx.wait();
+  } catch (error) {
+    return { ...cell, gas: null, swapBackRan: false, liquified: false, reverted: revertReason(error) };
+  }
+
+  const pairAddress = await mogToken.pair();
+  const parsed = receipt.logs
+    .filter((log) => log.address === tokenAddress)
+    .map((log) => mogToken.interface.parseLog(log));
+  return {
+    ...cell,
+    gas: receipt.gasUsed,
+    swapBackRan: parsed.some((event) => event.name === "Transfer" && event.args.from === tokenAddress && event.args.to === pairAddress),
+    liquified: parsed.some((event) => event.name === "AutoLiquify"),
+    reverted: null
+  };
+}
+
+async function runGasMatrix({ log = () => {}, ...overrides } = {}) {
+  const matrix = { ...DEFAULT_MATRIX, ...overrides };
+  const rows = [];
+  for (const fees of matrix.fees) {
+    for (const structure of matrix.structures) {
+      for (const tradePath of matrix.paths) {
+        for (const sender of matrix.senders) {
+          for (const swapState of matrix.swapStates) {
+            const row = await measureCell({ fees, structure, path: tradePath, sender, swapState });
+            rows.push(row);
+            log(`${fees.name} / ${structure.name} / ${tradePath} / ${sender} / ${swapState}: ${row.gas ?? row.reverted}`);
+          }
+        }
+      }
+    }
+  }
+  return rows;
+}
+
+// Most expensive successful measurement per path among the taxed rows, i.e. what a
+// regular holder can be charged
+function worstCaseByPath(rows) {
+  const worst = {};
+  for (const row of rows) {
+    if (row.sender !== "taxed" || row.gas === null) continue;
+    if (!worst[row.path] || row.gas > worst[row.path].gas) worst[row.path] = row;
+  }
+  return worst;
+}
+
+const COLUMNS = ["fees", "structure", "path", "sender", "swapState", "gas", "swapBackRan", "liquified", "reverted"];
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  return [COLUMNS.join(","), ...rows.map((row) => COLUMNS.map((column) => csvField(row[column])).join(","))].join("\n") + "\n";
+}
+
+function toMarkdown(rows) {
+  const yes = (flag) => (flag ? "yes" : "");
+  const lines = [
+    "| fees | structure | path | sender | swap state | gas | swapBack | liquify |",
+    "| --- | --- | --- | --- | --- | ---: | :---: | :---: |"
+  ];
+  for (const row of rows) {
+    const gas = row.gas === null ? `reverted: ${row.reverted}` : String(row.gas);
+    lines.push(
+      `| ${row.fees} | ${row.structure} | ${row.path} | ${row.sender} | ${row.swapState} | ${gas} | ${yes(row.swapBackRan)} | ${yes(row.liquified)} |`
+    );
+  }
+
+  lines.push("", "Worst case per path (taxed sender):", "", "| path | gas | fees | structure | swap state |", "| --- | ---: | --- | --- | --- |");
+  for (const [tradePath, row] of Object.entries(worstCaseByPath(rows))) {
+    lines.push(`| ${tradePath} | ${row.gas} | ${row.fees} | ${row.structure} | ${row.swapState} |`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+async function main() {
+  const rows = await runGasMatrix({ log: (line) => console.error(line) });
+  const markdown = toMarkdown(rows);
+  console.log(markdown);
+
+  const outDir = process.env.GAS_MATRIX_OUT;
+  if (outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, "gas-matrix.csv"), toCsv(rows));
+    fs.writeFileSync(path.join(outDir, "gas-matrix.md"), markdown);
+    console.log(`Wrote gas-matrix.csv and gas-matrix.md to ${outDir}`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  DEFAULT_MATRIX,
+  runGasMatrix,
+  worstCaseByPath,
+  toCsv,
+  toMarkdown
+};
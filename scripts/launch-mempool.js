@@ -0,0 +1,224 @@
+const { ethers } = require("hardhat");
+const { loadFixture, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMOGWithLiquidityFixture } = require("./lib/fixtures");
+const { failureReason, explainPairTransfer } = require("./lib/errors");
+const { mineInOrder } = require("./lib/mempool");
+const { parseCalls, formatCall } = require("./lib/calls");
+const { formatTokens, formatEth, formatBps } = require("./lib/format");
+
+// Simulates a launch block: owner calls and buys from named actors sit in the mempool
+// together and are mined in one block in the order listed. Reports what every
+// transaction paid in buy fees and received, to see how snipers fare around
+// startTrading(), reduceFee() and removeLimits().
+//
+//   npx hardhat run scripts/launch-mempool.js
+//   MEMPOOL_BLOCK="buy(@sniper, 2); startTrading(); buy(@buyer, 1)" npx hardhat run scripts/launch-mempool.js
+//   MEMPOOL_SETUP="startTrading()" MEMPOOL_BLOCK="reduceFee(); buy(@sniper, 2)" npx hardhat run scripts/launch-mempool.js
+//
+// A block is a list of calls in sellability's format: owner functions by name, and
+// buy(@actor, eth) for a router buy, with eth in ether and fractions allowed
+// (buy(@sniper, 0.5)). The actors are @sniper, @buyer and @whale. Setup
+// calls run in their own blocks first. Each scenario starts from liquidity seeded with
+// trading closed. The block itself is mined by mineInOrder (scripts/lib/mempool.js).
+
+const ACTORS = ["sniper", "buyer", "whale"];
+const GAS_LIMITS = { buy: 1_000_000n, owner: 200_000n };
+
+const SCENARIOS = [
+  { name: "sniper ahead of startTrading", setup: [], block: [["buy", "@sniper", "2"], ["startTrading"], ["buy", "@buyer", "1"]] },
+  { name: "sniper behind startTrading", setup: [], block: [["startTrading"], ["buy", "@sniper", "2"], ["buy", "@buyer", "1"]] },
+  {
+    name: "sniper behind reduceFee",
+    setup: [["startTrading"]],
+    block: [["buy", "@buyer", "1"], ["reduceFee"], ["buy", "@sniper", "1"]]
+  },
+  {
+    name: "whale around removeLimits",
+    setup: [["startTrading"], ["reduceFee"]],
+    block: [["buy", "@whale", "5"], ["removeLimits"], ["buy", "@sniper", "5"]]
+  },
+  {
+    name: "full launch in one block",
+    setup: [],
+    block: [["startTrading"], ["buy", "@buyer", "1"], ["reduceFee"], ["buy", "@sniper", "1"], ["removeLimits"], ["buy", "@whale", "5"]]
+  }
+];
+
+async function mempoolFixture() {
+  const fixture = await deployMOGWithLiquidityFixture();
+  const { addr1, addr2, addr3 } = fixture;
+  return { ...fixture, actors: { sniper: addr1, buyer: addr2, whale: addr3 } };
+}
+
+function actorOf(arg, actors) {
+  const name = typeof arg === "string" && arg.startsWith("@") ? arg.slice(1) : null;
+  if (!name || !actors[name]) throw new Error(`Unknown actor ${arg}; use ${ACTORS.map((actor) => `@${actor}`).join(", ")}`);
+  return name;
+}
+
+// Sends one call without waiting for it to be mined
+async function send(call, fixture, fees) {
+  const [name, ...args] = call;
+  if (name === "buy") {
+    const actor = actorOf(args[0], fixture.actors);
+    const ethIn = ethers.parseEther(String(args[1]));
+    const tx = await fixture.dex.buy(fixture.actors[actor], ethIn, { ...fees, gasLimit: GAS_LIMITS.buy });
+    return { actor, ethIn, tx };
+  }
+  const tx = await fixture.mogToken.connect(fixture.owner)[name](...args, { ...fees, gasLimit: GAS_LIMITS.owner });
+  return { actor: "owner", ethIn: 0n, tx };
+}
+
+// Tokens the pair sent in this transaction: to the buyer, and everything else (fee and burn)
+async function buyTransfers(receipt, { mogToken, pair }, recipient) {
+  const pairAddress = await pair.getAddress();
+  let received = 0n;
+  let fee = 0n;
+  for (const log of receipt.logs) {
+    const event = log.address === mogToken.target ? mogToken.interface.parseLog(log) : null;
+    if (!event || event.name !== "Transfer" || event.args.from !== pairAddress) continue;
+    if (event.args.to === recipient) received += event.args.value;
+    else fee += event.args.value;
+  }
+  return { received, fee };
+}
+
+// A failed buy is explained by explainPairTransfer. The pair's token transfer depends on
+// what ran earlier in the block, so the calls before it are replayed one by one first.
+async function explain(index, block, fixture, start) {
+  await start.restore();
+  for (const call of block.slice(0, index)) {
+    try {
+      await (await send(call, fixture, {})).tx.wait();
+    } catch {
+      // it failed in the block too
+    }
+  }
+  const [name, ...args] = block[index];
+  if (name === "buy") {
+    const recipient = fixture.actors[actorOf(args[0], fixture.actors)].address;
+    const gross = await fixture.dex.quoteBuy(ethers.parseEther(String(args[1])));
+    return (await explainPairTransfer(fixture.mogToken, await fixture.pair.getAddress(), recipient, gross)) || "reverted";
+  }
+  try {
+    await fixture.mogToken.connect(fixture.owner)[name].staticCall(...args);
+    return "reverted";
+  } catch (error) {
+    return failureReason(error);
+  }
+}
+
+async function simulateBlock(scenario) {
+  const fixture = await loadFixture(mempoolFixture);
+  const { mogToken, owner } = fixture;
+  for (const [name, ...args] of scenario.setup) {
+    await mogToken.connect(owner)[name](...args);
+  }
+
+  const start = await takeSnapshot();
+  const pending = [];
+  const transactions = [];
+  let blockNumber;
+  // the chain goes back to the state before the block either way, also when a send
+  // throws or explaining a failure replays part of the block
+  try {
+    const receipts = await mineInOrder(
+      scenario.block.map((call) => ({
+        label: formatCall(call),
+        send: async (fees) => {
+          const sent = await send(call, fixture, fees);
+          pending.push(sent);
+          return sent.tx;
+        }
+      }))
+    );
+
+    blockNumber = receipts[0].blockNumber;
+    for (let i = 0; i < receipts.length; i++) {
+      const { actor, ethIn } = pending[i];
+      const receipt = receipts[i];
+      const recipient = actor === "owner" ? null : fixture.actors[actor].address;
+      const { received, fee } = recipient ? await buyTransfers(receipt, fixture, recipient) : { received: 0n, fee: 0n };
+      transactions.push({
+        call: formatCall(scenario.block[i]),
+        actor,
+        ok: receipt.status === 1,
+        reason: null,
+        ethIn: receipt.status === 1 ? ethIn : 0n,
+        received,
+        fee,
+        feeBps: received + fee > 0n ? (fee * 10000n) / (received + fee) : 0n,
+        gasCost: receipt.gasUsed * receipt.gasPrice
+      });
+    }
+
+    for (let i = 0; i < transactions.length; i++) {
+      if (!transactions[i].ok) transactions[i].reason = await explain(i, scenario.block, fixture, start);
+    }
+  } finally {
+    await start.restore();
+  }
+
+  const actors = {};
+  for (const row of transactions.filter((row) => row.actor !== "owner")) {
+    const totals = (actors[row.actor] = actors[row.actor] || { ethIn: 0n, received: 0n, fee: 0n, gasCost: 0n });
+    totals.ethIn += row.ethIn;
+    totals.received += row.received;
+    totals.fee += row.fee;
+    totals.gasCost += row.gasCost;
+  }
+  return { scenario: scenario.name, setup: scenario.setup.map(formatCall), blockNumber, transactions, actors };
+}
+
+async function runMempool({ scenarios = SCENARIOS, log = () => {} } = {}) {
+  const results = [];
+  for (const scenario of scenarios) {
+    log(`${scenario.name}...`);
+    results.push(await simulateBlock(scenario));
+  }
+  return results;
+}
+
+function toMarkdown(results) {
+  const lines = [];
+  for (const result of results) {
+    lines.push(`### ${result.scenario}`, "");
+    if (result.setup.length > 0) lines.push(`Before the block: ${result.setup.map((call) => `\`${call}\``).join(", ")}`, "");
+    lines.push("| # | actor | transaction | result | ETH in | tokens received | buy fee | fee rate | gas ETH |", "| --- | --- | --- | --- | --- | --- | --- | --- | --- |");
+    result.transactions.forEach((row, i) => {
+      const buy = row.actor !== "owner";
+      lines.push(
+        `| ${i} | ${row.actor} | \`${row.call}\` | ${row.ok ? "ok" : `reverted: ${row.reason}`} | ` +
+          `${buy ? formatEth(row.ethIn) : "-"} | ${buy ? formatTokens(row.received) : "-"} | ${buy ? formatTokens(row.fee) : "-"} | ` +
+          `${buy && row.ok ? formatBps(row.feeBps) : "-"} | ${formatEth(row.gasCost)} |`
+      );
+    });
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+async function main() {
+  const scenarios = process.env.MEMPOOL_BLOCK
+    ? [{ name: "custom", setup: parseCalls(process.env.MEMPOOL_SETUP || ""), block: parseCalls(process.env.MEMPOOL_BLOCK) }]
+    : SCENARIOS;
+  const results = await runMempool({ scenarios, log: (line) => console.error(line) });
+  console.log(toMarkdown(results));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  ACTORS,
+  SCENARIOS,
+  simulateBlock,
+  runMempool,
+  toMarkdown
+};
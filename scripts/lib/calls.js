@@ -0,0 +1,38 @@
+// Call lists as the scripts take them from the environment (SELLABILITY_CALLS,
+// MEMPOOL_BLOCK): calls separated by ";", each a name with its arguments.
+//
+// "setStructure(100, 10000, 100); renounceOwnership()" -> [["setStructure", 100, 10000, 100], ["renounceOwnership"]]
+//
+// Integers become BigInts. A number with a fraction stays the decimal string it was
+// written as, for amounts the script reads in ether: "buy(@sniper, 0.5)" -> [["buy", "@sniper", "0.5"]].
+function parseCalls(text) {
+  return text
+    .split(";")
+    .map((call) => call.trim())
+    .filter(Boolean)
+    .map((call) => {
+      const match = call.match(/^(\w+)\((.*)\)$/);
+      if (!match) throw new Error(`Cannot parse owner call "${call}"; expected name(arg, ...)`);
+      const args = match[2]
+        .split(",")
+        .map((arg) => arg.trim())
+        .filter(Boolean)
+        .map((arg) => {
+          if (arg === "true" || arg === "false") return arg === "true";
+          if (arg.startsWith("@") || arg.startsWith("0x")) return arg;
+          if (/^-?\d+$/.test(arg)) return BigInt(arg);
+          if (/^\d*\.\d+$/.test(arg)) return arg;
+          throw new Error(`Cannot parse argument "${arg}" of "${call}"; expected a number, true/false, 0x... or @actor`);
+        });
+      return [match[1], ...args];
+    });
+}
+
+function formatCall([name, ...args]) {
+  return `${name}(${args.map(String).join(", ")})`;
+}
+
+module.exports = {
+  parseCalls,
+  formatCall
+};
@@ -0,0 +1,96 @@
+const { ethers } = require("hardhat");
+const { setCode, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Router address hard-coded in the MOG constructor (mainnet Uniswap V2 Router02)
+const UNISWAP_V2_ROUTER = "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D";
+
+// Deploys WETH and a V2 factory from contracts/dex, then plants a router at the mainnet
+// router address. The router only holds immutables, so copying its runtime code is enough
+// for it to work at the new address without any storage setup. `deployer` defaults to the
+// first signer, so this also works as a loadFixture fixture.
+async function deployLocalDex(deployer) {
+  const WETH9 = await ethers.getContractFactory("WETH9", deployer);
+  const weth = await WETH9.deploy();
+
+  const Factory = await ethers.getContractFactory("UniswapV2Factory", deployer);
+  const factory = await Factory.deploy();
+
+  const Router = await ethers.getContractFactory("UniswapV2Router02", deployer);
+  const template = await Router.deploy(await factory.getAddress(), await weth.getAddress());
+  await setCode(UNISWAP_V2_ROUTER, await ethers.provider.getCode(await template.getAddress()));
+
+  const router = await ethers.getContractAt("UniswapV2Router02", UNISWAP_V2_ROUTER);
+
+  return { weth, factory, router };
+}
+
+// Trading helpers that route through the local V2 router, so MOG sees real pair
+// transfers: buys arrive with sender == pair, sells leave with recipient == pair.
+function dexHelpers({ mogToken, router, weth }) {
+  async function deadline() {
+    return (await time.latest()) + 3600;
+  }
+
+  async function buyPath() {
+    return [await weth.getAddress(), await mogToken.getAddress()];
+  }
+
+  async function sellPath() {
+    return [await mogToken.getAddress(), await weth.getAddress()];
+  }
+
+  async function addLiquidity(signer, tokenAmount, ethAmount) {
+    await mogToken.connect(signer).approve(await router.getAddress(), tokenAmount);
+    return router.connect(signer).addLiquidityETH(
+      await mogToken.getAddress(),
+      tokenAmount,
+      0,
+      0,
+      signer.address,
+      await deadline(),
+      { value: ethAmount }
+    );
+  }
+
+  // overrides are passed to the router call, e.g. a gasLimit and fees for a pending transaction
+  async function buy(signer, ethIn, overrides = {}) {
+    return router.connect(signer).swapExactETHForTokensSupportingFeeOnTransferTokens(
+      0,
+      await buyPath(),
+      signer.address,
+      await deadline(),
+      { ...overrides, value: ethIn }
+    );
+  }
+
+  async function sell(signer, tokensIn) {
+    await mogToken.connect(signer).approve(await router.getAddress(), tokensIn);
+    return router.connect(signer).swapExactTokensForETHSupportingFeeOnTransferTokens(
+      tokensIn,
+      0,
+      await sellPath(),
+      signer.address,
+      await deadline()
+    );
+  }
+
+  // Gross tokens the pair sends out for ethIn, before MOG takes its buy fee
+  async function quoteBuy(ethIn) {
+    const amounts = await router.getAmountsOut(ethIn, await buyPath());
+    return amounts[1];
+  }
+
+  // ETH out for tokens that actually reach the pair (i.e. after the sell fee)
+  async function quoteSell(tokensReceivedByPair) {
+    const amounts = await router.getAmountsOut(tokensReceivedByPair, await sellPath());
+    return amounts[1];
+  }
+
+  return { addLiquidity, buy, sell, quoteBuy, quoteSell, deadline };
+}
+
+module.exports = {
+  UNISWAP_V2_ROUTER,
+  deployLocalDex,
+  dexHelpers
+};
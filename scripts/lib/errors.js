@@ -0,0 +1,43 @@
+const { ethers } = require("hardhat");
+
+// Pulls the revert string (or panic code) out of a hardhat transaction error
+function revertReason(error) {
+  const message = error.message || "";
+  const reason = message.match(/reverted with reason string '(.*)'/);
+  if (reason) return reason[1];
+  const panic = message.match(/reverted with panic code (0x[0-9a-f]+)/);
+  if (panic) return `Panic(${panic[1]})`;
+  if (message.includes("reverted without a reason")) return "";
+  throw error;
+}
+
+// Like revertReason, but never throws: anything else (out of gas, a call into an account
+// without code) comes back as the first line of the error
+function failureReason(error) {
+  try {
+    return revertReason(error) || "reverted without a reason";
+  } catch {
+    return (error.shortMessage || error.message).split("\n")[0];
+  }
+}
+
+// The pair and router report any failed token transfer with their own generic reason
+// (TRANSFER_FAILED). Replaying the token transfer they make, as a static call from them,
+// recovers the token's own revert reason. With `spender`, the replay is the router's
+// transferFrom instead. Returns null when the replay goes through.
+async function explainPairTransfer(token, from, to, amount, spender = null) {
+  const caller = token.connect(ethers.provider);
+  try {
+    if (spender) await caller.transferFrom.staticCall(from, to, amount, { from: spender });
+    else await caller.transfer.staticCall(to, amount, { from });
+    return null;
+  } catch (error) {
+    return failureReason(error);
+  }
+}
+
+module.exports = {
+  revertReason,
+  failureReason,
+  explainPairTransfer
+};
@@ -0,0 +1,78 @@
+const { ethers } = require("hardhat");
+const { deployLocalDex, dexHelpers } = require("./dex");
+const { forkConfigFromEnv, attachForkedMOG } = require("./fork");
+
+// Initial pool seeded by deployMOGWithLiquidityFixture: half the supply against 100 ETH
+const LIQUIDITY_TOKENS = ethers.parseUnits("210345000000000", 18);
+const LIQUIDITY_ETH = ethers.parseEther("100");
+
+// Deploys the real MOG contract against the local DEX stand-in. In fork mode
+// (FORK_SNAPSHOT, or FORK_URL with FORK_TOKEN) it attaches to the deployed token instead.
+async function deployMOGTokenFixture() {
+  const fork = forkConfigFromEnv();
+  if (fork) {
+    return attachForkedMOG(fork);
+  }
+
+  const [owner, addr1, addr2, addr3, ...addrs] = await ethers.getSigners();
+  const { weth, factory, router } = await deployLocalDex();
+
+  const MOGToken = await ethers.getContractFactory("MOG");
+  const mogToken = await MOGToken.deploy();
+
+  const pair = await ethers.getContractAt("UniswapV2Pair", await mogToken.pair());
+
+  return { mogToken, owner, addr1, addr2, addr3, addrs, weth, factory, router, pair };
+}
+
+// MOG with the owner's initial liquidity in the pair, trading still closed
+async function deployMOGWithLiquidityFixture() {
+  const fixture = await deployMOGTokenFixture();
+  const dex = dexHelpers(fixture);
+
+  await dex.addLiquidity(fixture.owner, LIQUIDITY_TOKENS, LIQUIDITY_ETH);
+
+  return { ...fixture, dex };
+}
+
+// Only 10% of the supply against 100 ETH. showBacking(100) is then 20, below setRatio (30),
+// so swapBack keeps the liquidity share and calls addLiquidityETH instead of zeroing it.
+async function deployMOGWithThinLiquidityFixture() {
+  const fixture = await deployMOGTokenFixture();
+  const dex = dexHelpers(fixture);
+
+  await dex.addLiquidity(fixture.owner, (await fixture.mogToken.totalSupply()) / 10n, LIQUIDITY_ETH);
+
+  return { ...fixture, dex };
+}
+
+const poolFixtures = new Map();
+
+// One stable fixture per pool, so loadFixture can snapshot it. The pool is pool.tokenBps
+// of supply (basis points) against pool.eth ETH, trading still closed. `prepare` runs on
+// top of it and its result is merged into the fixture; pass the same function every time.
+function poolFixture(pool, prepare = null) {
+  if (!poolFixtures.has(prepare)) poolFixtures.set(prepare, new Map());
+  const fixtures = poolFixtures.get(prepare);
+  const key = `${pool.tokenBps}/${pool.eth}`;
+  if (!fixtures.has(key)) {
+    fixtures.set(key, async function deployMOGWithPoolFixture() {
+      const fixture = await deployMOGTokenFixture();
+      const dex = dexHelpers(fixture);
+      const supply = await fixture.mogToken.totalSupply();
+      await dex.addLiquidity(fixture.owner, (supply * pool.tokenBps) / 10000n, ethers.parseEther(pool.eth));
+      const pooled = { ...fixture, dex };
+      return prepare ? { ...pooled, ...(await prepare(pooled)) } : pooled;
+    });
+  }
+  return fixtures.get(key);
+}
+
+module.exports = {
+  LIQUIDITY_TOKENS,
+  LIQUIDITY_ETH,
+  deployMOGTokenFixture,
+  deployMOGWithLiquidityFixture,
+  deployMOGWithThinLiquidityFixture,
+  poolFixture
+};
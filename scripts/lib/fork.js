@@ -0,0 +1,139 @@
+const fs = require("fs");
+const { ethers } = require("hardhat");
+const { impersonateAccount, setBalance, setCode, setNonce, setStorageAt } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Fork mode: the shared fixtures attach to an already deployed MOG instead of deploying
+// one. The chain state comes either from a snapshot file (code, balances and storage of
+// the token and its DEX contracts, written by scripts/fork-snapshot.js) loaded into the
+// local network, or from a live fork when FORK_URL is set in hardhat.config.js.
+//
+//   FORK_SNAPSHOT=test/fixtures/synthetic-mog-snapshot.json npx hardhat test test/Security.test.js
+//   FORK_URL=<rpc> FORK_TOKEN=0x... npx hardhat test test/Security.test.js
+
+const DEAD = "0x000000000000000000000000000000000000dEaD";
+
+// Storage is not enumerable over RPC, so a snapshot keeps the first FIXED_SLOTS slots
+// plus every mapping entry keyed by one of the interesting addresses at those slots
+const FIXED_SLOTS = 64;
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const mappingSlot = (key, slot) => ethers.keccak256(coder.encode(["address", "uint256"], [key, slot]));
+const nestedSlot = (outer, inner, slot) => ethers.keccak256(coder.encode(["address", "bytes32"], [inner, mappingSlot(outer, slot)]));
+
+function forkConfigFromEnv(env = process.env) {
+  if (env.FORK_SNAPSHOT) return { snapshot: env.FORK_SNAPSHOT };
+  if (env.FORK_URL && env.FORK_TOKEN) return { token: env.FORK_TOKEN };
+  return null;
+}
+
+async function captureAccount(address, { keys = [], spenders = [] } = {}) {
+  const provider = ethers.provider;
+  const code = await provider.getCode(address);
+  const account = {
+    code,
+    balance: ethers.toBeHex(await provider.getBalance(address)),
+    nonce: await provider.getTransactionCount(address),
+    storage: {}
+  };
+  if (code === "0x") return account;
+
+  const slots = [];
+  for (let slot = 0; slot < FIXED_SLOTS; slot++) {
+    slots.push(ethers.toBeHex(slot, 32));
+    for (const key of keys) {
+      slots.push(mappingSlot(key, slot));
+      for (const spender of spenders) slots.push(nestedSlot(key, spender, slot));
+    }
+  }
+  const values = await Promise.all(slots.map((slot) => provider.getStorage(address, slot)));
+  slots.forEach((slot, i) => {
+    if (BigInt(values[i]) !== 0n) account.storage[slot] = values[i];
+  });
+  return account;
+}
+
+// Token, owner, pair, router, factory and WETH, with the token's balances, exemptions and
+// router allowances for those addresses and any `holders`
+async function captureSnapshot(tokenAddress, { holders = [], description } = {}) {
+  const token = await ethers.getContractAt("MOG", tokenAddress);
+  const router = await ethers.getContractAt("UniswapV2Router02", await token.router());
+  const contracts = {
+    token: await token.getAddress(),
+    pair: await token.pair(),
+    router: await router.getAddress(),
+    factory: await router.factory(),
+    weth: await router.WETH()
+  };
+  const owner = await token.owner();
+  const keys = [...new Set([owner, DEAD, ethers.ZeroAddress, ...Object.values(contracts), ...holders])];
+  const spenders = [contracts.router];
+
+  const accounts = {};
+  for (const address of keys) {
+    accounts[address] = await captureAccount(address, { keys, spenders });
+  }
+  // factory.getPair(token, WETH) in both orders
+  const factory = accounts[contracts.factory];
+  for (const [a, b] of [[contracts.token, contracts.weth], [contracts.weth, contracts.token]]) {
+    for (let slot = 0; slot < FIXED_SLOTS; slot++) {
+      const key = nestedSlot(a, b, slot);
+      const value = await ethers.provider.getStorage(contracts.factory, key);
+      if (BigInt(value) !== 0n) factory.storage[key] = value;
+    }
+  }
+
+  const block = await ethers.provider.getBlock("latest");
+  return {
+    description,
+    chainId: Number((await ethers.provider.getNetwork()).chainId),
+    blockNumber: block.number,
+    owner,
+    contracts,
+    accounts
+  };
+}
+
+async function loadSnapshot(snapshot) {
+  for (const [address, account] of Object.entries(snapshot.accounts)) {
+    if (account.code !== "0x") await setCode(address, account.code);
+    await setBalance(address, BigInt(account.balance));
+    await setNonce(address, account.nonce);
+    for (const [slot, value] of Object.entries(account.storage)) {
+      await setStorageAt(address, slot, value);
+    }
+  }
+}
+
+// Same shape as deployMOGTokenFixture, with `owner` the impersonated on-chain owner and
+// the contract connected to it
+async function attachForkedMOG({ snapshot, token }) {
+  let tokenAddress = token;
+  if (snapshot) {
+    const data = typeof snapshot === "string" ? JSON.parse(fs.readFileSync(snapshot, "utf8")) : snapshot;
+    await loadSnapshot(data);
+    tokenAddress = data.contracts.token;
+  }
+
+  const ownerAddress = await (await ethers.getContractAt("MOG", tokenAddress)).owner();
+  await impersonateAccount(ownerAddress);
+  await setBalance(ownerAddress, ethers.parseEther("10000"));
+  const owner = await ethers.getSigner(ownerAddress);
+
+  const [, addr1, addr2, addr3, ...addrs] = await ethers.getSigners();
+  const mogToken = await ethers.getContractAt("MOG", tokenAddress, owner);
+  const router = await ethers.getContractAt("UniswapV2Router02", await mogToken.router());
+  const weth = await ethers.getContractAt("WETH9", await router.WETH());
+  const factory = await ethers.getContractAt("UniswapV2Factory", await router.factory());
+  const pair = await ethers.getContractAt("UniswapV2Pair", await mogToken.pair());
+
+  return { mogToken, owner, addr1, addr2, addr3, addrs, weth, factory, router, pair, forked: true };
+}
+
+module.exports = {
+  FIXED_SLOTS,
+  forkConfigFromEnv,
+  captureAccount,
+  captureSnapshot,
+  loadSnapshot,
+  attachForkedMOG
+};
@@ -0,0 +1,17 @@
+const { ethers } = require("hardhat");
+
+// Report formatting shared by the analysis scripts. Token amounts are 18-decimal units.
+
+const formatTokens = (amount) => (amount === 0n ? "0" : Number(ethers.formatUnits(amount, 18)).toExponential(3));
+const formatEth = (amount) => Number(ethers.formatEther(amount)).toFixed(4);
+const formatBps = (bps) => `${(Number(bps) / 100).toFixed(2)}%`;
+
+// "10, 70" from an environment variable -> [10n, 70n]
+const parseList = (value) => value.split(",").map((item) => BigInt(item.trim()));
+
+module.exports = {
+  formatTokens,
+  formatEth,
+  formatBps,
+  parseList
+};
@@ -0,0 +1,51 @@
+const { ethers } = require("hardhat");
+
+const GWEI = 10n ** 9n;
+
+// Mines several transactions in a single block, in the order given. Automine is switched
+// off while they are sent, and each one gets a priority fee one gwei above the one after
+// it, so hardhat's fee-ordered mempool keeps them in that order (an account's own
+// transactions stay in nonce order regardless).
+//
+//   const [front, victim, back] = await mineInOrder([
+//     { label: "front-run", send: (fees) => dex.buy(attacker, ethIn, { ...fees, gasLimit }) },
+//     ...
+//   ]);
+//
+// `send` receives the fee overrides and must not wait for the transaction. Give it a fixed
+// gasLimit: estimating against the pending state fails for anything meant to revert, and
+// hardhat's default limit is the whole block. Returns one receipt per transaction,
+// reverted ones included, and throws if any missed the block or was mined out of order.
+// If a `send` throws, the transactions sent before it are dropped and nothing is mined.
+async function mineInOrder(transactions) {
+  const { baseFeePerGas } = await ethers.provider.getBlock("latest");
+  const pending = [];
+  await ethers.provider.send("evm_setAutomine", [false]);
+  try {
+    for (let i = 0; i < transactions.length; i++) {
+      const tip = BigInt(transactions.length - i) * GWEI;
+      pending.push(await transactions[i].send({ maxPriorityFeePerGas: tip, maxFeePerGas: baseFeePerGas * 2n + tip }));
+    }
+    await ethers.provider.send("evm_mine", []);
+  } catch (error) {
+    // the ones already sent would otherwise be mined with whatever is sent next
+    for (const tx of pending) await ethers.provider.send("hardhat_dropTransaction", [tx.hash]);
+    throw error;
+  } finally {
+    await ethers.provider.send("evm_setAutomine", [true]);
+  }
+
+  const receipts = [];
+  for (let i = 0; i < pending.length; i++) {
+    const receipt = await ethers.provider.getTransactionReceipt(pending[i].hash);
+    if (!receipt) throw new Error(`"${transactions[i].label}" was not mined; the block is over its gas limit`);
+    if (i > 0 && receipt.blockNumber !== receipts[0].blockNumber) throw new Error(`"${transactions[i].label}" was mined in a later block`);
+    if (receipt.index !== i) throw new Error(`"${transactions[i].label}" was mined out of order`);
+    receipts.push(receipt);
+  }
+  return receipts;
+}
+
+module.exports = {
+  mineInOrder
+};
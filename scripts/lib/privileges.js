@@ -0,0 +1,180 @@
+const { ethers } = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { failureReason } = require("./errors");
+const { storageReader } = require("./storage");
+
+const NOT_OWNER = "Ownable: caller is not the owner";
+
+// Arguments that get a probe past input validation into the function body, with values
+// that differ from the deployed ones so the change shows up. Anything not listed is called
+// with a default per ABI type (see defaultArg), which is enough to tell an onlyOwner
+// revert from any other outcome.
+const ARGUMENTS = {
+  setParameters: () => [3, 1, 1, 1, 2, 100],
+  setStructure: () => [200, 300, 400],
+  maxWalletRule: () => [20],
+  setSwapBackSettings: () => [true, ethers.parseUnits("1000", 18)],
+  clearStuckToken: ({ tokenAddress }) => [tokenAddress, 0],
+  transfer: ({ probe }) => [probe, ethers.parseUnits("1", 18)],
+  transferFrom: ({ owner, probe }) => [owner, probe, 0]
+};
+
+// Non-view functions in ABI order
+function stateChangingFunctions(iface) {
+  return iface.fragments.filter((fragment) => fragment.type === "function" && !["view", "pure"].includes(fragment.stateMutability));
+}
+
+function defaultArg(param, context) {
+  switch (param.baseType) {
+    case "address":
+      return context.probe;
+    case "bool":
+      return true;
+    case "string":
+      return "";
+    case "array":
+      return [];
+    case "tuple":
+      return param.components.map((component) => defaultArg(component, context));
+    default:
+      if (param.baseType.startsWith("uint") || param.baseType.startsWith("int")) return 1n;
+      if (param.baseType === "bytes") return "0x";
+      if (param.baseType.startsWith("bytes")) return ethers.zeroPadValue("0x", Number(param.baseType.slice(5)));
+      throw new Error(`No default probe argument for ${param.type} ${param.name}`);
+  }
+}
+
+function probeArguments(fragment, context) {
+  if (ARGUMENTS[fragment.name]) return ARGUMENTS[fragment.name](context);
+  return fragment.inputs.map((param) => defaultArg(param, context));
+}
+
+// Everything a probe can see change: every argument-less view, every storage variable
+// that is not a mapping, by its name in the storage layout (most of MOG's fee settings
+// have no getter), ETH and token balances of the accounts involved, and the caller's
+// allowance to the probe account
+async function readState(token, context) {
+  const state = {};
+  const views = token.interface.fragments.filter(
+    (fragment) => fragment.type === "function" && fragment.stateMutability === "view" && fragment.inputs.length === 0
+  );
+  for (const fragment of views) {
+    state[fragment.name] = String(await token.getFunction(fragment.format())());
+  }
+  const { layout } = context.storage;
+  for (const { label, type } of layout.storage) {
+    // a public variable is already read through its getter
+    if (layout.types[type].encoding === "mapping" || label in state) continue;
+    state[label] = String(await context.storage.read(label));
+  }
+  for (const [label, address] of Object.entries(context.accounts)) {
+    state[`ETH(${label})`] = String(await ethers.provider.getBalance(address));
+    if (token.interface.hasFunction("balanceOf")) state[`balanceOf(${label})`] = String(await token.balanceOf(address));
+  }
+  if (token.interface.hasFunction("allowance")) {
+    state["allowance(caller, probe)"] = String(await token.allowance(context.caller, context.probe));
+  }
+  return state;
+}
+
+// Calls `fragment` from `signer` and rolls the chain back afterwards
+async function probe(token, fragment, signer, context) {
+  const snapshot = await takeSnapshot();
+  const scoped = { ...context, caller: signer.address };
+  try {
+    const before = await readState(token, scoped);
+    let receipt;
+    try {
+      const tx = await token.connect(signer).getFunction(fragment.format())(...probeArguments(fragment, scoped));
+      receipt = await tx.wait();
+    } catch (error) {
+      return { ok: false, reason: failureReason(error), mutates: [], events: [] };
+    }
+    const after = await readState(token, scoped);
+    // the caller's ETH only moves by the gas it paid, unless the function pays it
+    const callerLabel = Object.keys(context.accounts).find((label) => context.accounts[label] === signer.address);
+    const gasCost = receipt.gasUsed * receipt.gasPrice;
+    after[`ETH(${callerLabel})`] = String(BigInt(after[`ETH(${callerLabel})`]) + gasCost);
+    const tokenAddress = await token.getAddress();
+    const events = receipt.logs
+      .filter((log) => log.address === tokenAddress)
+      .map((log) => token.interface.parseLog(log))
+      .filter(Boolean)
+      .map((event) => event.name);
+    return {
+      ok: true,
+      reason: null,
+      mutates: Object.keys(after).filter((key) => after[key] !== before[key]),
+      events: [...new Set(events)]
+    };
+  } finally {
+    await snapshot.restore();
+  }
+}
+
+// Probes every state-changing function of `token` as `owner` and as `other`, then again as
+// the former owner after renounceOwnership(). A function is owner-only when the outsider
+// gets the onlyOwner revert; any other outcome, success or not, means the body is reachable.
+// `contractName` is the artifact whose storage layout names the variables a call writes.
+async function buildPrivilegeMap({ token, owner, other, probe: probeAccount, notOwner = NOT_OWNER, contractName = "MOG" }) {
+  const tokenAddress = await token.getAddress();
+  const context = {
+    tokenAddress,
+    storage: await storageReader(token, contractName),
+    owner: owner.address,
+    probe: probeAccount.address,
+    accounts: { contract: tokenAddress, owner: owner.address, other: other.address, probe: probeAccount.address }
+  };
+
+  const rows = [];
+  for (const fragment of stateChangingFunctions(token.interface)) {
+    const asOwner = await probe(token, fragment, owner, context);
+    const asOther = await probe(token, fragment, other, context);
+
+    const snapshot = await takeSnapshot();
+    let afterRenounce;
+    try {
+      await token.connect(owner).renounceOwnership();
+      afterRenounce = await probe(token, fragment, owner, context);
+    } finally {
+      await snapshot.restore();
+    }
+
+    rows.push({
+      name: fragment.name,
+      signature: fragment.format(),
+      access: !asOther.ok && asOther.reason === notOwner ? "owner" : "anyone",
+      asOwner,
+      asOther,
+      callableAfterRenounce: afterRenounce.ok || afterRenounce.reason !== notOwner
+    });
+  }
+  return rows;
+}
+
+function formatOutcome(outcome) {
+  return outcome.ok ? "ok" : `reverts: ${outcome.reason}`;
+}
+
+function formatPrivilegeMap(rows) {
+  const lines = [
+    "| function | access | as owner | as anyone else | after renounce | mutates | events |",
+    "| --- | --- | --- | --- | --- | --- | --- |"
+  ];
+  for (const row of rows) {
+    // what the function changes when the caller is allowed to call it
+    const allowed = row.access === "owner" ? row.asOwner : row.asOther.ok ? row.asOther : row.asOwner;
+    lines.push(
+      `| \`${row.signature}\` | ${row.access} | ${formatOutcome(row.asOwner)} | ${formatOutcome(row.asOther)} | ` +
+        `${row.callableAfterRenounce ? "callable" : "locked"} | ${allowed.mutates.join(", ") || "-"} | ${allowed.events.join(", ") || "-"} |`
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  NOT_OWNER,
+  stateChangingFunctions,
+  buildPrivilegeMap,
+  formatPrivilegeMap
+};
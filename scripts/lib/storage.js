@@ -0,0 +1,169 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+
+// Reads contract state straight from storage using the compiler's storage layout
+// (hardhat.config.js asks solc for it), so private variables and mapping entries can be
+// asserted directly instead of being inferred from fee maths:
+//
+//   const storage = await storageReader(mogToken, "MOG");
+//   await storage.read("buypercent");                      // 1400n
+//   await storage.read("_allowances", owner, router);      // mapping entries by key
+//
+// snapshotState() reads every variable at once, with mappings expanded for the given
+// keys, and diffState() lists what changed between two snapshots.
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+async function storageLayout(contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const fullyQualifiedName = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+  const output = buildInfo && buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+  if (!output || !output.storageLayout) {
+    throw new Error(`No storage layout for ${fullyQualifiedName}; recompile with storageLayout in outputSelection`);
+  }
+  return output.storageLayout;
+}
+
+// Slot of mapping[key] for a mapping at `slot`; keys are encoded the way solidity hashes them
+function mappingSlot(keyType, key, slot) {
+  if (keyType.encoding === "bytes") {
+    const bytes = typeof key === "string" && !ethers.isHexString(key) ? ethers.toUtf8Bytes(key) : ethers.getBytes(key);
+    return BigInt(ethers.keccak256(ethers.concat([bytes, ethers.toBeHex(slot, 32)])));
+  }
+  let abiType = keyType.label;
+  if (abiType.startsWith("contract ")) abiType = "address";
+  else if (abiType.startsWith("enum ")) abiType = "uint8";
+  return BigInt(ethers.keccak256(coder.encode([abiType, "uint256"], [key, slot])));
+}
+
+// A value type packed at `offset` bytes from the right of a 32-byte word
+function decodeValue(type, word, offset) {
+  const size = Number(type.numberOfBytes);
+  const raw = (BigInt(word) >> BigInt(offset * 8)) & ((1n << BigInt(size * 8)) - 1n);
+  const label = type.label;
+  if (label === "bool") return raw !== 0n;
+  if (label === "address" || label === "address payable" || label.startsWith("contract ")) {
+    return ethers.getAddress(ethers.toBeHex(raw, 20));
+  }
+  if (label.startsWith("int")) return BigInt.asIntN(size * 8, raw);
+  if (label.startsWith("bytes")) return ethers.toBeHex(raw, size);
+  return raw;
+}
+
+function toKey(key) {
+  return key && typeof key === "object" && "address" in key ? key.address : key;
+}
+
+// `contract` is a contract instance or an address holding code compiled from `name`
+async function storageReader(contract, name) {
+  const address = typeof contract === "string" ? contract : await contract.getAddress();
+  const layout = await storageLayout(name);
+  const variables = Object.fromEntries(layout.storage.map((entry) => [entry.label, entry]));
+
+  const word = (slot) => ethers.provider.getStorage(address, slot);
+
+  async function readString(slot) {
+    const head = BigInt(await word(slot));
+    if ((head & 1n) === 0n) {
+      const length = Number((head & 0xffn) / 2n);
+      return ethers.toUtf8String(ethers.getBytes(ethers.toBeHex(head, 32)).slice(0, length));
+    }
+    const length = Number((head - 1n) / 2n);
+    const start = BigInt(ethers.keccak256(ethers.toBeHex(slot, 32)));
+    const chunks = [];
+    for (let i = 0n; i * 32n < BigInt(length); i++) chunks.push(ethers.getBytes(await word(start + i)));
+    return ethers.toUtf8String(ethers.concat(chunks).slice(0, length));
+  }
+
+  async function readType(typeId, slot, offset, keys) {
+    const type = layout.types[typeId];
+    if (type.encoding === "mapping") {
+      if (keys.length === 0) throw new Error(`${type.label} needs a key`);
+      const [key, ...rest] = keys;
+      return readType(type.value, mappingSlot(layout.types[type.key], toKey(key), slot), 0, rest);
+    }
+    if (keys.length > 0) throw new Error(`${type.label} takes no key`);
+    if (type.encoding === "bytes") return readString(slot);
+    if (type.members) {
+      const struct = {};
+      for (const member of type.members) {
+        struct[member.label] = await readType(member.type, slot + BigInt(member.slot), member.offset, []);
+      }
+      return struct;
+    }
+    if (type.encoding !== "inplace" || type.base) {
+      throw new Error(`Reading ${type.label} is not supported`);
+    }
+    return decodeValue(type, await word(slot), offset);
+  }
+
+  async function read(label, ...keys) {
+    const variable = variables[label];
+    if (!variable) throw new Error(`${name} has no storage variable "${label}"`);
+    return readType(variable.type, BigInt(variable.slot), variable.offset, keys);
+  }
+
+  // Slot and byte offset of a variable or mapping entry, e.g. for setStorageAt
+  function locate(label, ...keys) {
+    const variable = variables[label];
+    if (!variable) throw new Error(`${name} has no storage variable "${label}"`);
+    let slot = BigInt(variable.slot);
+    let type = layout.types[variable.type];
+    for (const key of keys) {
+      slot = mappingSlot(layout.types[type.key], toKey(key), slot);
+      type = layout.types[type.value];
+    }
+    return { slot, offset: keys.length > 0 ? 0 : variable.offset, type: type.label };
+  }
+
+  return { address, contractName: name, layout, variables: Object.keys(variables), read, locate };
+}
+
+const isAddressKey = (type) => type.label === "address" || type.label.startsWith("contract ");
+
+// Every variable of the contract. Mappings keyed by address are read for each of `keys`
+// (nested ones for every pair of keys); keys are addresses or signers.
+async function snapshotState(reader, { keys = [] } = {}) {
+  const addresses = keys.map(toKey);
+  const { types } = reader.layout;
+  const state = {};
+  for (const entry of reader.layout.storage) {
+    const type = types[entry.type];
+    if (type.encoding !== "mapping") {
+      state[entry.label] = await reader.read(entry.label);
+      continue;
+    }
+    const value = types[type.value];
+    const nested = value.encoding === "mapping";
+    if (!isAddressKey(types[type.key]) || (nested && !isAddressKey(types[value.key]))) continue;
+    for (const a of addresses) {
+      if (nested) {
+        for (const b of addresses) state[`${entry.label}[${a}][${b}]`] = await reader.read(entry.label, a, b);
+      } else {
+        state[`${entry.label}[${a}]`] = await reader.read(entry.label, a);
+      }
+    }
+  }
+  return state;
+}
+
+// structs are read as objects, so compare serialized values
+const serialize = (value) => JSON.stringify(value, (key, inner) => (typeof inner === "bigint" ? inner.toString() : inner));
+
+// { label: { before, after } } for every entry that differs
+function diffState(before, after) {
+  const changes = {};
+  for (const label of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (serialize(before[label]) !== serialize(after[label])) changes[label] = { before: before[label], after: after[label] };
+  }
+  return changes;
+}
+
+module.exports = {
+  storageLayout,
+  mappingSlot,
+  storageReader,
+  snapshotState,
+  diffState
+};
@@ -0,0 +1,163 @@
+const { ethers } = require("hardhat");
+
+const DEAD = "0x000000000000000000000000000000000000dEaD";
+const ZERO = ethers.ZeroAddress;
+
+// Supply accounting as seen from the logs versus the contract's own view.
+//
+// takeFee() emits Transfer(sender, ZERO, burnTokens) and subtracts them from _totalSupply,
+// but credits the same tokens to burnFeeReceiver (DEAD by default). showSupply() then
+// subtracts balanceOf(DEAD) again. The logs describe a real burn; the balances do not.
+// This helper replays every Transfer since `fromBlock` and reports where the two disagree.
+// Replaying from a later block (e.g. on a fork, where earlier logs are not available)
+// opens with the supply and balances as of the block before it.
+
+function isBurn(logs, index) {
+  // takeFee() emits the sender's fee Transfer to the contract, then the burn, and
+  // _transferFrom then emits the net Transfer to the recipient. With burnFee at zero there
+  // is no burn, and a net Transfer to ZERO follows the fee Transfer directly, so a burn is
+  // only one with the same sender's net Transfer after it.
+  const burn = logs[index];
+  const fromSender = (log) =>
+    log !== undefined && log.transactionHash === burn.transactionHash && log.eventName === "Transfer" && log.args.from === burn.args.from;
+  const previous = logs[index - 1];
+  const next = logs[index + 1];
+  return (
+    burn.args.to === ZERO &&
+    burn.args.from !== ZERO &&
+    fromSender(previous) &&
+    previous.args.to === burn.address &&
+    fromSender(next) &&
+    next.args.to !== burn.address
+  );
+}
+
+async function supplyReport(token, { fromBlock = 0 } = {}) {
+  const logs = [
+    ...(await token.queryFilter(token.filters.Transfer(), fromBlock)),
+    ...(await token.queryFilter(token.filters.set_Receivers(), fromBlock))
+  ].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const logged = new Map();
+  const credit = (address, amount) => logged.set(address, (logged.get(address) || 0n) + amount);
+
+  let burnReceiver = DEAD;
+  let minted = 0n;
+  let burned = 0n;
+  const burnedTo = new Map();
+
+  for (let index = 0; index < logs.length; index++) {
+    const log = logs[index];
+    if (log.eventName === "set_Receivers") {
+      burnReceiver = log.args.burnFeeReceiver;
+      continue;
+    }
+
+    const { from, to, value } = log.args;
+    if (from === ZERO) {
+      minted += value;
+    } else {
+      credit(from, -value);
+    }
+
+    if (isBurn(logs, index)) {
+      burned += value;
+      burnedTo.set(burnReceiver, (burnedTo.get(burnReceiver) || 0n) + value);
+    } else {
+      credit(to, value);
+    }
+  }
+
+  const addresses = new Set([...logged.keys(), ...burnedTo.keys(), DEAD]);
+
+  let openingSupply = 0n;
+  let openingSum = 0n;
+  if (fromBlock > 0) {
+    const blockTag = fromBlock - 1;
+    openingSupply = await token.totalSupply({ blockTag });
+    minted += openingSupply;
+    for (const address of addresses) {
+      const opening = await token.balanceOf(address, { blockTag });
+      openingSum += opening;
+      credit(address, opening);
+    }
+  }
+
+  const holders = [];
+  let holderSum = 0n;
+  for (const address of addresses) {
+    const actual = await token.balanceOf(address);
+    const expected = logged.get(address) || 0n;
+    holderSum += actual;
+    if (actual !== expected) {
+      holders.push({ address, logged: expected, actual, drift: actual - expected });
+    }
+  }
+
+  const totalSupply = await token.totalSupply();
+  let showSupply = null;
+  try {
+    showSupply = await token.showSupply();
+  } catch (error) {
+    // showSupply() underflows once DEAD holds more than _totalSupply
+  }
+
+  // Circulating supply if burns were only counted once: supply minus what holders
+  // deliberately sent to DEAD or ZERO
+  const expectedShowSupply = totalSupply - (logged.get(DEAD) || 0n) - (logged.get(ZERO) || 0n);
+  const doubleCounted = burnedTo.get(DEAD) || 0n;
+
+  const drift = {
+    // sum of balances minus totalSupply(): every burned token is still held by its receiver
+    totalSupply: holderSum - openingSum - (totalSupply - openingSupply),
+    // how far showSupply() undercounts: burns into DEAD are subtracted a second time
+    showSupply: showSupply === null ? null : expectedShowSupply - showSupply,
+    // totalSupply() versus mints minus burns from the logs; anything non-zero is a real leak
+    logs: totalSupply - (minted - burned)
+  };
+
+  return {
+    totalSupply,
+    showSupply,
+    expectedShowSupply,
+    minted,
+    burned,
+    burnedTo,
+    holderSum,
+    holders,
+    drift,
+    doubleCountedBurn: doubleCounted > 0n,
+    doubleCounted,
+    // every discrepancy is the known burn double count and nothing else
+    explained:
+      drift.logs === 0n &&
+      drift.totalSupply === burned &&
+      (drift.showSupply === null || drift.showSupply === doubleCounted) &&
+      holders.every(({ address, drift: holderDrift }) => holderDrift === (burnedTo.get(address) || 0n))
+  };
+}
+
+function formatSupplyReport(report) {
+  const lines = [];
+  lines.push(`totalSupply()          ${report.totalSupply}`);
+  lines.push(`sum of balances        ${report.holderSum} (drift ${report.drift.totalSupply})`);
+  lines.push(`showSupply()           ${report.showSupply === null ? "reverted" : report.showSupply}`);
+  lines.push(`expected showSupply    ${report.expectedShowSupply} (drift ${report.drift.showSupply === null ? "n/a" : report.drift.showSupply})`);
+  lines.push(`minted - burned (logs) ${report.minted - report.burned} (drift ${report.drift.logs})`);
+  for (const [receiver, amount] of report.burnedTo) {
+    lines.push(`burned into ${receiver}: ${amount}`);
+  }
+  if (report.doubleCountedBurn) {
+    lines.push(`double-counted burn: ${report.doubleCounted} subtracted from totalSupply and again from showSupply`);
+  }
+  for (const holder of report.holders) {
+    lines.push(`  ${holder.address}: logs ${holder.logged}, balanceOf ${holder.actual} (drift ${holder.drift})`);
+  }
+  lines.push(report.explained ? "all drift is explained by the burn double count" : "UNEXPLAINED DRIFT");
+  return lines.join("\n");
+}
+
+module.exports = {
+  supplyReport,
+  formatSupplyReport
+};
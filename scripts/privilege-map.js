@@ -0,0 +1,51 @@
+const { ethers } = require("hardhat");
+const { loadFixture, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMOGTokenFixture } = require("./lib/fixtures");
+const { buildPrivilegeMap, formatPrivilegeMap } = require("./lib/privileges");
+
+// Prints MOG's privilege map: every state-changing function in the compiled ABI, whether
+// only the owner can call it, what it changes and whether it still works once ownership
+// is renounced.
+//
+//   npx hardhat run scripts/privilege-map.js
+//
+// The token is probed before startTrading, holding ETH and tokens of its own so functions
+// that sweep the contract's balances show what they move.
+
+async function fundedTokenFixture() {
+  const fixture = await deployMOGTokenFixture();
+  const { mogToken, addr1 } = fixture;
+  await mogToken.transfer(addr1.address, ethers.parseUnits("1000000", 18));
+  await mogToken.transfer(await mogToken.getAddress(), ethers.parseUnits("1000000", 18));
+  await setBalance(await mogToken.getAddress(), ethers.parseEther("1"));
+  return fixture;
+}
+
+async function privilegeMap() {
+  const { mogToken, owner, addr1, addr2 } = await loadFixture(fundedTokenFixture);
+  return buildPrivilegeMap({ token: mogToken, owner, other: addr1, probe: addr2 });
+}
+
+async function main() {
+  const rows = await privilegeMap();
+  console.log(formatPrivilegeMap(rows));
+
+  const open = rows.filter((row) => row.access === "anyone").map((row) => row.name);
+  const locked = rows.filter((row) => !row.callableAfterRenounce).map((row) => row.name);
+  console.log(`Callable by anyone: ${open.join(", ")}`);
+  console.log(`Locked for good by renounceOwnership(): ${locked.join(", ")}`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  fundedTokenFixture,
+  privilegeMap
+};
@@ -0,0 +1,250 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { runPipeline } = require("./deploy");
+const { dexHelpers } = require("./lib/dex");
+const { supplyReport } = require("./lib/supply");
+const { revertReason, explainPairTransfer } = require("./lib/errors");
+const { formatTokens, formatBps } = require("./lib/format");
+
+// Rehearses the launch sequence on a local network against the contracts/dex stand-in:
+// deploy, seed liquidity, startTrading(), a wave of buyers and sellers at launch fees,
+// reduceFee(), another wave, removeLimits(), a final wave. Prints price, fees, burned
+// supply and holder distribution after every phase.
+//
+//   npx hardhat run scripts/rehearse-launch.js
+//   REHEARSAL_BUYERS=15 REHEARSAL_BUY_ETH=0.5,1,2,4 npx hardhat run scripts/rehearse-launch.js --network localhost
+//
+// Buys come from the pair, which is exempt from _maxTxAmount, so buyers run into
+// _maxWalletToken; sells are where _maxTxAmount applies. With both limits at 1% no
+// wallet can hold enough to hit the sell limit, so REHEARSAL_MAX_WALLET (per mille,
+// applied with maxWalletRule before launch) loosens the wallet limit to rehearse that.
+
+const DEAD = "0x000000000000000000000000000000000000dEaD";
+
+const DEFAULTS = {
+  buyers: 10,
+  // cycled across buyers; the larger ones overshoot the 1% wallet limit at launch
+  buyEth: ["0.5", "1", "2", "4"],
+  liquidity: { tokens: "210345000000000", eth: "100" }
+};
+
+function optionsFromEnv(env = process.env) {
+  return {
+    buyers: env.REHEARSAL_BUYERS ? Number(env.REHEARSAL_BUYERS) : DEFAULTS.buyers,
+    buyEth: env.REHEARSAL_BUY_ETH ? env.REHEARSAL_BUY_ETH.split(",") : DEFAULTS.buyEth,
+    maxWalletPercent: env.REHEARSAL_MAX_WALLET ? Number(env.REHEARSAL_MAX_WALLET) : undefined
+  };
+}
+
+async function attempt(action) {
+  try {
+    await (await action()).wait();
+    return { ok: true, reason: null };
+  } catch (error) {
+    return { ok: false, reason: revertReason(error) };
+  }
+}
+
+async function rehearseLaunch({
+  buyers = DEFAULTS.buyers,
+  buyEth = DEFAULTS.buyEth,
+  liquidity = DEFAULTS.liquidity,
+  maxWalletPercent,
+  log = console.log
+} = {}) {
+  const signers = await ethers.getSigners();
+  if (buyers > signers.length - 1) {
+    throw new Error(`${buyers} buyers requested but only ${signers.length - 1} funded accounts are available`);
+  }
+  const wallets = signers.slice(1, buyers + 1);
+
+  // The rehearsal always starts from a fresh deployment, so its record is throwaway
+  const recordDir = fs.mkdtempSync(path.join(os.tmpdir(), "mog-rehearsal-"));
+  let token;
+  try {
+    ({ token } = await runPipeline({
+      config: { dex: "local", liquidity, maxWalletPercent },
+      recordPath: path.join(recordDir, "record.json"),
+      log: () => {}
+    }));
+  } finally {
+    fs.rmSync(recordDir, { recursive: true, force: true });
+  }
+
+  const router = await ethers.getContractAt("UniswapV2Router02", await token.router());
+  const weth = await ethers.getContractAt("WETH9", await router.WETH());
+  const pair = await ethers.getContractAt("UniswapV2Pair", await token.pair());
+  const dex = dexHelpers({ mogToken: token, router, weth });
+  const tokenAddress = await token.getAddress();
+  const pairAddress = await pair.getAddress();
+
+  const timeline = [];
+  const waves = [];
+
+  async function snapshot(phase) {
+    const [reserve0, reserve1] = await pair.getReserves();
+    const tokenIsToken0 = (await pair.token0()) === tokenAddress;
+    const reserveToken = tokenIsToken0 ? reserve0 : reserve1;
+    const reserveEth = tokenIsToken0 ? reserve1 : reserve0;
+
+    const feeTransfers = await token.queryFilter(token.filters.Transfer(null, tokenAddress));
+    const swapBacks = await token.queryFilter(token.filters.Transfer(tokenAddress, pairAddress));
+    const supply = await supplyReport(token);
+
+    const totalSupply = await token.totalSupply();
+    const balances = [];
+    for (const wallet of wallets) {
+      balances.push({ address: wallet.address, balance: await token.balanceOf(wallet.address) });
+    }
+    balances.sort((a, b) => (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : 0));
+    const heldByBuyers = balances.reduce((sum, { balance }) => sum + balance, 0n);
+
+    const entry = {
+      phase,
+      // ETH paid for one billion tokens at the current reserves
+      price: reserveToken === 0n ? 0n : (reserveEth * 10n ** 27n) / reserveToken,
+      reserveToken,
+      reserveEth,
+      feesCollected: feeTransfers.filter((event) => event.args.from !== tokenAddress).reduce((sum, event) => sum + event.args.value, 0n),
+      contractBalance: await token.balanceOf(tokenAddress),
+      swapBacks: swapBacks.length,
+      burned: supply.burned,
+      deadBalance: await token.balanceOf(DEAD),
+      totalSupply,
+      holders: balances.filter(({ balance }) => balance > 0n).length,
+      buyersShareBps: (heldByBuyers * 10000n) / totalSupply,
+      topHolderBps: balances.length > 0 ? (balances[0].balance * 10000n) / totalSupply : 0n,
+      maxTxAmount: await token._maxTxAmount(),
+      maxWalletToken: await token._maxWalletToken()
+    };
+    timeline.push(entry);
+    log(formatEntry(entry));
+    return entry;
+  }
+
+  async function buyWave(label) {
+    const outcomes = [];
+    for (let i = 0; i < wallets.length; i++) {
+      const ethIn = ethers.parseEther(String(buyEth[i % buyEth.length]));
+      const before = await token.balanceOf(wallets[i].address);
+      const explanation = await explainPairTransfer(token, pairAddress, wallets[i].address, await dex.quoteBuy(ethIn));
+      const result = await attempt(() => dex.buy(wallets[i], ethIn));
+      if (!result.ok && explanation) {
+        result.reason = explanation;
+      }
+      const received = (await token.balanceOf(wallets[i].address)) - before;
+      outcomes.push({ wallet: wallets[i].address, side: "buy", ethIn, received, ...result });
+    }
+    waves.push({ label, outcomes });
+    log(formatWave(label, outcomes));
+    return outcomes;
+  }
+
+  // Every second buyer (the larger sizes in the default cycle) tries to dump its whole
+  // balance, which is above _maxTxAmount for anyone holding more than 1% of supply
+  async function sellWave(label) {
+    const outcomes = [];
+    for (let i = 1; i < wallets.length; i += 2) {
+      const amount = await token.balanceOf(wallets[i].address);
+      if (amount === 0n) continue;
+      const explanation = await explainPairTransfer(token, wallets[i].address, pairAddress, amount);
+      const result = await attempt(() => dex.sell(wallets[i], amount));
+      if (!result.ok && explanation) {
+        result.reason = explanation;
+      }
+      outcomes.push({ wallet: wallets[i].address, side: "sell", amount, ...result });
+    }
+    waves.push({ label, outcomes });
+    log(formatWave(label, outcomes));
+    return outcomes;
+  }
+
+  log(header());
+  await snapshot("liquidity seeded");
+  await token.startTrading();
+  await snapshot("startTrading");
+  await buyWave("buyers at launch fees");
+  await snapshot("launch buy wave");
+  await sellWave("sellers at launch fees");
+  await snapshot("launch sell wave");
+  await token.reduceFee();
+  await snapshot("reduceFee");
+  await buyWave("buyers at reduced fees");
+  await snapshot("reduced-fee buy wave");
+  await token.removeLimits();
+  await snapshot("removeLimits");
+  await buyWave("buyers without limits");
+  await sellWave("sellers without limits");
+  await snapshot("final");
+
+  return { token, timeline, waves };
+}
+
+function header() {
+  return [
+    "phase".padEnd(22),
+    "ETH/1B tok".padStart(12),
+    "fees coll.".padStart(11),
+    "in contract".padStart(11),
+    "swaps".padStart(5),
+    "burned".padStart(10),
+    "holders".padStart(7),
+    "buyers".padStart(7),
+    "top".padStart(7)
+  ].join(" ");
+}
+
+function formatEntry(entry) {
+  return [
+    entry.phase.padEnd(22),
+    Number(ethers.formatEther(entry.price)).toFixed(6).padStart(12),
+    formatTokens(entry.feesCollected).padStart(11),
+    formatTokens(entry.contractBalance).padStart(11),
+    String(entry.swapBacks).padStart(5),
+    formatTokens(entry.burned).padStart(10),
+    String(entry.holders).padStart(7),
+    formatBps(entry.buyersShareBps).padStart(7),
+    formatBps(entry.topHolderBps).padStart(7)
+  ].join(" ");
+}
+
+function formatWave(label, outcomes) {
+  const filled = outcomes.filter((outcome) => outcome.ok).length;
+  const reasons = {};
+  for (const outcome of outcomes.filter((o) => !o.ok)) {
+    reasons[outcome.reason] = (reasons[outcome.reason] || 0) + 1;
+  }
+  const rejected = Object.entries(reasons).map(([reason, count]) => `${count}x "${reason}"`).join(", ");
+  return `  -> ${label}: ${filled}/${outcomes.length} filled${rejected ? `, rejected ${rejected}` : ""}`;
+}
+
+async function main() {
+  const options = optionsFromEnv();
+  console.log(`Launch rehearsal: ${options.buyers} buyers, buys of ${options.buyEth.join("/")} ETH\n`);
+  const { timeline } = await rehearseLaunch(options);
+
+  const launch = timeline.find((entry) => entry.phase === "launch buy wave");
+  const final = timeline[timeline.length - 1];
+  console.log("\n=== Summary ===");
+  console.log("Max TX / Max Wallet at launch:", ethers.formatUnits(launch.maxTxAmount, 18), "/", ethers.formatUnits(launch.maxWalletToken, 18));
+  console.log("Fees collected:", ethers.formatUnits(final.feesCollected, 18));
+  console.log("Burned (removed from totalSupply and held by DEAD):", ethers.formatUnits(final.burned, 18));
+  console.log("Price change:", `${Number(ethers.formatEther(timeline[0].price)).toFixed(6)} -> ${Number(ethers.formatEther(final.price)).toFixed(6)} ETH per 1B tokens`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  DEFAULTS,
+  optionsFromEnv,
+  rehearseLaunch
+};
@@ -0,0 +1,190 @@
+const { ethers } = require("hardhat");
+const { loadFixture, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { poolFixture } = require("./lib/fixtures");
+const { mineInOrder } = require("./lib/mempool");
+const { formatEth, formatBps, parseList } = require("./lib/format");
+
+// Measures what a sandwich around swapBack is worth. swapBack sells with amountOutMin = 0,
+// so in principle an attacker can move the price around it. An attacker buy, the transfer
+// that triggers swapBack and the attacker's sell of what it bought are mined in one block.
+// The attacker's profit and the change in swapBack's ETH are reported across pool depths,
+// swap thresholds and attack sizes.
+//
+//   npx hardhat run scripts/sandwich.js
+//   SANDWICH_THRESHOLD_BPS=10,70 SANDWICH_BUY_PERCENT=5,25 npx hardhat run scripts/sandwich.js
+//
+// SANDWICH_THRESHOLD_BPS sets swapThreshold in basis points of supply (70 is the deployed
+// 0.7%). SANDWICH_BUY_PERCENT sets the attacker's buy as a percentage of the pool's ETH.
+//
+// A sell cannot go first. Every transfer that isn't a buy runs a pending swapBack before
+// it moves any tokens, so an attacker's sell would run swapBack itself at the untouched
+// price. Only buys can be placed in front. Each pool starts after reduceFee() and
+// removeLimits(), at the deployed fees: 2% liquidity, 2% burn.
+
+const tokens = (amount) => ethers.parseUnits(amount, 18);
+
+const POOLS = [
+  // showBacking is 100, so swapBack skips the liquidity share
+  { name: "50% / 100 ETH", tokenBps: 5000n, eth: "100" },
+  // showBacking at or below setRatio (30): swapBack also calls addLiquidityETH
+  { name: "10% / 100 ETH", tokenBps: 1000n, eth: "100" },
+  { name: "2% / 10 ETH", tokenBps: 200n, eth: "10" }
+];
+const THRESHOLD_BPS = [1n, 10n, 70n];
+const BUY_PERCENT = [1n, 10n, 50n];
+const VICTIM_TRANSFER = tokens("1000");
+const GAS_LIMIT = 2_000_000n;
+
+// Runs on top of each pool fixture
+async function prepareSandwich({ mogToken, router, addr1: attacker, addr2: victim }) {
+  await mogToken.startTrading();
+  await mogToken.reduceFee();
+  await mogToken.removeLimits();
+  await mogToken.transfer(victim.address, VICTIM_TRANSFER * 10n);
+  await mogToken.connect(attacker).approve(await router.getAddress(), ethers.MaxUint256);
+  return { attacker, victim };
+}
+
+// ETH the pair paid out in a receipt, summed over its Swap events
+async function ethFromPair(receipt, { pair, weth }) {
+  const wethIsToken0 = (await pair.token0()) === (await weth.getAddress());
+  let eth = 0n;
+  let swaps = 0;
+  for (const log of receipt.logs) {
+    if (log.address !== pair.target) continue;
+    const event = pair.interface.parseLog(log);
+    if (!event || event.name !== "Swap") continue;
+    swaps++;
+    eth += wethIsToken0 ? event.args.amount0Out : event.args.amount1Out;
+  }
+  return { eth, swaps };
+}
+
+function sellTokens(fixture, amount, overrides) {
+  const { router, mogToken, weth, attacker } = fixture;
+  return router
+    .connect(attacker)
+    .swapExactTokensForETHSupportingFeeOnTransferTokens(amount, 0, [mogToken.target, weth.target], attacker.address, ethers.MaxUint256, overrides);
+}
+
+async function sandwichCell(pool, thresholdBps, buyPercent) {
+  const fixture = await loadFixture(poolFixture(pool, prepareSandwich));
+  const { mogToken, dex, attacker, victim, owner } = fixture;
+  const supply = await mogToken.totalSupply();
+  const threshold = (supply * thresholdBps) / 10000n;
+  const ethIn = (ethers.parseEther(pool.eth) * buyPercent) / 100n;
+
+  await mogToken.setSwapBackSettings(true, threshold);
+  await mogToken.transfer(await mogToken.getAddress(), threshold);
+  const start = await takeSnapshot();
+  const triggerSwapBack = (overrides = {}) => mogToken.connect(victim).transfer(owner.address, VICTIM_TRANSFER, overrides);
+
+  // swapBack with nobody in front of it
+  const alone = await ethFromPair(await (await triggerSwapBack()).wait(), fixture);
+  await start.restore();
+
+  // the attacker simulates its buy first, so the sell can be sized before the block
+  const before = await mogToken.balanceOf(attacker.address);
+  await (await dex.buy(attacker, ethIn)).wait();
+  const bought = (await mogToken.balanceOf(attacker.address)) - before;
+  await start.restore();
+
+  const ethBefore = await ethers.provider.getBalance(attacker.address);
+  const [front, middle, back] = await mineInOrder([
+    { label: "attacker buy", send: (fees) => dex.buy(attacker, ethIn, { ...fees, gasLimit: GAS_LIMIT }) },
+    { label: "swapBack trigger", send: (fees) => triggerSwapBack({ ...fees, gasLimit: GAS_LIMIT }) },
+    { label: "attacker sell", send: (fees) => sellTokens(fixture, bought, { ...fees, gasLimit: GAS_LIMIT }) }
+  ]);
+  for (const receipt of [front, middle, back]) {
+    if (receipt.status !== 1) throw new Error(`Sandwich transaction reverted in pool ${pool.name} at threshold ${thresholdBps} bps`);
+  }
+  const gasCost = front.gasUsed * front.gasPrice + back.gasUsed * back.gasPrice;
+  const profit = (await ethers.provider.getBalance(attacker.address)) - ethBefore + gasCost;
+  const sandwiched = await ethFromPair(middle, fixture);
+  // the attacker's own sell is one swap; any other is a second swapBack its sell triggered
+  const extraSwapBacks = (await ethFromPair(back, fixture)).swaps - 1;
+  await start.restore();
+
+  return {
+    pool: pool.name,
+    thresholdBps,
+    buyPercent,
+    ethIn,
+    threshold,
+    profit,
+    gasCost,
+    swapBackETH: alone.eth,
+    swapBackChange: sandwiched.eth - alone.eth,
+    extraSwapBacks
+  };
+}
+
+async function runSandwich({ pools = POOLS, thresholds = THRESHOLD_BPS, buyPercents = BUY_PERCENT, log = () => {} } = {}) {
+  const rows = [];
+  for (const pool of pools) {
+    for (const thresholdBps of thresholds) {
+      log(`${pool.name}, threshold ${thresholdBps} bps...`);
+      for (const buyPercent of buyPercents) {
+        rows.push(await sandwichCell(pool, thresholdBps, buyPercent));
+      }
+    }
+  }
+  return rows;
+}
+
+// Extractable value is the attacker's best profit before gas for each pool and
+// threshold, or zero when every attack size loses money
+function extractableValue(rows) {
+  const best = new Map();
+  for (const row of rows) {
+    const key = `${row.pool}|${row.thresholdBps}`;
+    if (!best.has(key) || row.profit > best.get(key).profit) best.set(key, row);
+  }
+  return [...best.values()].map((row) => ({ pool: row.pool, thresholdBps: row.thresholdBps, buyPercent: row.buyPercent, value: row.profit > 0n ? row.profit : 0n }));
+}
+
+function toMarkdown(rows) {
+  const lines = [
+    "| pool | threshold | swapBack ETH | attacker buy | attacker profit | gas | swapBack ETH change | swapBacks in attacker sell |",
+    "| --- | --- | --- | --- | --- | --- | --- | --- |"
+  ];
+  for (const row of rows) {
+    lines.push(
+      `| ${row.pool} | ${formatBps(row.thresholdBps)} | ${formatEth(row.swapBackETH)} | ${formatEth(row.ethIn)} (${row.buyPercent}%) | ` +
+        `${formatEth(row.profit)} | ${formatEth(row.gasCost)} | ${formatEth(row.swapBackChange)} | ${row.extraSwapBacks} |`
+    );
+  }
+  lines.push("", "Extractable value (best attack size, before gas):", "");
+  for (const cell of extractableValue(rows)) {
+    lines.push(`- ${cell.pool}, threshold ${formatBps(cell.thresholdBps)}: ${formatEth(cell.value)} ETH` + (cell.value > 0n ? ` (buy ${cell.buyPercent}% of pool ETH)` : ""));
+  }
+  return lines.join("\n") + "\n";
+}
+
+async function main() {
+  const rows = await runSandwich({
+    thresholds: process.env.SANDWICH_THRESHOLD_BPS ? parseList(process.env.SANDWICH_THRESHOLD_BPS) : THRESHOLD_BPS,
+    buyPercents: process.env.SANDWICH_BUY_PERCENT ? parseList(process.env.SANDWICH_BUY_PERCENT) : BUY_PERCENT,
+    log: (line) => console.error(line)
+  });
+  console.log(toMarkdown(rows));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  POOLS,
+  THRESHOLD_BPS,
+  BUY_PERCENT,
+  sandwichCell,
+  runSandwich,
+  extractableValue,
+  toMarkdown
+};
@@ -0,0 +1,192 @@
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMOGWithLiquidityFixture } = require("./lib/fixtures");
+const { failureReason, explainPairTransfer } = require("./lib/errors");
+const { parseCalls, formatCall } = require("./lib/calls");
+
+// Checks whether a regular holder can still sell through the pair after a sequence of
+// owner calls, and what share of the fee-free quote they get back.
+//
+//   npx hardhat run scripts/sellability.js
+//   SELLABILITY_CALLS="setStructure(100, 10000, 100); renounceOwnership()" npx hardhat run scripts/sellability.js
+//
+// SELLABILITY_CALLS replaces the built-in scenarios with one call sequence. Arguments are
+// numbers, true/false or one of the named accounts: @owner, @dead, @reverting (a receiver
+// that rejects ETH) and @gasBurner (one that burns all gas forwarded to it).
+//
+// Each scenario starts from the launch state: trading open at the launch multipliers,
+// the contract holding swapThreshold so the sell also runs swapBack and pays the fee
+// receivers, and a holder with HOLDER_BALANCE. The verdict is one of
+//   sellable  - the sell goes through and recovers at least minRecoveryBps
+//   punitive  - it goes through, but below minRecoveryBps or above maxGas
+//   honeypot  - buys still go through, sells revert
+//   frozen    - neither buys nor sells go through
+// A scenario that ends with no owner cannot be fixed, and is reported as permanent.
+
+const tokens = (amount) => ethers.parseUnits(amount, 18);
+const DEAD = "0x000000000000000000000000000000000000dEaD";
+
+const HOLDER_BALANCE = tokens("1000000000");
+const BUY_ETH = ethers.parseEther("0.1");
+const DEFAULTS = { minRecoveryBps: 5000n, maxGas: 1_000_000n };
+
+// setParameters at the 49% cap, split between liquidity and burn
+const MAX_FEES = ["setParameters", 24, 0, 0, 0, 25, 100];
+
+const SCENARIOS = [
+  { name: "launch", calls: [] },
+  { name: "reduced", calls: [["reduceFee"]] },
+  { name: "max fees, reduced", calls: [MAX_FEES, ["reduceFee"]] },
+  { name: "max fees at launch", calls: [MAX_FEES] },
+  { name: "sell multiplier 24x", calls: [["setStructure", 100, 2400, 100]] },
+  { name: "sell multiplier 100x", calls: [["setStructure", 100, 10000, 100]] },
+  { name: "sell multiplier 100x, renounced", calls: [["setStructure", 100, 10000, 100], ["renounceOwnership"]] },
+  { name: "all fees zero", calls: [["setParameters", 0, 0, 0, 0, 0, 100]] },
+  { name: "swap threshold zero", calls: [["reduceFee"], ["setSwapBackSettings", true, 0]] },
+  { name: "reverting fee receivers", calls: [["reduceFee"], ["setWallets", "@owner", "@reverting", "@reverting", "@dead", "@reverting"]] },
+  { name: "gas-burning marketing receiver", calls: [["reduceFee"], ["setWallets", "@owner", "@gasBurner", "@owner", "@dead", "@owner"]] }
+];
+
+async function launchFixture() {
+  const fixture = await deployMOGWithLiquidityFixture();
+  const { mogToken, addr1 } = fixture;
+  await mogToken.startTrading();
+  await mogToken.transfer(addr1.address, HOLDER_BALANCE);
+  await mogToken.transfer(await mogToken.getAddress(), await mogToken.swapThreshold());
+
+  const reverting = await (await ethers.getContractFactory("RevertingReceiver")).deploy();
+  const gasBurner = await (await ethers.getContractFactory("GasBurningReceiver")).deploy();
+  return { ...fixture, receivers: { reverting, gasBurner } };
+}
+
+async function resolveArg(arg, { owner, receivers }) {
+  if (typeof arg !== "string" || !arg.startsWith("@")) return arg;
+  if (arg === "@owner") return owner.address;
+  if (arg === "@dead") return DEAD;
+  if (receivers[arg.slice(1)]) return receivers[arg.slice(1)].getAddress();
+  throw new Error(`Unknown account ${arg}; use @owner, @dead, @reverting or @gasBurner`);
+}
+
+function verdictOf(row, { minRecoveryBps, maxGas }) {
+  if (!row.sellable) return row.buyable ? "honeypot" : "frozen";
+  return row.recoveryBps < minRecoveryBps || row.gasUsed > maxGas ? "punitive" : "sellable";
+}
+
+async function analyzeScenario(scenario, options = {}) {
+  const limits = { ...DEFAULTS, ...options };
+  const fixture = await loadFixture(launchFixture);
+  const { mogToken, dex, router, weth, pair, addr1: holder, addr2: buyer, addr3: proceeds } = fixture;
+
+  for (const [name, ...args] of scenario.calls) {
+    const resolved = await Promise.all(args.map((arg) => resolveArg(arg, fixture)));
+    await mogToken[name](...resolved);
+  }
+
+  const row = {
+    scenario: scenario.name,
+    calls: scenario.calls.map(formatCall),
+    sellable: false,
+    sellReason: null,
+    fairEth: await dex.quoteSell(HOLDER_BALANCE),
+    ethOut: 0n,
+    recoveryBps: 0n,
+    gasUsed: null,
+    buyable: false,
+    buyReason: null
+  };
+
+  const tokenAddress = await mogToken.getAddress();
+  const routerAddress = await router.getAddress();
+  const pairAddress = await pair.getAddress();
+
+  // proceeds go to a separate account so gas does not blur the amount recovered
+  await mogToken.connect(holder).approve(routerAddress, HOLDER_BALANCE);
+  const ethBefore = await ethers.provider.getBalance(proceeds.address);
+  try {
+    const path = [tokenAddress, await weth.getAddress()];
+    const tx = await router
+      .connect(holder)
+      .swapExactTokensForETHSupportingFeeOnTransferTokens(HOLDER_BALANCE, 0, path, proceeds.address, await dex.deadline());
+    const receipt = await tx.wait();
+    row.sellable = true;
+    row.gasUsed = receipt.gasUsed;
+    row.ethOut = (await ethers.provider.getBalance(proceeds.address)) - ethBefore;
+    row.recoveryBps = (row.ethOut * 10000n) / row.fairEth;
+  } catch (error) {
+    row.sellReason = (await explainPairTransfer(mogToken, holder.address, pairAddress, HOLDER_BALANCE, routerAddress)) || failureReason(error);
+  }
+
+  const bought = await dex.quoteBuy(BUY_ETH);
+  try {
+    await (await dex.buy(buyer, BUY_ETH)).wait();
+    row.buyable = true;
+  } catch (error) {
+    row.buyReason = (await explainPairTransfer(mogToken, pairAddress, buyer.address, bought)) || failureReason(error);
+  }
+
+  row.permanent = !row.sellable && (await mogToken.owner()) === ethers.ZeroAddress;
+  row.verdict = verdictOf(row, limits);
+  return row;
+}
+
+async function runSellability({ scenarios = SCENARIOS, log = () => {}, ...options } = {}) {
+  const rows = [];
+  for (const scenario of scenarios) {
+    const row = await analyzeScenario(scenario, options);
+    rows.push(row);
+    log(`${scenario.name}: ${row.verdict}`);
+  }
+  return rows;
+}
+
+function formatPercent(bps) {
+  return `${bps / 100n}.${String(bps % 100n).padStart(2, "0")}%`;
+}
+
+function toMarkdown(rows) {
+  const lines = [
+    "| scenario | owner calls | verdict | recovered | sell gas | sell | buy |",
+    "| --- | --- | --- | ---: | ---: | --- | --- |"
+  ];
+  for (const row of rows) {
+    const verdict = row.permanent ? `${row.verdict} (permanent)` : row.verdict;
+    lines.push(
+      `| ${row.scenario} | ${row.calls.map((call) => `\`${call}\``).join(", ") || "-"} | ${verdict} | ` +
+        `${row.sellable ? formatPercent(row.recoveryBps) : "-"} | ${row.gasUsed ?? "-"} | ` +
+        `${row.sellable ? "ok" : row.sellReason} | ${row.buyable ? "ok" : row.buyReason} |`
+    );
+  }
+
+  const blocked = rows.filter((row) => !row.sellable);
+  lines.push("", blocked.length === 0 ? "A holder could sell in every scenario." : "Selling is impossible after:", "");
+  for (const row of blocked) {
+    lines.push(`- ${row.scenario}: ${row.calls.map((call) => `\`${call}\``).join(" then ")} (${row.sellReason})`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+async function main() {
+  const scenarios = process.env.SELLABILITY_CALLS
+    ? [{ name: "custom", calls: parseCalls(process.env.SELLABILITY_CALLS) }]
+    : SCENARIOS;
+  const rows = await runSellability({ scenarios, log: (line) => console.error(line) });
+  console.log(toMarkdown(rows));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  HOLDER_BALANCE,
+  SCENARIOS,
+  verdictOf,
+  analyzeScenario,
+  runSellability,
+  toMarkdown
+};
@@ -0,0 +1,210 @@
+const { ethers } = require("hardhat");
+const { loadFixture, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { poolFixture } = require("./lib/fixtures");
+const { storageReader } = require("./lib/storage");
+const { formatTokens, formatEth, formatBps, parseList } = require("./lib/format");
+
+// Price impact of one swapBack at different swapThreshold settings, for a given pool. For
+// each threshold it predicts, from the V2 formula, the tokens swapBack sells, the ETH it
+// realizes, the slippage against the spot price and the price drop. It then runs the
+// swapBack on the local pair and reports what actually happened. It also recommends the
+// largest threshold that keeps slippage under each target.
+//
+//   npx hardhat run scripts/swap-threshold.js
+//   THRESHOLD_POOL_TOKEN_BPS=1000 THRESHOLD_POOL_ETH=20 THRESHOLD_TARGET_BPS=100,300 npx hardhat run scripts/swap-threshold.js
+//
+// The pool is THRESHOLD_POOL_TOKEN_BPS of supply (basis points) against THRESHOLD_POOL_ETH.
+// THRESHOLD_CANDIDATE_BPS lists thresholds to report, in basis points of supply; the
+// deployed 0.7% is always included. Slippage compares the ETH out with the tokens sold at
+// the spot price, so it includes the pair's 0.3% fee and no target can go below it.
+
+const DEFAULTS = {
+  pool: { tokenBps: 5000n, eth: "100" },
+  candidates: [1n, 10n, 25n, 50n, 100n, 200n],
+  targets: [50n, 100n, 300n]
+};
+
+const ONE_TOKEN = ethers.parseUnits("1", 18);
+
+async function reserves({ pair, mogToken }) {
+  const [reserve0, reserve1] = await pair.getReserves();
+  return (await pair.token0()) === mogToken.target ? { tokens: reserve0, eth: reserve1 } : { tokens: reserve1, eth: reserve0 };
+}
+
+// Everything swapBack's amounts depend on. liquidityFee and totalFee have no getters.
+async function poolState(fixture) {
+  const { mogToken } = fixture;
+  const storage = await storageReader(mogToken, "MOG");
+  const setRatio = await storage.read("setRatio");
+  const setRatioDenominator = await storage.read("setRatioDenominator");
+  return {
+    ...(await reserves(fixture)),
+    supply: await mogToken.totalSupply(),
+    liquidityFee: await storage.read("liquidityFee"),
+    totalFee: await storage.read("totalFee"),
+    // showBacking is read before the swap, so it is fixed for a given pool
+    backed: await mogToken.checkRatio(setRatio, setRatioDenominator),
+    currentThreshold: await mogToken.swapThreshold()
+  };
+}
+
+// swapBack's split and the pair's getAmountOut, without touching the chain
+function predictSwapBack(state, threshold) {
+  const dynamicLiquidityFee = state.backed ? 0n : state.liquidityFee;
+  const toLiquify = (threshold * dynamicLiquidityFee) / state.totalFee / 2n;
+  const toSwap = threshold - toLiquify;
+  const ethOut = (toSwap * 997n * state.eth) / (state.tokens * 1000n + toSwap * 997n);
+  // the same tokens at the spot price
+  const spotValue = (toSwap * state.eth) / state.tokens;
+  return {
+    threshold,
+    toSwap,
+    toLiquify,
+    ethOut,
+    slippageBps: spotValue === 0n ? 0n : ((spotValue - ethOut) * 10000n) / spotValue,
+    priceImpactBps: priceDrop(state, { tokens: state.tokens + toSwap, eth: state.eth - ethOut })
+  };
+}
+
+// Drop in ETH per token between two reserve states, in basis points
+function priceDrop(before, after) {
+  return 10000n - (after.eth * before.tokens * 10000n) / (after.tokens * before.eth);
+}
+
+function withinTarget(state, threshold, targetBps) {
+  const { toSwap, ethOut } = predictSwapBack(state, threshold);
+  return ethOut * 10000n * state.tokens >= toSwap * state.eth * (10000n - targetBps);
+}
+
+// Largest threshold whose swapBack stays within targetBps of slippage; null when even
+// one token pays more (the pair's fee alone is 30 bps). The search starts at one token
+// because a few wei round to no ETH at all.
+function maxThreshold(state, targetBps) {
+  if (!withinTarget(state, ONE_TOKEN, targetBps)) return null;
+  let low = ONE_TOKEN;
+  let high = state.supply;
+  while (low < high) {
+    const mid = (low + high + 1n) / 2n;
+    if (withinTarget(state, mid, targetBps)) low = mid;
+    else high = mid - 1n;
+  }
+  return low;
+}
+
+// Runs swapBack at `threshold` on the pair: the owner seeds the contract and its next
+// transfer (fee-exempt, so nothing else changes) triggers the swap. Rolled back afterwards.
+async function executeSwapBack(fixture, threshold) {
+  const { mogToken, addr1, pair, weth } = fixture;
+  const snapshot = await takeSnapshot();
+  try {
+    const before = await reserves(fixture);
+    await mogToken.setSwapBackSettings(true, threshold);
+    await mogToken.transfer(mogToken.target, threshold);
+    const receipt = await (await mogToken.transfer(addr1.address, 1n)).wait();
+
+    const wethIsToken0 = (await pair.token0()) === weth.target;
+    const swap = receipt.logs
+      .filter((log) => log.address === pair.target)
+      .map((log) => pair.interface.parseLog(log))
+      .find((event) => event && event.name === "Swap");
+    const toSwap = wethIsToken0 ? swap.args.amount1In : swap.args.amount0In;
+    const ethOut = wethIsToken0 ? swap.args.amount0Out : swap.args.amount1Out;
+    const spotValue = (toSwap * before.eth) / before.tokens;
+    return {
+      toSwap,
+      ethOut,
+      slippageBps: ((spotValue - ethOut) * 10000n) / spotValue,
+      // after addLiquidityETH too, when swapBack liquified
+      priceImpactBps: priceDrop(before, await reserves(fixture)),
+      liquified: receipt.logs.some((log) => log.address === mogToken.target && mogToken.interface.parseLog(log)?.name === "AutoLiquify")
+    };
+  } finally {
+    await snapshot.restore();
+  }
+}
+
+async function runThresholdReport({ pool = DEFAULTS.pool, candidates = DEFAULTS.candidates, targets = DEFAULTS.targets, log = () => {} } = {}) {
+  const fixture = await loadFixture(poolFixture(pool));
+  const state = await poolState(fixture);
+
+  const thresholds = candidates.map((bps) => ({ label: `${bps} bps`, threshold: (state.supply * bps) / 10000n }));
+  thresholds.push({ label: "current", threshold: state.currentThreshold });
+
+  const recommendations = targets.map((targetBps) => ({ targetBps, threshold: maxThreshold(state, targetBps) }));
+  for (const recommendation of recommendations) {
+    if (recommendation.threshold !== null) thresholds.push({ label: `max for ${recommendation.targetBps} bps`, threshold: recommendation.threshold });
+  }
+
+  const rows = [];
+  for (const { label, threshold } of thresholds.sort((a, b) => (a.threshold < b.threshold ? -1 : a.threshold > b.threshold ? 1 : 0))) {
+    log(`${label}...`);
+    rows.push({ label, predicted: predictSwapBack(state, threshold), realized: await executeSwapBack(fixture, threshold) });
+  }
+  for (const recommendation of recommendations) {
+    recommendation.realized = rows.find((row) => row.predicted.threshold === recommendation.threshold)?.realized ?? null;
+  }
+  return { pool, state, rows, recommendations };
+}
+
+const shareOf = (amount, total) => formatBps((amount * 10000n) / total);
+
+function toMarkdown({ state, rows, recommendations }) {
+  const lines = [
+    `Pool: ${formatTokens(state.tokens)} tokens (${shareOf(state.tokens, state.supply)} of supply) / ${formatEth(state.eth)} ETH, ` +
+      `${state.backed ? "backed, so swapBack skips the liquidity share" : "below setRatio, so swapBack adds liquidity"}`,
+    "",
+    "| threshold | tokens | % of supply | sold to pair | % of pool | ETH realized | slippage | price impact | matches prediction |",
+    "| --- | --- | --- | --- | --- | --- | --- | --- | --- |"
+  ];
+  for (const { label, predicted, realized } of rows) {
+    const matches = realized.toSwap === predicted.toSwap && realized.ethOut === predicted.ethOut;
+    lines.push(
+      `| ${label} | ${formatTokens(predicted.threshold)} | ${shareOf(predicted.threshold, state.supply)} | ${formatTokens(realized.toSwap)} | ` +
+        `${shareOf(realized.toSwap, state.tokens)} | ${formatEth(realized.ethOut)} | ${formatBps(realized.slippageBps)} | ` +
+        `${formatBps(realized.priceImpactBps)} | ${matches ? "yes" : "no"} |`
+    );
+  }
+  lines.push("", "Recommended maximum swapThreshold:", "");
+  for (const { targetBps, threshold, realized } of recommendations) {
+    lines.push(
+      threshold === null
+        ? `- ${formatBps(targetBps)} slippage: none, the pair's 0.3% fee is already above it`
+        : `- ${formatBps(targetBps)} slippage: ${formatTokens(threshold)} tokens (${shareOf(threshold, state.supply)} of supply), ` +
+            `realized ${formatBps(realized.slippageBps)}`
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+async function main() {
+  const env = process.env;
+  const report = await runThresholdReport({
+    pool: {
+      tokenBps: env.THRESHOLD_POOL_TOKEN_BPS ? BigInt(env.THRESHOLD_POOL_TOKEN_BPS) : DEFAULTS.pool.tokenBps,
+      eth: env.THRESHOLD_POOL_ETH || DEFAULTS.pool.eth
+    },
+    candidates: env.THRESHOLD_CANDIDATE_BPS ? parseList(env.THRESHOLD_CANDIDATE_BPS) : DEFAULTS.candidates,
+    targets: env.THRESHOLD_TARGET_BPS ? parseList(env.THRESHOLD_TARGET_BPS) : DEFAULTS.targets,
+    log: (line) => console.error(line)
+  });
+  console.log(toMarkdown(report));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  DEFAULTS,
+  poolState,
+  predictSwapBack,
+  maxThreshold,
+  executeSwapBack,
+  runThresholdReport,
+  toMarkdown
+};
@@ -1,22 +1,21 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMOGTokenFixture } = require("../scripts/lib/fixtures");
+const mogModel = require("./helpers/mogModel");
+const { supplyReport } = require("../scripts/lib/supply");
+const { recordValue, recordTransaction } = require("./helpers/auditReport");
+const { storageReader } = require("../scripts/lib/storage");
+const { describeFinding } = require("./helpers/findings");
 
+// Findings 3 to 5 (fee cap, trading gate, limits), the multipliers of finding 2 and the
+// lock after renouncement are verified by the tax token kit, which the MOG profile tags
+// with these findings (test/kit/profiles/mog.js). What stays here is specific to MOG.
 describe("MOG Token - Audit Findings Verification", function () {
   let mogToken;
   let owner;
   let addr1;
   let addr2;
-  let addr3;
-
-  async function deployMOGTokenFixture() {
-    const [owner, addr1, addr2, addr3, ...addrs] = await ethers.getSigners();
-    
-    const MOGToken = await ethers.getContractFactory("MOG");
-    const mogToken = await MOGToken.deploy();
-    
-    return { mogToken, owner, addr1, addr2, addr3, addrs };
-  }
 
   beforeEach(async function () {
     const fixture = await loadFixture(deployMOGTokenFixture);
@@ -24,51 +23,24 @@ describe("MOG Token - Audit Findings Verification", function () {
     owner = fixture.owner;
     addr1 = fixture.addr1;
     addr2 = fixture.addr2;
-    addr3 = fixture.addr3;
   });
 
-  describe("🔍 Finding 1: Contract Renouncement Risk", function () {
+  describeFinding("MOG-01", function () {
     it("Should confirm owner can renounce ownership permanently", async function () {
       // Verify owner is initially set
       expect(await mogToken.owner()).to.equal(owner.address);
       
       // Renounce ownership
-      await mogToken.renounceOwnership();
+      await recordTransaction(this, "renounceOwnership", await mogToken.renounceOwnership(), mogToken);
       
       // Verify ownership is permanently renounced (set to zero address)
       expect(await mogToken.owner()).to.equal(ethers.ZeroAddress);
-      
-      // Verify that no owner functions can be called after renouncement
-      await expect(
-        mogToken.setParameters(1, 1, 1, 1, 1, 100)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
-      
-      await expect(
-        mogToken.startTrading()
-      ).to.be.revertedWith("Ownable: caller is not the owner");
-      
-      await expect(
-        mogToken.removeLimits()
-      ).to.be.revertedWith("Ownable: caller is not the owner");
-    });
-
-    it("Should confirm no recovery mechanism exists after renouncement", async function () {
-      // Renounce ownership
-      await mogToken.renounceOwnership();
-      
-      // Verify no one can become owner again
-      await expect(
-        mogToken.connect(addr1).transferOwnership(addr1.address)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
-      
-      // Verify even original owner cannot regain control
-      await expect(
-        mogToken.transferOwnership(owner.address)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      recordValue(this, "owner() after renouncement", await mogToken.owner());
+      // that every owner function is locked afterwards is checked by the tax token kit
     });
   });
 
-  describe("🔍 Finding 2: High Initial Fees During Trading Start", function () {
+  describeFinding("MOG-02", function () {
     it("Should confirm startTrading() sets extremely high buy fees (14x)", async function () {
       // Start trading
       await mogToken.startTrading();
@@ -79,9 +51,13 @@ describe("MOG Token - Audit Findings Verification", function () {
       // Give addr1 some tokens to test fees
       await mogToken.transfer(addr1.address, ethers.parseUnits("10000", 18));
       
-      // Test buy simulation (transfer from pair would be detected as buy)
-      // Since we can't easily simulate DEX pair, we'll verify the fee percentages directly
-      // buypercent should be 1400 (14x the base fee)
+      // Buys and sells through the pair are covered exactly by the tax token kit
+      // buypercent is private; read it and the other multipliers from storage
+      const storage = await storageReader(mogToken, "MOG");
+      expect(await storage.read("buypercent")).to.equal(1400n);
+      expect(await storage.read("sellpercent")).to.equal(800n);
+      expect(await storage.read("transferpercent")).to.equal(1000n);
+      recordValue(this, "buypercent after startTrading", await storage.read("buypercent"));
       
       // The base totalFee is 4% (2% liquidity + 2% burn)
       // With buypercent = 1400, effective buy fee = 4% * 14 = 56%
@@ -97,184 +73,24 @@ describe("MOG Token - Audit Findings Verification", function () {
       const addr2Balance = await mogToken.balanceOf(addr2.address);
       
       // With transferpercent = 1000 (10x), the effective fee is 4% * 10 = 40%
-      // So addr2 should receive approximately 60% of the transfer amount
-      const expectedMinReceived = transferAmount * 50n / 100n; // At least 50% (allowing for some variance)
-      const expectedMaxReceived = transferAmount * 70n / 100n; // At most 70%
+      // So addr2 should receive exactly 60% of the transfer amount
+      let model = mogModel.initialState({
+        owner: owner.address,
+        contract: await mogToken.getAddress(),
+        pair: await mogToken.pair()
+      });
+      model = mogModel.startTrading(model);
+      model = mogModel.transfer(model, { sender: owner.address, recipient: addr1.address, amount: ethers.parseUnits("10000", 18) }).state;
+      const expected = mogModel.transfer(model, { sender: addr1.address, recipient: addr2.address, amount: transferAmount });
       
-      expect(addr2Balance).to.be.gte(expectedMinReceived);
-      expect(addr2Balance).to.be.lte(expectedMaxReceived);
+      expect(addr2Balance).to.equal(expected.received);
+      expect(addr2Balance).to.equal(transferAmount * 60n / 100n);
+      recordValue(this, "received of a 1000 token transfer at launch", addr2Balance);
       expect(addr2Balance).to.be.lt(transferAmount); // Definitely less than full amount due to fees
     });
-
-    it("Should confirm reduceFee() brings fees back to normal levels", async function () {
-      // Start trading (high fees)
-      await mogToken.startTrading();
-      
-      // Give addr1 tokens
-      await mogToken.transfer(addr1.address, ethers.parseUnits("10000", 18));
-      
-      // Test high fee transfer
-      const transferAmount = ethers.parseUnits("1000", 18);
-      await mogToken.connect(addr1).transfer(addr2.address, transferAmount);
-      const highFeeBalance = await mogToken.balanceOf(addr2.address);
-      
-      // Reset for normal fee test
-      await mogToken.connect(addr2).transfer(addr3.address, highFeeBalance);
-      
-      // Reduce fees to normal
-      await mogToken.reduceFee();
-      
-      // Test normal fee transfer
-      await mogToken.connect(addr1).transfer(addr2.address, transferAmount);
-      const normalFeeBalance = await mogToken.balanceOf(addr2.address);
-      
-      // Normal fee balance should be significantly higher than high fee balance
-      expect(normalFeeBalance).to.be.gt(highFeeBalance);
-      
-      // With normal fees (100%), the effective fee is 4% * 1 = 4%
-      // So addr2 should receive approximately 96% of the transfer amount
-      const expectedReceived = transferAmount * 96n / 100n;
-      expect(normalFeeBalance).to.be.gte(expectedReceived - ethers.parseUnits("10", 18)); // Allow small variance
-    });
   });
 
-  describe("🔍 Finding 3: Fee Manipulation Capabilities", function () {
-    it("Should confirm owner can set fees up to 49% maximum", async function () {
-      // Test setting fees at maximum allowed (49%)
-      await mogToken.setParameters(24, 25, 0, 0, 0, 100);
-      expect(await mogToken.totalFee()).to.equal(49);
-      
-      // Test that 50% or higher is rejected
-      await expect(
-        mogToken.setParameters(50, 0, 0, 0, 0, 100)
-      ).to.be.revertedWith("Fees can not be more than 50%");
-      
-      await expect(
-        mogToken.setParameters(25, 25, 1, 0, 0, 100)
-      ).to.be.revertedWith("Fees can not be more than 50%");
-    });
-
-    it("Should confirm fee structure manipulation affects different transaction types", async function () {
-      await mogToken.startTrading();
-      
-      // Set different fee structures for buy/sell/transfer
-      await mogToken.setStructure(200, 300, 150); // 2x buy, 3x sell, 1.5x transfer
-      
-      // This test verifies the owner's ability to manipulate fees
-      // The actual fee calculation happens in takeFee() function
-      // We've confirmed the setStructure function works without reversion
-      
-      // Give tokens for testing
-      await mogToken.transfer(addr1.address, ethers.parseUnits("10000", 18));
-      
-      // Test that transfers still work with modified structure
-      const transferAmount = ethers.parseUnits("100", 18);
-      await mogToken.connect(addr1).transfer(addr2.address, transferAmount);
-      
-      const receivedAmount = await mogToken.balanceOf(addr2.address);
-      expect(receivedAmount).to.be.gt(0);
-      expect(receivedAmount).to.be.lt(transferAmount); // Fees were applied
-    });
-  });
-
-  describe("🔍 Finding 4: Trading Control Centralization", function () {
-    it("Should confirm trading can be disabled by default and requires owner to enable", async function () {
-      // Verify trading is disabled by default
-      expect(await mogToken.TradingOpen()).to.be.false;
-      
-      // Give addr1 some tokens
-      await mogToken.transfer(addr1.address, ethers.parseUnits("1000", 18));
-      
-      // Verify non-authorized addresses cannot trade when disabled
-      await expect(
-        mogToken.connect(addr1).transfer(addr2.address, ethers.parseUnits("100", 18))
-      ).to.be.revertedWith("Trading not open yet");
-      
-      // Verify only owner can enable trading
-      await expect(
-        mogToken.connect(addr1).startTrading()
-      ).to.be.revertedWith("Ownable: caller is not the owner");
-      
-      // Owner enables trading
-      await mogToken.startTrading();
-      expect(await mogToken.TradingOpen()).to.be.true;
-      
-      // Now trading should work
-      await mogToken.connect(addr1).transfer(addr2.address, ethers.parseUnits("100", 18));
-      expect(await mogToken.balanceOf(addr2.address)).to.be.gt(0);
-    });
-
-    it("Should confirm authorized addresses can bypass trading restrictions", async function () {
-      // Verify trading is disabled
-      expect(await mogToken.TradingOpen()).to.be.false;
-      
-      // Owner (authorized) should be able to transfer even when trading is disabled
-      await mogToken.transfer(addr1.address, ethers.parseUnits("1000", 18));
-      expect(await mogToken.balanceOf(addr1.address)).to.equal(ethers.parseUnits("1000", 18));
-    });
-  });
-
-  describe("🔍 Finding 5: Wallet and Transaction Limits", function () {
-    it("Should confirm initial limits are set to 1% of total supply", async function () {
-      const totalSupply = await mogToken.totalSupply();
-      const expectedLimit = totalSupply / 100n; // 1%
-      
-      expect(await mogToken._maxTxAmount()).to.equal(expectedLimit);
-      expect(await mogToken._maxWalletToken()).to.equal(expectedLimit);
-    });
-
-    it("Should confirm limits can be modified by owner", async function () {
-      // Test maxWalletRule function
-      await mogToken.maxWalletRule(50); // 5% (50/1000)
-      
-      const totalSupply = await mogToken.totalSupply();
-      const expectedWalletLimit = totalSupply * 50n / 1000n; // 5%
-      
-      expect(await mogToken._maxWalletToken()).to.equal(expectedWalletLimit);
-    });
-
-    it("Should confirm removeLimits() removes all restrictions", async function () {
-      const totalSupply = await mogToken.totalSupply();
-      
-      // Remove limits
-      await mogToken.removeLimits();
-      
-      // Verify limits are set to total supply (effectively no limit)
-      expect(await mogToken._maxTxAmount()).to.equal(totalSupply);
-      expect(await mogToken._maxWalletToken()).to.equal(totalSupply);
-    });
-
-    it("Should enforce wallet limits on non-exempt addresses", async function () {
-      await mogToken.startTrading();
-      
-      const maxWallet = await mogToken._maxWalletToken();
-      
-      // Try to send more than wallet limit to addr1
-      await expect(
-        mogToken.transfer(addr1.address, maxWallet + ethers.parseUnits("1", 18))
-      ).to.be.revertedWith("Total Holding is currently limited, you can not buy that much.");
-    });
-  });
-
-  describe("🔍 Finding 6: Burn Mechanism and Supply Reduction", function () {
-    it("Should confirm burn mechanism reduces total supply", async function () {
-      await mogToken.startTrading();
-      
-      const initialSupply = await mogToken.totalSupply();
-      
-      // Give tokens to addr1
-      await mogToken.transfer(addr1.address, ethers.parseUnits("10000", 18));
-      
-      // Transfer to trigger fees and burn
-      const transferAmount = ethers.parseUnits("1000", 18);
-      await mogToken.connect(addr1).transfer(addr2.address, transferAmount);
-      
-      const finalSupply = await mogToken.totalSupply();
-      
-      // Supply should have decreased due to burn
-      expect(finalSupply).to.be.lt(initialSupply);
-    });
-
+  describeFinding("MOG-06", function () {
     it("Should confirm burn tokens are sent to DEAD address and total supply is reduced", async function () {
       await mogToken.startTrading();
       
@@ -299,10 +115,27 @@ describe("MOG Token - Audit Findings Verification", function () {
       const burnedAmount = finalDeadBalance - initialDeadBalance;
       const supplyReduction = initialSupply - finalSupply;
       expect(burnedAmount).to.equal(supplyReduction);
+      recordValue(this, "burned to DEAD / totalSupply reduction", [burnedAmount, supplyReduction]);
+    });
+
+    it("Should confirm showSupply counts each burn twice", async function () {
+      // Only this test's blocks are replayed, so the check also holds on a fork
+      const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+      await mogToken.startTrading();
+      await mogToken.transfer(addr1.address, ethers.parseUnits("10000", 18));
+      await mogToken.connect(addr1).transfer(addr2.address, ethers.parseUnits("1000", 18));
+
+      const report = await supplyReport(mogToken, { fromBlock });
+
+      // 200 tokens burned: once out of totalSupply, again via balanceOf(DEAD) in showSupply
+      expect(report.doubleCountedBurn).to.equal(true);
+      expect(report.drift.showSupply).to.equal(ethers.parseUnits("200", 18));
+      expect(report.explained).to.equal(true);
+      recordValue(this, "showSupply drift", report.drift.showSupply);
     });
   });
 
-  describe("🔍 Finding 7: Emergency Functions Access Control", function () {
+  describeFinding("MOG-07", function () {
     it("Should confirm manualSend() can be called by anyone but only benefits autoLiquidityReceiver", async function () {
       // Send ETH to contract
       await owner.sendTransaction({
@@ -314,7 +147,7 @@ describe("MOG Token - Audit Findings Verification", function () {
       const initialBalance = await ethers.provider.getBalance(autoLiquidityReceiver);
       
       // Anyone can call manualSend
-      await mogToken.connect(addr1).manualSend();
+      await recordTransaction(this, "manualSend from a non-owner", await mogToken.connect(addr1).manualSend(), mogToken);
       
       const finalBalance = await ethers.provider.getBalance(autoLiquidityReceiver);
       
@@ -323,15 +156,15 @@ describe("MOG Token - Audit Findings Verification", function () {
     });
 
     it("Should confirm clearStuckToken() can be called by anyone", async function () {
-      // Function should be callable by anyone (though may fail if no tokens to clear)
-      await mogToken.connect(addr1).clearStuckToken(ethers.ZeroAddress, 0);
+      // Function should be callable by anyone (nothing is stuck, so it sweeps zero tokens)
+      await recordTransaction(this, "clearStuckToken from a non-owner", await mogToken.connect(addr1).clearStuckToken(await mogToken.getAddress(), 0), mogToken);
       
       // Should not revert due to access control
       // (May revert for other reasons like no tokens to transfer)
     });
   });
 
-  describe("🔍 Finding 8: SafeMath Usage with Solidity 0.8.18", function () {
+  describeFinding("MOG-08", function () {
     it("Should confirm SafeMath library is imported and used despite Solidity 0.8+ built-in overflow protection", async function () {
       // This is more of a code review finding
       // We can verify that SafeMath operations work correctly
@@ -344,10 +177,11 @@ describe("MOG Token - Audit Findings Verification", function () {
       
       // Should not revert due to SafeMath operations
       expect(await mogToken.balanceOf(addr2.address)).to.be.gt(0);
+      recordValue(this, "received of a 100 token transfer", await mogToken.balanceOf(addr2.address));
     });
   });
 
-  describe("🔍 Finding 9: Fee Calculation Complexity", function () {
+  describeFinding("MOG-09", function () {
     it("Should confirm complex fee calculation with multiple variables", async function () {
       await mogToken.startTrading();
       
@@ -377,10 +211,11 @@ describe("MOG Token - Audit Findings Verification", function () {
       // Receiver should get less due to fees
       expect(receivedAmount).to.be.lt(transferAmount);
       expect(receivedAmount).to.be.gt(0);
+      recordValue(this, "sent / received", [transferAmount, receivedAmount]);
     });
   });
 
-  describe("🔍 Finding 10: SwapBack Mechanism and Liquidity Management", function () {
+  describeFinding("MOG-10", function () {
     it("Should confirm swapBack mechanism can be controlled by owner", async function () {
       // Verify initial swapback settings
       expect(await mogToken.swapEnabled()).to.be.true;
@@ -389,7 +224,7 @@ describe("MOG Token - Audit Findings Verification", function () {
       expect(initialThreshold).to.be.gt(0);
       
       // Owner can modify swapback settings
-      await mogToken.setSwapBackSettings(false, ethers.parseUnits("500", 18));
+      await recordTransaction(this, "setSwapBackSettings(false, 500)", await mogToken.setSwapBackSettings(false, ethers.parseUnits("500", 18)), mogToken);
       
       expect(await mogToken.swapEnabled()).to.be.false;
       expect(await mogToken.swapThreshold()).to.equal(ethers.parseUnits("500", 18));
@@ -406,7 +241,7 @@ describe("MOG Token - Audit Findings Verification", function () {
     });
   });
 
-  describe("📊 Overall Security Assessment", function () {
+  describeFinding("MOG-OVERALL", function () {
     it("Should summarize key security characteristics", async function () {
       // This test documents the overall security profile
       
@@ -425,6 +260,7 @@ describe("MOG Token - Audit Findings Verification", function () {
       const maxWallet = await mogToken._maxWalletToken();
       expect(maxTx).to.be.gt(0);
       expect(maxWallet).to.be.gt(0);
+      recordValue(this, "owner / totalFee / _maxTxAmount / _maxWalletToken", [await mogToken.owner(), totalFee, maxTx, maxWallet]);
       
       // 5. Emergency functions exist
       expect(mogToken.manualSend).to.be.a('function');
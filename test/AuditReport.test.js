@@ -0,0 +1,84 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMOGTokenFixture } = require("../scripts/lib/fixtures");
+const { FINDINGS } = require("./helpers/findings");
+const { recordValue, recordTransaction, buildReport, toMarkdown, writeReport } = require("./helpers/auditReport");
+
+describe("Audit Findings Report", function () {
+  const assertionError = (message) => Object.assign(new Error(message), { name: "AssertionError" });
+
+  function allConfirmed() {
+    return FINDINGS.map((finding) => ({ finding: finding.id, test: `checks ${finding.id}`, state: "passed" }));
+  }
+
+  it("Should derive confirmed, not reproduced and error from the block's tests", async function () {
+    const results = allConfirmed();
+    results.push({ finding: "MOG-02", test: "buy fee", state: "failed", error: assertionError("expected 56 to equal 4") });
+    results.push({ finding: "MOG-03", test: "fee cap", state: "failed", error: assertionError("expected revert") });
+    results.push({ finding: "MOG-03", test: "structure", state: "failed", error: new Error("Transaction reverted without a reason") });
+    const withoutSix = results.filter((result) => result.finding !== "MOG-06");
+    withoutSix.push({ finding: "MOG-06", test: "skipped", state: "pending" });
+
+    const report = buildReport(withoutSix, { generatedAt: "2024-01-01T00:00:00.000Z" });
+    const status = Object.fromEntries(report.findings.map((finding) => [finding.id, finding.status]));
+
+    expect(status["MOG-01"]).to.equal("confirmed");
+    expect(status["MOG-02"]).to.equal("not reproduced");
+    expect(status["MOG-03"]).to.equal("error");
+    // nothing ran, so nothing was observed
+    expect(status["MOG-06"]).to.equal("not reproduced");
+    expect(report.summary).to.deep.equal({ confirmed: 8, "not reproduced": 2, error: 1 });
+    expect(report.findings[1].tests[1]).to.deep.equal({ title: "buy fee", state: "failed", error: "expected 56 to equal 4" });
+  });
+
+  it("Should record a transaction by its decoded events and values as JSON-safe data", async function () {
+    const { mogToken, owner, addr1 } = await loadFixture(deployMOGTokenFixture);
+    const tx = await mogToken.transfer(addr1.address, ethers.parseUnits("1", 18));
+
+    await recordTransaction(this, "transfer", tx, mogToken);
+    recordValue(this, "balances", { addr1: await mogToken.balanceOf(addr1.address), list: [1n, 2n] });
+
+    expect(this.test.evidence).to.deep.equal([
+      {
+        label: "transfer",
+        events: [{ name: "Transfer", kind: "transfer", args: { from: owner.address, to: addr1.address, value: ethers.parseUnits("1", 18).toString() } }]
+      },
+      { label: "balances", value: { addr1: ethers.parseUnits("1", 18).toString(), list: ["1", "2"] } }
+    ]);
+    await expect(recordTransaction(this, "no token", tx)).to.be.rejectedWith("pass the token");
+    expect(() => recordValue(this, "transfer", tx)).to.throw("use recordTransaction");
+  });
+
+  it("Should render markdown and write both report files", async function () {
+    const results = allConfirmed();
+    results[5].evidence = [
+      { label: "showSupply drift", value: "200" },
+      { label: "burn", events: [{ name: "Transfer", kind: "burn", args: { from: "0x01", to: "0x00", value: "20" } }] },
+      { label: "setSwapBackSettings", events: [] }
+    ];
+    const report = buildReport(results, { generatedAt: "2024-01-01T00:00:00.000Z" });
+
+    const markdown = toMarkdown(report);
+    expect(markdown).to.contain("| MOG-06 | Burn Mechanism and Supply Reduction | confirmed |");
+    expect(markdown).to.contain("Severity is not assessed");
+    expect(markdown).to.contain("Status: confirmed. Affects `takeFee`, `showSupply`.");
+    expect(markdown).to.contain('- showSupply drift: `"200"`');
+    expect(markdown).to.contain("- burn: `Transfer[burn](from=0x01, to=0x00, value=20)`");
+    expect(markdown).to.contain("- setSwapBackSettings: no events");
+    expect(report.findings[0]).to.not.have.property("severity");
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mog-audit-"));
+    try {
+      const { json } = writeReport(report, dir);
+      const written = JSON.parse(fs.readFileSync(json, "utf8"));
+      expect(written.findings[5].evidence[0]).to.deep.equal({ test: "checks MOG-06", label: "showSupply drift", value: "200" });
+      expect(fs.readFileSync(path.join(dir, "audit-findings.md"), "utf8")).to.equal(markdown);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,268 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadFixture, setStorageAt } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMOGWithLiquidityFixture, deployMOGWithThinLiquidityFixture } = require("../scripts/lib/fixtures");
+const { storageReader, snapshotState, diffState } = require("../scripts/lib/storage");
+const { verifies } = require("./helpers/findings");
+const { swapCount } = require("./helpers/events");
+
+// Attacker contracts from contracts/test/ wired in as MOG's counterparties: fee receivers
+// that re-enter from swapBack's .call{value:}, a token handed to clearStuckToken, and a
+// router stand-in. inSwap stops swapBack from nesting, but while it is set every transfer
+// goes through _basicTransfer, so it is also what lets a counterparty skip fees and limits.
+describe("Malicious Counterparties", function () {
+  const DEAD = "0x000000000000000000000000000000000000dEaD";
+  const THRESHOLD = ethers.parseUnits("1000", 18);
+  const HOLDER_BALANCE = ethers.parseUnits("1000000", 18);
+  const Mode = { None: 0, Transfer: 1, ManualSend: 2 };
+  const FakeMode = { ReturnFalse: 0, Reenter: 1 };
+
+  let mogToken;
+  let owner;
+  let holder;
+  let recipient;
+  let liquidityReceiver;
+  let devReceiver;
+  let attacker;
+  let pair;
+  let storage;
+
+  // Error(string) payloads recorded by the attacker contracts
+  function decodeError(data) {
+    if (data === "0x") return "";
+    return ethers.AbiCoder.defaultAbiCoder().decode(["string"], ethers.dataSlice(data, 4))[0];
+  }
+
+  // setParameters(liquidity, buyback, marketing, dev, burn, denominator): each fee
+  // receiver gets a share, and the attacker sits in the marketing slot, which swapBack
+  // pays first. The contract holds two thresholds so a nested swapBack would have tokens.
+  async function setUp(base, liquidityFee) {
+    const fixture = await base();
+    const [, , , liquidity, dev] = fixture.addrs;
+    const attacker = await (await ethers.getContractFactory("ReentrantReceiver")).deploy(await fixture.mogToken.getAddress());
+
+    await fixture.mogToken.setParameters(liquidityFee, 1, 2, 1, 0, 100);
+    await fixture.mogToken.setWallets(liquidity.address, await attacker.getAddress(), dev.address, DEAD, dev.address);
+    await fixture.mogToken.setSwapBackSettings(true, THRESHOLD);
+    // fund the holder first: once the contract holds the threshold, owner transfers swap too
+    await fixture.mogToken.transfer(fixture.addr1.address, HOLDER_BALANCE);
+    await fixture.mogToken.transfer(await fixture.mogToken.getAddress(), THRESHOLD * 2n);
+    return { ...fixture, attacker, liquidityReceiver: liquidity, devReceiver: dev };
+  }
+
+  async function counterpartyFixture() {
+    return setUp(deployMOGWithLiquidityFixture, 0);
+  }
+
+  // showBacking is below setRatio, so swapBack keeps the liquidity share and ends in addLiquidityETH
+  async function thinCounterpartyFixture() {
+    return setUp(deployMOGWithThinLiquidityFixture, 2);
+  }
+
+  async function useFixture(fixtureFn) {
+    const fixture = await loadFixture(fixtureFn);
+    ({ mogToken, owner, attacker, liquidityReceiver, devReceiver, pair } = fixture);
+    [holder, recipient] = [fixture.addr1, fixture.addr2];
+    storage = await storageReader(mogToken, "MOG");
+    return fixture;
+  }
+
+  // owner transfers run swapBack too once the contract holds the threshold, so tests fund
+  // accounts with it switched off
+  async function fund(address, amount) {
+    await mogToken.setSwapBackSettings(false, THRESHOLD);
+    await mogToken.transfer(address, amount);
+    await mogToken.setSwapBackSettings(true, THRESHOLD);
+  }
+
+  // any non-exempt transfer with the contract above the threshold runs swapBack first
+  function triggerSwapBack(overrides = {}) {
+    return mogToken.connect(holder).transfer(recipient.address, ethers.parseUnits("100", 18), overrides);
+  }
+
+  describe("Fee receivers", function () {
+    beforeEach(async function () {
+      await useFixture(counterpartyFixture);
+    });
+
+    verifies("MOG-10").it("Should let a re-entering fee receiver transfer without fees or limits", async function () {
+      await mogToken.startTrading();
+      const amount = (await mogToken._maxTxAmount()) * 2n;
+      const [, , , , , outsider] = await ethers.getSigners();
+      await fund(await attacker.getAddress(), amount);
+      await attacker.arm(Mode.Transfer, outsider.address, amount);
+
+      // the same transfer from a holder outside swapBack hits the wallet limit first
+      await fund(holder.address, amount);
+      await expect(mogToken.connect(holder).transfer(outsider.address, amount)).to.be.revertedWith(
+        "Total Holding is currently limited, you can not buy that much."
+      );
+
+      const receipt = await (await triggerSwapBack()).wait();
+
+      expect(await attacker.reentries()).to.equal(1n);
+      expect(await attacker.lastSuccess()).to.equal(true);
+      // twice the tx and wallet limits, and no 40% transfer fee taken
+      expect(await mogToken.balanceOf(outsider.address)).to.equal(amount);
+      // inSwap does stop the re-entered transfer from starting a second swapBack
+      expect(swapCount(receipt, pair)).to.equal(1);
+      expect(await mogToken.balanceOf(await mogToken.getAddress())).to.be.gte(THRESHOLD);
+      expect(await storage.read("inSwap")).to.equal(false);
+    });
+
+    verifies("MOG-04", "MOG-10").it("Should let a re-entering fee receiver transfer before trading opens", async function () {
+      const [, , , , , outsider] = await ethers.getSigners();
+      await fund(await attacker.getAddress(), THRESHOLD);
+      await attacker.arm(Mode.Transfer, outsider.address, THRESHOLD);
+
+      // the owner's own transfers still run swapBack while trading is closed
+      await mogToken.transfer(recipient.address, 1n);
+
+      expect(await storage.read("TradingOpen")).to.equal(false);
+      expect(await attacker.lastSuccess()).to.equal(true);
+      expect(await mogToken.balanceOf(outsider.address)).to.equal(THRESHOLD);
+    });
+
+    verifies("MOG-07", "MOG-10").it("Should let the marketing receiver sweep the other receivers' ETH with manualSend", async function () {
+      await mogToken.startTrading();
+      await mogToken.reduceFee();
+      await attacker.arm(Mode.ManualSend, ethers.ZeroAddress, 0);
+      const devBefore = await ethers.provider.getBalance(devReceiver.address);
+      const liquidityBefore = await ethers.provider.getBalance(liquidityReceiver.address);
+
+      await (await triggerSwapBack()).wait();
+
+      expect(await attacker.lastSuccess()).to.equal(true);
+      // manualSend ran between the marketing and dev payments: the dev and buyback shares
+      // went to autoLiquidityReceiver and their .call{value:} failed silently
+      const marketing = await ethers.provider.getBalance(await attacker.getAddress());
+      const swept = (await ethers.provider.getBalance(liquidityReceiver.address)) - liquidityBefore;
+      expect(await ethers.provider.getBalance(devReceiver.address)).to.equal(devBefore);
+      // marketing is 2 of the 4 shares, dev and buyback 1 each
+      expect(swept).to.be.closeTo(marketing, 1n);
+      expect(await ethers.provider.getBalance(await mogToken.getAddress())).to.equal(0n);
+    });
+
+    it("Should revert every swapBack that adds liquidity once the receiver sweeps the ETH", async function () {
+      await useFixture(thinCounterpartyFixture);
+      await mogToken.startTrading();
+      await mogToken.reduceFee();
+      await attacker.arm(Mode.ManualSend, ethers.ZeroAddress, 0);
+
+      // addLiquidityETH is sent ETH the contract no longer has, and unlike the receiver
+      // calls a failed router call reverts the transfer that triggered swapBack
+      await expect(triggerSwapBack()).to.be.revertedWithoutReason();
+
+      await attacker.arm(Mode.None, ethers.ZeroAddress, 0);
+      await expect(triggerSwapBack()).to.emit(mogToken, "AutoLiquify");
+    });
+
+    verifies("MOG-10").it("Should let a gas-burning receiver push swapBack past an ordinary gas limit", async function () {
+      if (hre.__SOLIDITY_COVERAGE_RUNNING) this.skip();
+      await mogToken.startTrading();
+      const burner = await (await ethers.getContractFactory("GasBurningReceiver")).deploy();
+      await mogToken.setWallets(liquidityReceiver.address, await burner.getAddress(), devReceiver.address, DEAD, devReceiver.address);
+
+      // the receiver takes 63/64 of whatever gas is left, so what remains can't finish swapBack
+      await expect(triggerSwapBack({ gasLimit: 1_000_000 })).to.be.rejected;
+
+      const receipt = await (await triggerSwapBack()).wait();
+      expect(receipt.gasUsed).to.be.gt(1_000_000n);
+      expect(swapCount(receipt, pair)).to.equal(1);
+    });
+  });
+
+  describe("clearStuckToken", function () {
+    let fake;
+
+    beforeEach(async function () {
+      await useFixture(counterpartyFixture);
+      fake = await (await ethers.getContractFactory("FakeStuckToken")).deploy();
+    });
+
+    verifies("MOG-07").it("Should report a clear for a token whose transfer returns false", async function () {
+      const reported = ethers.parseUnits("5000", 18);
+      await fake.configure(FakeMode.ReturnFalse, reported, 0);
+
+      expect(await mogToken.connect(holder).clearStuckToken.staticCall(await fake.getAddress(), 0)).to.equal(false);
+      // ClearToken is emitted before the transfer, so logs show a clear that never happened
+      await expect(mogToken.connect(holder).clearStuckToken(await fake.getAddress(), 0))
+        .to.emit(mogToken, "ClearToken")
+        .withArgs(await fake.getAddress(), reported);
+      expect(await fake.lastRecipient()).to.equal(liquidityReceiver.address);
+    });
+
+    verifies("MOG-07").it("Should let a token re-enter clearStuckToken without touching MOG's state", async function () {
+      await fake.configure(FakeMode.Reenter, 1n, 3);
+      const keys = [owner, holder, liquidityReceiver, await fake.getAddress()];
+      const before = await snapshotState(storage, { keys });
+
+      const receipt = await (await mogToken.connect(holder).clearStuckToken(await fake.getAddress(), 0)).wait();
+
+      // there is no reentrancy guard: every nested call runs and emits, but has nothing to take
+      expect(await fake.transferCalls()).to.equal(4n);
+      const clears = receipt.logs.filter((log) => mogToken.interface.parseLog(log)?.name === "ClearToken");
+      expect(clears).to.have.lengthOf(4);
+      expect(diffState(before, await snapshotState(storage, { keys }))).to.deep.equal({});
+    });
+  });
+
+  describe("Router callbacks", function () {
+    let callbackRouter;
+
+    // Points MOG's router variable at a CallbackRouter and gives it the max allowance the
+    // constructor gave the real router; there is no setter for either
+    async function installRouter() {
+      const mogAddress = await mogToken.getAddress();
+      callbackRouter = await (await ethers.getContractFactory("CallbackRouter")).deploy(mogAddress, { value: ethers.parseEther("10") });
+      const routerAddress = await callbackRouter.getAddress();
+      await setStorageAt(mogAddress, storage.locate("router").slot, ethers.zeroPadValue(routerAddress, 32));
+      await setStorageAt(mogAddress, storage.locate("_allowances", mogAddress, routerAddress).slot, ethers.MaxUint256);
+      await callbackRouter.setEthPerSwap(ethers.parseEther("1"));
+    }
+
+    beforeEach(async function () {
+      await useFixture(counterpartyFixture);
+      await mogToken.startTrading();
+      await installRouter();
+    });
+
+    verifies("MOG-10").it("Should let the router move tokens mid-swap without fees or a nested swapBack", async function () {
+      const amount = (await mogToken._maxTxAmount()) * 2n;
+      const routerAddress = await callbackRouter.getAddress();
+      const [, , , , , outsider] = await ethers.getSigners();
+      await fund(routerAddress, amount);
+      await callbackRouter.addCallback(routerAddress, outsider.address, amount);
+      await callbackRouter.addCallback(routerAddress, await mogToken.getAddress(), THRESHOLD);
+
+      await (await triggerSwapBack()).wait();
+
+      expect(await callbackRouter.swaps()).to.equal(1n);
+      expect(await callbackRouter.outcomes(0)).to.equal(true);
+      expect(await mogToken.balanceOf(outsider.address)).to.equal(amount);
+      // topping the contract back up mid-swap doesn't start another swapBack either
+      expect(await callbackRouter.outcomes(1)).to.equal(true);
+      expect(await mogToken.balanceOf(routerAddress)).to.equal(0n);
+      // the 1 ETH the router paid was split between the receivers as usual
+      expect(await ethers.provider.getBalance(await attacker.getAddress())).to.equal(ethers.parseEther("0.5"));
+      expect(await storage.read("inSwap")).to.equal(false);
+    });
+
+    it("Should still enforce allowances on transferFrom during a swap", async function () {
+      const mogAddress = await mogToken.getAddress();
+      const [, , , , , outsider] = await ethers.getSigners();
+      await callbackRouter.addCallback(holder.address, outsider.address, 1n);
+      await callbackRouter.addCallback(mogAddress, outsider.address, THRESHOLD);
+
+      await (await triggerSwapBack()).wait();
+
+      // inSwap skips fees and limits but not the allowance check in transferFrom
+      expect(await callbackRouter.outcomes(0)).to.equal(false);
+      expect(decodeError(await callbackRouter.errors(0))).to.equal("Insufficient Allowance");
+      // the router's own max allowance covers everything the contract holds
+      expect(await callbackRouter.outcomes(1)).to.equal(true);
+      expect(await mogToken.balanceOf(outsider.address)).to.equal(THRESHOLD);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { loadFixture, setCode } = require("@nomicfoundation/hardhat-network-helpers");
+const { UNISWAP_V2_ROUTER, deployLocalDex } = require("../scripts/lib/dex");
+const { STEPS, loadConfig, readRecord, runPipeline } = require("../scripts/deploy");
+
+describe("Deploy Pipeline", function () {
+  const tokens = (amount) => ethers.parseUnits(amount, 18);
+  const quiet = () => {};
+
+  let signers;
+  let recordPath;
+  let config;
+
+  beforeEach(async function () {
+    await loadFixture(deployLocalDex);
+    signers = await ethers.getSigners();
+    recordPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "mog-deploy-")), "record.json");
+
+    config = {
+      parameters: { liquidity: 2, buyback: 0, marketing: 1, dev: 0, burn: 1, denominator: 100 },
+      wallets: {
+        autoLiquidity: signers[0].address,
+        marketing: signers[5].address,
+        dev: signers[6].address,
+        burn: "0x000000000000000000000000000000000000dEaD",
+        buyback: signers[7].address
+      },
+      swapBack: { enabled: true, threshold: "1000000000000" },
+      maxWalletPercent: 20,
+      liquidity: { tokens: "210345000000000", eth: "100" },
+      startTrading: true,
+      structure: { buy: 100, sell: 100, transfer: 100 }
+    };
+  });
+
+  afterEach(function () {
+    fs.rmSync(path.dirname(recordPath), { recursive: true, force: true });
+  });
+
+  it("Should run setStructure after startTrading so the configured multipliers survive", async function () {
+    const names = STEPS.map((step) => step.name);
+    expect(names.indexOf("setStructure")).to.be.greaterThan(names.indexOf("startTrading"));
+  });
+
+  it("Should apply every configured step and write the deployment record", async function () {
+    const { token, record } = await runPipeline({ config, recordPath, log: quiet });
+
+    expect(Object.keys(record.steps)).to.deep.equal([
+      "deploy",
+      "setParameters",
+      "setWallets",
+      "setSwapBackSettings",
+      "maxWalletRule",
+      "addLiquidity",
+      "startTrading",
+      "setStructure"
+    ]);
+    for (const step of Object.values(record.steps)) {
+      expect(step.status).to.equal("done");
+      expect(step.tx).to.match(/^0x[0-9a-f]{64}$/);
+    }
+
+    const totalSupply = await token.totalSupply();
+    expect(await token.TradingOpen()).to.equal(true);
+    expect(await token.swapThreshold()).to.equal(tokens("1000000000000"));
+    expect(await token._maxWalletToken()).to.equal((totalSupply * 20n) / 1000n);
+    expect(await token.balanceOf(await token.pair())).to.equal(tokens("210345000000000"));
+
+    // 1x transfer multiplier from setStructure, not startTrading's 10x: 4% fee
+    const [owner, holder, recipient] = signers;
+    await token.connect(owner).transfer(holder.address, tokens("10000"));
+    await token.connect(holder).transfer(recipient.address, tokens("1000"));
+    expect(await token.balanceOf(recipient.address)).to.equal(tokens("960"));
+
+    const saved = readRecord(recordPath);
+    expect(saved.contracts).to.include({ MOG: await token.getAddress(), router: UNISWAP_V2_ROUTER, pair: await token.pair() });
+    expect(saved.config.tradingOpen).to.equal(true);
+    expect(saved.config.swapThreshold).to.equal(tokens("1000000000000").toString());
+    expect(saved.config.totalFee).to.equal("4");
+  });
+
+  it("Should send no transactions when re-run with the same config", async function () {
+    const first = await runPipeline({ config, recordPath, log: quiet });
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    const lines = [];
+    const second = await runPipeline({ config, recordPath, log: (line) => lines.push(line) });
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    expect(await second.token.getAddress()).to.equal(await first.token.getAddress());
+    expect(lines.filter((line) => line.endsWith("already applied"))).to.have.lengthOf(7);
+  });
+
+  it("Should resume at the failed step without redeploying", async function () {
+    const broken = { ...config, parameters: { ...config.parameters, marketing: 60 } };
+
+    await expect(runPipeline({ config: broken, recordPath, log: quiet })).to.be.revertedWith("Fees can not be more than 50%");
+
+    const failed = readRecord(recordPath);
+    expect(failed.steps.deploy.status).to.equal("done");
+    expect(failed.steps.setParameters.status).to.equal("failed");
+    expect(failed.steps.setParameters.error).to.contain("Fees can not be more than 50%");
+    expect(failed.steps.setWallets).to.equal(undefined);
+
+    const { token, record } = await runPipeline({ config, recordPath, log: quiet });
+
+    expect(await token.getAddress()).to.equal(failed.contracts.MOG);
+    expect(record.steps.deploy.tx).to.equal(failed.steps.deploy.tx);
+    expect(record.steps.setParameters.status).to.equal("done");
+    expect(record.steps.setStructure.status).to.equal("done");
+  });
+
+  it("Should re-apply only the steps whose config changed", async function () {
+    await runPipeline({ config, recordPath, log: quiet });
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    const { token, record } = await runPipeline({ config: { ...config, maxWalletPercent: 30 }, recordPath, log: quiet });
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore + 1);
+    expect(record.steps.maxWalletRule.args).to.deep.equal([30]);
+    expect(await token._maxWalletToken()).to.equal(((await token.totalSupply()) * 30n) / 1000n);
+  });
+
+  it("Should not seed liquidity twice when the pair already holds tokens", async function () {
+    const { token } = await runPipeline({ config, recordPath, log: quiet });
+
+    // A record from before the liquidity step, e.g. lost after the transaction was mined
+    const record = readRecord(recordPath);
+    delete record.steps.addLiquidity;
+    fs.writeFileSync(recordPath, JSON.stringify(record));
+
+    const { record: resumed } = await runPipeline({ config, recordPath, log: quiet });
+
+    expect(resumed.steps.addLiquidity.note).to.equal("already in effect on-chain");
+    expect(await token.balanceOf(await token.pair())).to.equal(tokens("210345000000000"));
+  });
+
+  it("Should skip steps whose settings are already in effect on-chain", async function () {
+    const { record } = await runPipeline({
+      config: { swapBack: { enabled: true, threshold: "2944830000000" } },
+      recordPath,
+      log: quiet
+    });
+
+    // 0.7% of supply is the constructor default
+    expect(record.steps.setSwapBackSettings).to.deep.include({ tx: null, note: "already in effect on-chain" });
+  });
+
+  it("Should refuse a record written for another chain", async function () {
+    fs.writeFileSync(recordPath, JSON.stringify({ chainId: 1, contracts: {}, steps: {} }));
+
+    await expect(runPipeline({ config, recordPath, log: quiet })).to.be.rejectedWith("belongs to chain 1");
+  });
+
+  it("Should require dex: local when no router is deployed", async function () {
+    await setCode(UNISWAP_V2_ROUTER, "0x");
+
+    await expect(runPipeline({ config, recordPath, log: quiet })).to.be.rejectedWith('set "dex": "local"');
+  });
+
+  it("Should plant the local DEX stand-in when dex is local", async function () {
+    await setCode(UNISWAP_V2_ROUTER, "0x");
+
+    const { record } = await runPipeline({ config: { ...config, dex: "local" }, recordPath, log: quiet });
+
+    expect(record.contracts.WETH).to.be.properAddress;
+    expect(record.contracts.factory).to.be.properAddress;
+    expect(record.steps.addLiquidity.status).to.equal("done");
+  });
+
+  it("Should read the config from a file or inline JSON", async function () {
+    const file = path.join(path.dirname(recordPath), "config.json");
+    fs.writeFileSync(file, JSON.stringify({ maxWalletPercent: 15 }));
+
+    expect(loadConfig({ DEPLOY_CONFIG: file })).to.deep.equal({ maxWalletPercent: 15 });
+    expect(loadConfig({ DEPLOY_CONFIG_JSON: '{"startTrading":true}', DEPLOY_CONFIG: file })).to.deep.equal({ startTrading: true });
+    expect(loadConfig({})).to.deep.equal({});
+  });
+});
@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMOGTokenFixture } = require("../scripts/lib/fixtures");
+const { generateSequence, replay, abiDiff, formatReport } = require("./helpers/differential");
+
+describe("MOG vs MockMOG - Differential Testing", function () {
+  let mog;
+  let mock;
+  let signers;
+
+  async function deployBothFixture() {
+    const fixture = await deployMOGTokenFixture();
+    const MockMOG = await ethers.getContractFactory("MockMOG");
+    const mockMOG = await MockMOG.deploy();
+
+    return {
+      mog: fixture.mogToken,
+      mock: mockMOG,
+      signers: [fixture.owner, fixture.addr1, fixture.addr2, fixture.addr3, fixture.addrs[0]]
+    };
+  }
+
+  beforeEach(async function () {
+    const fixture = await loadFixture(deployBothFixture);
+    mog = fixture.mog;
+    mock = fixture.mock;
+    signers = fixture.signers;
+  });
+
+  const tokens = (amount) => ethers.parseUnits(amount, 18);
+
+  describe("Interface", function () {
+    it("Should list the MOG functions the mock cannot stand in for", async function () {
+      const { onlyInMOG, onlyInMock } = abiDiff(mog.interface, mock.interface);
+
+      expect(onlyInMOG).to.include.members([
+        "setStructure",
+        "reduceFee",
+        "setWallets",
+        "setSwapBackSettings",
+        "manualSend",
+        "clearStuckToken",
+        "approveMax",
+        "showSupply"
+      ]);
+      expect(onlyInMock).to.include.members(["isexemptfromfees", "isexemptfrommaxTX"]);
+    });
+  });
+
+  describe("Behaviours the mock reproduces", function () {
+    it("Should agree on exempt owner transfers and approvals", async function () {
+      const { divergences } = await replay({
+        mog,
+        mock,
+        signers,
+        sequence: [
+          { type: "transfer", from: 0, to: 1, amount: tokens("1000") },
+          { type: "transfer", from: 0, to: 2, amount: tokens("5000") },
+          { type: "approve", from: 1, spender: 2, amount: tokens("300") },
+          { type: "approve", from: 2, spender: 3, amount: ethers.MaxUint256 },
+          { type: "transfer", from: 0, to: 0, amount: tokens("1") }
+        ]
+      });
+
+      expect(divergences).to.deep.equal([]);
+    });
+
+    it("Should agree on the trading gate and owner-only access", async function () {
+      const { divergences } = await replay({
+        mog,
+        mock,
+        signers,
+        sequence: [
+          { type: "transfer", from: 0, to: 1, amount: tokens("1000") },
+          { type: "transfer", from: 1, to: 2, amount: tokens("10") },
+          { type: "startTrading", caller: 1 },
+          { type: "removeLimits", caller: 2 },
+          { type: "setParameters", caller: 0, args: [30, 20, 0, 0, 0, 100] }
+        ]
+      });
+
+      expect(divergences).to.deep.equal([]);
+    });
+  });
+
+  describe("Behaviours where the mock diverges", function () {
+    it("Should report that the mock burns half the fee without crediting DEAD or the contract", async function () {
+      const { divergences } = await replay({
+        mog,
+        mock,
+        signers,
+        sequence: [
+          { type: "transfer", from: 0, to: 1, amount: tokens("10000") },
+          { type: "startTrading", caller: 0 },
+          { type: "transfer", from: 1, to: 2, amount: tokens("1000") }
+        ]
+      });
+
+      const kinds = divergences.filter((d) => d.step === 2).map((d) => d.kind);
+      expect(kinds).to.include.members(["events", "balance #2", "balance contract", "balance DEAD", "totalSupply"]);
+
+      // MOG: 40% fee (10x multiplier), half burned to DEAD. Mock: 4% fee, no multiplier.
+      const dead = divergences.find((d) => d.step === 2 && d.kind === "balance DEAD");
+      expect(dead.mog).to.equal(tokens("200"));
+      expect(dead.mock).to.equal(0);
+      const recipient = divergences.find((d) => d.step === 2 && d.kind === "balance #2");
+      expect(recipient.mog).to.equal(tokens("600"));
+      expect(recipient.mock).to.equal(tokens("960"));
+    });
+
+    it("Should report the different revert order for an empty sender before trading", async function () {
+      const { divergences } = await replay({
+        mog,
+        mock,
+        signers,
+        sequence: [{ type: "transfer", from: 1, to: 2, amount: tokens("1") }]
+      });
+
+      expect(divergences).to.have.lengthOf(1);
+      expect(divergences[0].kind).to.equal("revert");
+      expect(divergences[0].mog).to.equal("reverted: Trading not open yet");
+      expect(divergences[0].mock).to.equal("reverted: Insufficient Balance");
+    });
+
+    it("Should report the missing EditTax and set_MaxWallet events", async function () {
+      const { divergences } = await replay({
+        mog,
+        mock,
+        signers,
+        sequence: [
+          { type: "setParameters", caller: 0, args: [1, 1, 1, 1, 1, 100] },
+          { type: "maxWalletRule", caller: 0, percent: 50 }
+        ]
+      });
+
+      expect(divergences.map((d) => d.kind)).to.deep.equal(["events", "events"]);
+      expect(divergences[0].mog).to.contain("EditTax");
+      expect(divergences[1].mog).to.contain("set_MaxWallet");
+    });
+  });
+
+  describe("Random sequences", function () {
+    // Per seed: the steps that diverged, by operation type, and the divergences by kind.
+    // A change to either contract's behaviour moves these counts.
+    const EXPECTED = {
+      1: {
+        diverged: { transfer: 2, setParameters: 4, maxWalletRule: 1 },
+        kinds: { revert: 1, events: 6, "balance contract": 1, "balance DEAD": 1 }
+      },
+      2: {
+        diverged: { transfer: 3, setParameters: 6, maxWalletRule: 4 },
+        kinds: { revert: 3, events: 10, "balance #1": 1, "balance #4": 1, totalSupply: 1 }
+      },
+      3: {
+        diverged: { transfer: 2, transferFrom: 1, setParameters: 3, maxWalletRule: 3 },
+        kinds: { events: 9, "balance contract": 3, "balance DEAD": 3, totalSupply: 3 }
+      }
+    };
+
+    it("Should generate identical sequences for the same seed", async function () {
+      expect(generateSequence(42)).to.deep.equal(generateSequence(42));
+      expect(generateSequence(42)).to.not.deep.equal(generateSequence(43));
+    });
+
+    for (const [seed, expected] of Object.entries(EXPECTED)) {
+      it(`Should replay seed ${seed} with the known divergences`, async function () {
+        const result = await replay({ mog, mock, signers, sequence: generateSequence(Number(seed)) });
+        const report = formatReport(result, { seed });
+
+        const diverged = {};
+        for (const [type, entry] of Object.entries(result.summary)) {
+          if (entry.diverged > 0) diverged[type] = entry.diverged;
+        }
+        const kinds = {};
+        for (const divergence of result.divergences) {
+          kinds[divergence.kind] = (kinds[divergence.kind] || 0) + 1;
+        }
+
+        // the report is the assertion message, so it is only printed when a count moves
+        expect(diverged, report).to.deep.equal(expected.diverged);
+        expect(kinds, report).to.deep.equal(expected.kinds);
+        // the operations missing from `diverged` did run, every time without a divergence
+        for (const type of ["approve", "startTrading", "removeLimits"]) {
+          expect(result.summary[type].runs, report).to.be.gt(0);
+        }
+      });
+    }
+  });
+});
@@ -0,0 +1,216 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMOGWithLiquidityFixture } = require("../scripts/lib/fixtures");
+const { recordValue } = require("./helpers/auditReport");
+const { verifies } = require("./helpers/findings");
+const { swapCount } = require("./helpers/events");
+
+// manualSend() and clearStuckToken() have no access control (Finding 7). These scenarios
+// measure what a third party can do with them: keep fee tokens away from swapBack, flush
+// ETH swapBack leaves behind, and what happens when the swept token is not a plain ERC20.
+describe("Emergency Function Abuse", function () {
+  const DEAD = "0x000000000000000000000000000000000000dEaD";
+  const tokens = (amount) => ethers.parseUnits(amount, 18);
+  const THRESHOLD = tokens("1000");
+  // a 10,000 token transfer at 4% leaves 300 tokens in the contract and burns 100
+  const TRANSFER = tokens("10000");
+  const CONTRACT_SHARE = tokens("300");
+
+  let mogToken;
+  let owner;
+  let holder;
+  let sweeper;
+  let recipient;
+  let marketing;
+  let pair;
+  let mogAddress;
+
+  // setParameters(liquidity, buyback, marketing, dev, burn, denominator): marketing is the
+  // only receiver paid in ETH, so its balance shows whether swapBack ran
+  async function abuseFixture() {
+    const fixture = await deployMOGWithLiquidityFixture();
+    const { mogToken, owner, addr1, addrs } = fixture;
+    await mogToken.setParameters(0, 0, 3, 0, 1, 100);
+    await mogToken.setWallets(owner.address, addrs[0].address, owner.address, DEAD, owner.address);
+    await mogToken.setSwapBackSettings(true, THRESHOLD);
+    await mogToken.startTrading();
+    await mogToken.reduceFee();
+    await mogToken.transfer(addr1.address, tokens("1000000"));
+    return fixture;
+  }
+
+  beforeEach(async function () {
+    const fixture = await loadFixture(abuseFixture);
+    ({ mogToken, owner, pair } = fixture);
+    [holder, sweeper, recipient] = [fixture.addr1, fixture.addr2, fixture.addr3];
+    marketing = fixture.addrs[0];
+    mogAddress = await mogToken.getAddress();
+  });
+
+  function clearedAmount(receipt) {
+    const event = receipt.logs.map((log) => mogToken.interface.parseLog(log)).find((parsed) => parsed?.name === "ClearToken");
+    return event.args.Amount;
+  }
+
+  // `rounds` taxed transfers from the holder, each optionally followed by a third-party sweep
+  async function trade(rounds, { sweep = false } = {}) {
+    const marketingBefore = await ethers.provider.getBalance(marketing.address);
+    const ownerBefore = await mogToken.balanceOf(owner.address);
+    let swaps = 0;
+    let swept = 0n;
+    for (let i = 0; i < rounds; i++) {
+      swaps += swapCount(await (await mogToken.connect(holder).transfer(recipient.address, TRANSFER)).wait(), pair);
+      if (sweep) swept += clearedAmount(await (await mogToken.connect(sweeper).clearStuckToken(mogAddress, 0)).wait());
+    }
+    return {
+      swaps,
+      swept,
+      marketingETH: (await ethers.provider.getBalance(marketing.address)) - marketingBefore,
+      ownerTokens: (await mogToken.balanceOf(owner.address)) - ownerBefore
+    };
+  }
+
+  describe("Sweeping the contract's own balance", function () {
+    verifies("MOG-07", "MOG-10").it("Should let anyone starve swapBack by sweeping below the threshold", async function () {
+      const snapshot = await takeSnapshot();
+      const untouched = await trade(6);
+      await snapshot.restore();
+      const swept = await trade(6, { sweep: true });
+
+      expect(untouched.swaps).to.equal(1);
+      expect(untouched.marketingETH).to.be.gt(0n);
+      // the contract never reaches the threshold, so the fees reach autoLiquidityReceiver
+      // as tokens and the ETH receivers get nothing
+      expect(swept.swaps).to.equal(0);
+      expect(swept.marketingETH).to.equal(0n);
+      expect(swept.swept).to.equal(CONTRACT_SHARE * 6n);
+      expect(swept.ownerTokens).to.equal(swept.swept);
+      expect(await mogToken.balanceOf(mogAddress)).to.equal(0n);
+
+      recordValue(this, "tokens swept over six transfers", swept.swept);
+      recordValue(this, "marketing ETH withheld", untouched.marketingETH);
+    });
+
+    verifies("MOG-07", "MOG-10").it("Should run swapBack inside a sweep once the threshold is reached", async function () {
+      await trade(4);
+      const balance = await mogToken.balanceOf(mogAddress);
+      expect(balance).to.be.gte(THRESHOLD);
+
+      // tokens = balanceOf is read before the transfer, and the transfer runs swapBack first
+      await expect(mogToken.connect(sweeper).clearStuckToken(mogAddress, 0)).to.be.revertedWith("Insufficient Balance");
+
+      // what is left after the swap can still be swept, with the sweeper paying for swapBack
+      const marketingBefore = await ethers.provider.getBalance(marketing.address);
+      const receipt = await (await mogToken.connect(sweeper).clearStuckToken(mogAddress, balance - THRESHOLD)).wait();
+      expect(swapCount(receipt, pair)).to.equal(1);
+      expect(await ethers.provider.getBalance(marketing.address)).to.be.gt(marketingBefore);
+      expect(await mogToken.balanceOf(mogAddress)).to.equal(0n);
+      recordValue(this, "gas paid by the sweeper", receipt.gasUsed);
+    });
+
+    it("Should tax the sweep when autoLiquidityReceiver is not fee-exempt", async function () {
+      await mogToken.setWallets(recipient.address, marketing.address, owner.address, DEAD, owner.address);
+      await trade(1);
+      const receivedBefore = await mogToken.balanceOf(recipient.address);
+
+      await mogToken.connect(sweeper).clearStuckToken(mogAddress, 0);
+
+      // the contract is the sender, so the sweep pays the 4% transfer fee: 3% comes back
+      // to the contract and 1% is burned
+      expect((await mogToken.balanceOf(recipient.address)) - receivedBefore).to.equal((CONTRACT_SHARE * 96n) / 100n);
+      expect(await mogToken.balanceOf(mogAddress)).to.equal((CONTRACT_SHARE * 3n) / 100n);
+    });
+  });
+
+  describe("Flushing ETH with manualSend", function () {
+    verifies("MOG-07").it("Should leave the burn share of every swapBack for manualSend to flush", async function () {
+      const { swaps, marketingETH } = await trade(5);
+      const leftover = await ethers.provider.getBalance(mogAddress);
+
+      // totalFee counts the burn fee, but burned tokens are never swapped, so its share of
+      // the ETH (1 of 4, against marketing's 3) has no receiver and stays in the contract
+      expect(swaps).to.equal(1);
+      expect(leftover).to.be.closeTo(marketingETH / 3n, 1n);
+
+      const ownerBefore = await ethers.provider.getBalance(owner.address);
+      await mogToken.connect(sweeper).manualSend();
+      expect((await ethers.provider.getBalance(owner.address)) - ownerBefore).to.equal(leftover);
+      recordValue(this, "ETH left by one swapBack", leftover);
+    });
+
+    verifies("MOG-07").it("Should let anyone flush the share of a fee receiver that rejects ETH", async function () {
+      const rejecting = await (await ethers.getContractFactory("RevertingReceiver")).deploy();
+      await mogToken.setWallets(owner.address, await rejecting.getAddress(), owner.address, DEAD, owner.address);
+      await trade(5);
+
+      // the marketing share stays behind along with the burn share
+      const stranded = await ethers.provider.getBalance(mogAddress);
+      const ownerBefore = await ethers.provider.getBalance(owner.address);
+      await mogToken.connect(sweeper).manualSend();
+
+      expect((await ethers.provider.getBalance(owner.address)) - ownerBefore).to.equal(stranded);
+      expect(await ethers.provider.getBalance(await rejecting.getAddress())).to.equal(0n);
+      recordValue(this, "ETH redirected to autoLiquidityReceiver", stranded);
+    });
+
+    verifies("MOG-01", "MOG-07").it("Should strand ETH for good when autoLiquidityReceiver rejects it after renouncing", async function () {
+      const rejecting = await (await ethers.getContractFactory("RevertingReceiver")).deploy();
+      await mogToken.setWallets(await rejecting.getAddress(), marketing.address, owner.address, DEAD, owner.address);
+      await trade(5);
+      await mogToken.renounceOwnership();
+
+      const stranded = await ethers.provider.getBalance(mogAddress);
+      expect(stranded).to.be.gt(0n);
+      await expect(mogToken.connect(sweeper).manualSend()).to.be.revertedWith("RevertingReceiver: no ETH");
+      // nobody is left to point setWallets at a receiver that accepts it
+      await expect(
+        mogToken.setWallets(owner.address, marketing.address, owner.address, DEAD, owner.address)
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+      expect(await ethers.provider.getBalance(mogAddress)).to.equal(stranded);
+    });
+  });
+
+  describe("Non-standard tokens", function () {
+    const STUCK = tokens("1000");
+
+    verifies("MOG-07").it("Should never clear a token whose transfer returns nothing", async function () {
+      const token = await (await ethers.getContractFactory("NoReturnToken")).deploy(STUCK);
+      await token.transfer(mogAddress, STUCK);
+
+      // MOG's ERC20 interface expects a bool, so decoding the empty return data reverts
+      await expect(mogToken.connect(sweeper).clearStuckToken(await token.getAddress(), 0)).to.be.revertedWithoutReason();
+      await expect(mogToken.clearStuckToken(await token.getAddress(), STUCK)).to.be.revertedWithoutReason();
+      expect(await token.balanceOf(mogAddress)).to.equal(STUCK);
+    });
+
+    verifies("MOG-07").it("Should report the sent amount, not the received one, for a fee-on-transfer token", async function () {
+      const token = await (await ethers.getContractFactory("FeeOnTransferToken")).deploy(STUCK * 2n, 1000);
+      await token.transfer(mogAddress, STUCK);
+      const held = await token.balanceOf(mogAddress);
+      const ownerBefore = await token.balanceOf(owner.address);
+
+      await expect(mogToken.connect(sweeper).clearStuckToken(await token.getAddress(), 0))
+        .to.emit(mogToken, "ClearToken")
+        .withArgs(await token.getAddress(), held);
+      expect((await token.balanceOf(owner.address)) - ownerBefore).to.equal(held - held / 10n);
+    });
+
+    verifies("MOG-07").it("Should pass through the revert of a token whose transfer fails", async function () {
+      const token = await (await ethers.getContractFactory("RevertingToken")).deploy();
+      await token.mint(mogAddress, STUCK);
+
+      await expect(mogToken.connect(sweeper).clearStuckToken(await token.getAddress(), 0)).to.be.revertedWith(
+        "RevertingToken: transfers paused"
+      );
+    });
+
+    verifies("MOG-07").it("Should revert for addresses without code, including the zero address", async function () {
+      // balanceOf (tokens = 0) and transfer (tokens > 0) both return no data to decode
+      for (const address of [ethers.ZeroAddress, sweeper.address]) {
+        await expect(mogToken.clearStuckToken(address, 0)).to.be.revertedWithoutReason();
+        await expect(mogToken.clearStuckToken(address, 1n)).to.be.revertedWithoutReason();
+      }
+    });
+  });
+});
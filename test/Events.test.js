@@ -0,0 +1,206 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMOGTokenFixture, deployMOGWithThinLiquidityFixture } = require("../scripts/lib/fixtures");
+const { decodeTimeline, describeTimeline, expectTimeline } = require("./helpers/events");
+
+describe("MOG Token - Event Timeline", function () {
+  let mogToken;
+  let owner;
+  let addr1;
+  let addr2;
+  let addr3;
+
+  const DEAD = "0x000000000000000000000000000000000000dEaD";
+  const tokens = (amount) => ethers.parseUnits(amount, 18);
+
+  beforeEach(async function () {
+    ({ mogToken, owner, addr1, addr2, addr3 } = await loadFixture(deployMOGTokenFixture));
+  });
+
+  describe("Transfers", function () {
+    beforeEach(async function () {
+      await mogToken.startTrading();
+      await mogToken.transfer(addr1.address, tokens("10000"));
+    });
+
+    it("Should decode a taxed transfer into fee, burn and net Transfers", async function () {
+      const timeline = await decodeTimeline(await mogToken.connect(addr1).transfer(addr2.address, tokens("1000")), mogToken);
+
+      // 10x transfer multiplier: 40% fee, half of it burned
+      expectTimeline(timeline)
+        .names(["Transfer", "Transfer", "Transfer"])
+        .transferKinds(["fee", "burn", "net"])
+        .taxedTransfer({ from: addr1, to: addr2, fee: tokens("200"), burn: tokens("200"), net: tokens("600") });
+
+      expect(timeline[1].args).to.deep.equal({ from: addr1.address, to: ethers.ZeroAddress, value: tokens("200") });
+    });
+
+    it("Should omit the burn Transfer when burnFee is zero", async function () {
+      await mogToken.setParameters(2, 0, 0, 0, 0, 100);
+
+      const timeline = await decodeTimeline(await mogToken.connect(addr1).transfer(addr2.address, tokens("1000")), mogToken);
+
+      expectTimeline(timeline)
+        .transferKinds(["fee", "net"])
+        .taxedTransfer({ from: addr1, to: addr2, fee: tokens("200"), burn: 0n, net: tokens("800") });
+    });
+
+    it("Should decode a taxed transferFrom as the holder's fee triple", async function () {
+      await mogToken.connect(addr1).approve(addr3.address, tokens("1000"));
+
+      const timeline = await decodeTimeline(
+        await mogToken.connect(addr3).transferFrom(addr1.address, addr2.address, tokens("1000")),
+        mogToken
+      );
+
+      expectTimeline(timeline)
+        .notEmitted("Approval")
+        .taxedTransfer({ from: addr1, to: addr2, fee: tokens("200"), burn: tokens("200"), net: tokens("600") });
+    });
+
+    it("Should decode an exempt transfer as a single untaxed Transfer", async function () {
+      const timeline = await decodeTimeline(await mogToken.transfer(addr2.address, tokens("50")), mogToken);
+
+      expectTimeline(timeline)
+        .transferKinds(["transfer"])
+        .untaxedTransfer({ from: owner, to: addr2, value: tokens("50") });
+    });
+
+    it("Should fail with the decoded timeline when an amount is wrong", async function () {
+      const timeline = await decodeTimeline(await mogToken.connect(addr1).transfer(addr2.address, tokens("1000")), mogToken);
+
+      expect(() =>
+        expectTimeline(timeline).taxedTransfer({ from: addr1, to: addr2, fee: tokens("20"), burn: tokens("20"), net: tokens("960") })
+      ).to.throw(/fee Transfer to the contract[\s\S]*MOG\.Transfer\[burn\]/);
+    });
+  });
+
+  describe("Owner events", function () {
+    it("Should emit EditTax with the effective buy, sell and transfer fees from setParameters", async function () {
+      await mogToken.startTrading();
+
+      const timeline = await decodeTimeline(await mogToken.setParameters(2, 0, 0, 0, 0, 100), mogToken);
+
+      // totalFee 2 at 1400 / 800 / 1000 percent
+      expectTimeline(timeline).names(["EditTax"]).emitted("EditTax", { Buy: 28, Sell: 16, Transfer: 20 });
+    });
+
+    it("Should truncate EditTax values to uint8", async function () {
+      await mogToken.startTrading();
+
+      const timeline = await decodeTimeline(await mogToken.setParameters(49, 0, 0, 0, 0, 100), mogToken);
+
+      // 686, 392 and 490 wrap modulo 256
+      expectTimeline(timeline).emitted("EditTax", { Buy: 686 % 256, Sell: 392 % 256, Transfer: 490 % 256 });
+    });
+
+    it("Should not emit EditTax from startTrading, reduceFee or setStructure", async function () {
+      for (const tx of [await mogToken.startTrading(), await mogToken.reduceFee(), await mogToken.setStructure(100, 100, 100)]) {
+        expectTimeline(await decodeTimeline(tx, mogToken)).names([]);
+      }
+    });
+
+    it("Should emit set_Receivers in marketing, buyback, burn, dev order", async function () {
+      const [, , , , liquidity, marketing, dev, burn, buyback] = await ethers.getSigners();
+
+      const timeline = await decodeTimeline(
+        await mogToken.setWallets(liquidity.address, marketing.address, dev.address, burn.address, buyback.address),
+        mogToken
+      );
+
+      expect(timeline[0].args).to.deep.equal({
+        marketingFeeReceiver: marketing.address,
+        buybackFeeReceiver: buyback.address,
+        burnFeeReceiver: burn.address,
+        devFeeReceiver: dev.address
+      });
+    });
+
+    it("Should emit set_MaxWallet with the new limit", async function () {
+      const totalSupply = await mogToken.totalSupply();
+
+      const timeline = await decodeTimeline(await mogToken.maxWalletRule(20), mogToken);
+
+      expectTimeline(timeline).names(["set_MaxWallet"]).emitted("set_MaxWallet", { maxWallet: (totalSupply * 20n) / 1000n });
+    });
+
+    it("Should emit set_SwapBack with the threshold and flag", async function () {
+      const timeline = await decodeTimeline(await mogToken.setSwapBackSettings(false, tokens("123")), mogToken);
+
+      expectTimeline(timeline).emitted("set_SwapBack", { Amount: tokens("123"), Enabled: false });
+    });
+
+    it("Should never emit user_exemptfromfees even though it is declared", async function () {
+      expect(mogToken.interface.getEvent("user_exemptfromfees")).to.not.equal(null);
+
+      const txs = [
+        await mogToken.startTrading(),
+        await mogToken.reduceFee(),
+        await mogToken.setStructure(100, 100, 100),
+        await mogToken.setParameters(2, 0, 0, 0, 2, 100),
+        await mogToken.setWallets(owner.address, owner.address, owner.address, DEAD, owner.address),
+        await mogToken.setSwapBackSettings(true, tokens("1000")),
+        await mogToken.maxWalletRule(10),
+        await mogToken.removeLimits()
+      ];
+      for (const tx of txs) {
+        expectTimeline(await decodeTimeline(tx, mogToken)).notEmitted("user_exemptfromfees");
+      }
+    });
+
+    it("Should emit ClearToken before the swept Transfer", async function () {
+      await mogToken.startTrading();
+      await mogToken.transfer(addr1.address, tokens("10000"));
+      await mogToken.connect(addr1).transfer(addr2.address, tokens("1000"));
+      const mogAddress = await mogToken.getAddress();
+
+      const timeline = await decodeTimeline(await mogToken.connect(addr3).clearStuckToken(mogAddress, 0), mogToken);
+
+      expectTimeline(timeline)
+        .names(["ClearToken", "Transfer"])
+        .emitted("ClearToken", { TokenAddressCleared: mogAddress, Amount: tokens("200") })
+        .untaxedTransfer({ from: mogAddress, to: owner, value: tokens("200") });
+    });
+  });
+
+  describe("SwapBack", function () {
+    it("Should place AutoLiquify after the swap inside the triggering transfer", async function () {
+      const { mogToken, addr1, addr2, router, pair, weth } = await loadFixture(deployMOGWithThinLiquidityFixture);
+      const threshold = tokens("1000000");
+      await mogToken.startTrading();
+      await mogToken.reduceFee();
+      await mogToken.removeLimits();
+      await mogToken.setSwapBackSettings(true, threshold);
+      await mogToken.transfer(addr1.address, tokens("100000000"));
+      await mogToken.connect(addr1).transfer(addr2.address, tokens("50000000"));
+
+      const timeline = await decodeTimeline(
+        await mogToken.connect(addr2).transfer(addr1.address, tokens("1000")),
+        mogToken,
+        { pair, router, weth }
+      );
+
+      // swapBack runs before the fee is taken: tokens to the pair, the pair swap, then
+      // addLiquidityETH's Mint, then AutoLiquify with a quarter of the threshold
+      // (liquidity 2 of totalFee 4, halved)
+      const mogAddress = await mogToken.getAddress();
+      expectTimeline(timeline)
+        .transferKinds(["transfer", "transfer", "fee", "burn", "net"])
+        .untaxedTransfer({ from: mogAddress, to: await pair.getAddress(), value: threshold / 2n + threshold / 4n })
+        .emitted("AutoLiquify", { amountTokens: threshold / 4n })
+        .taxedTransfer({ from: addr2, to: addr1, fee: tokens("20"), burn: tokens("20"), net: tokens("960") });
+
+      const names = timeline.map((entry) => `${entry.contract}.${entry.name}`);
+      expect(names.indexOf("pair.Swap"), describeTimeline(timeline)).to.be.lessThan(names.indexOf("pair.Mint"));
+      expect(names.indexOf("pair.Mint"), describeTimeline(timeline)).to.be.lessThan(names.indexOf("MOG.AutoLiquify"));
+      const autoLiquify = timeline.find((entry) => entry.name === "AutoLiquify");
+      expect(autoLiquify.args.amountETH).to.be.gt(0);
+
+      // AutoLiquify reports the requested amountToLiquify; addLiquidityETH pulls only what
+      // matches the ETH at the post-swap price, and the rest stays in the contract
+      const pulled = timeline.filter((entry) => entry.kind === "transfer")[1].args.value;
+      expect(pulled).to.be.lt(autoLiquify.args.amountTokens);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const mogModel = require("./helpers/mogModel");
+const { ROLES, REASONS, expectedOutcome, runCell, formatMatrix } = require("./helpers/exemptions");
+
+// Every sender/recipient role pair, self-transfers included, with trading closed and open,
+// for an amount within the limits and one just over them. Each cell is checked against
+// expectedOutcome(), which runs the same transfers through the reference model.
+// EXEMPTION_MATRIX=true prints the resulting tables after the run.
+describe("Exemption Matrix", function () {
+  const cells = [];
+
+  after(function () {
+    if (process.env.EXEMPTION_MATRIX && cells.length > 0) console.log(formatMatrix(cells));
+  });
+
+  for (const trading of ["closed", "open"]) {
+    describe(`Trading ${trading}`, function () {
+      for (const sender of ROLES) {
+        for (const recipient of ROLES) {
+          it(`${sender} -> ${recipient}`, async function () {
+            for (const amount of ["within", "over"]) {
+              const cell = await runCell({ sender, recipient, trading, amount });
+              cells.push(cell);
+              expect(cell.actual, `${amount} limits`).to.deep.equal(cell.expected);
+            }
+          });
+        }
+      }
+    });
+  }
+
+  describe("Expected outcomes", function () {
+    // stand-in addresses; the model only compares them
+    const addresses = Object.fromEntries(ROLES.map((role, i) => [role, `0x${String(i + 1).padStart(40, "0")}`]));
+    addresses.DEAD = mogModel.DEAD;
+    const over = mogModel.TOTAL_SUPPLY / 100n + 1n;
+    const outcome = (sender, recipient, amount, trading = "open") => expectedOutcome({ addresses, sender, recipient, amount, trading });
+
+    it("Should check the trading gate first, then the wallet limit, then the tx limit", function () {
+      expect(outcome("holder", "holder", over, "closed").reason).to.equal(REASONS.closed);
+      // a self-transfer counts the sender's own balance against the wallet limit
+      expect(outcome("holder", "holder", over).reason).to.equal(REASONS.wallet);
+      expect(outcome("holder", "burnFeeReceiver", over).reason).to.equal(REASONS.tx);
+    });
+
+    it("Should pick the sell, buy or transfer multiplier from the pair's side", function () {
+      expect(outcome("holder", "pair", 100n).fee).to.equal(32n);
+      expect(outcome("pair", "holder", 100n).fee).to.equal(56n);
+      expect(outcome("holder", "DEAD", 100n).fee).to.equal(40n);
+      expect(outcome("holder", "holder", 100n).fee).to.equal(40n);
+      expect(outcome("owner", "pair", 100n).fee).to.equal(0n);
+      expect(outcome("pair", "owner", 100n).fee).to.equal(0n);
+    });
+
+    it("Should print one table per trading state", function () {
+      const sample = [
+        { sender: "holder", recipient: "pair", trading: "open", value: 100n, actual: { reason: null, fee: 32n } },
+        { sender: "holder", recipient: "pair", trading: "open", value: 200n, actual: { reason: REASONS.tx, fee: null } }
+      ];
+      const table = formatMatrix(sample, ["holder", "pair"]);
+
+      expect(table).to.contain("Trading open (within limits / over limits):");
+      expect(table).to.contain("| sender \\ recipient | holder | pair |");
+      expect(table).to.contain("| holder | - | 32% / tx |");
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { FINDINGS, finding, findingTitle, verifies, findingsOf, findingReferences } = require("./helpers/findings");
+
+describe("Audit Findings Registry", function () {
+  const registered = new Set(FINDINGS.map((entry) => entry.id));
+  const references = findingReferences();
+
+  it("Should have a verifying test for every registered finding", async function () {
+    const verified = new Set(references.map((reference) => reference.id));
+    const unverified = FINDINGS.filter((entry) => !verified.has(entry.id)).map((entry) => entry.id);
+
+    expect(unverified, `registered findings without a verifying test: ${unverified.join(", ")}`).to.deep.equal([]);
+  });
+
+  it("Should not reference unregistered findings from any test file", async function () {
+    const unknown = references.filter((reference) => !registered.has(reference.id)).map(({ file, id }) => `${id} in ${file}`);
+
+    expect(unknown, `unknown finding tags: ${unknown.join(", ")}`).to.deep.equal([]);
+  });
+
+  it("Should count the findings a kit profile tags as well as the MOG finding blocks", async function () {
+    const files = (id) => references.filter((reference) => reference.id === id).map((reference) => reference.file);
+
+    expect(files("MOG-01")).to.include.members(["AuditFindings.test.js", "kit/profiles/mog.js"]);
+    expect(files("MOG-06")).to.include.members(["AuditFindings.test.js", "kit/profiles/mog.js"]);
+    expect(files("MOG-04")).to.include("kit/profiles/mog.js");
+    expect(references.map((reference) => reference.file)).to.not.include("kit/profiles/mockMog.js");
+  });
+
+  it("Should reject unknown IDs when a test is tagged", async function () {
+    const unknown = "MOG-99";
+
+    expect(() => finding(unknown)).to.throw('Unknown audit finding "MOG-99"');
+    expect(() => verifies("MOG-01", unknown)).to.throw('Unknown audit finding "MOG-99"');
+  });
+
+  it("Should keep the existing finding block titles", async function () {
+    expect(findingTitle("MOG-02")).to.equal("🔍 Finding 2: High Initial Fees During Trading Start");
+    expect(findingTitle("MOG-OVERALL")).to.equal("📊 Overall Security Assessment");
+  });
+
+  it("Should collect findings from a test and its enclosing blocks", async function () {
+    const block = { finding: "MOG-02", parent: { finding: null, parent: null } };
+    const nested = { parent: block };
+
+    expect(findingsOf({ findings: ["MOG-05"], parent: nested })).to.deep.equal(["MOG-05", "MOG-02"]);
+    expect(findingsOf({ findings: ["MOG-02"], parent: nested })).to.deep.equal(["MOG-02"]);
+    expect(findingsOf({ parent: null })).to.deep.equal([]);
+  });
+
+  it("Should only name functions that exist in MOG.sol", async function () {
+    const source = fs.readFileSync(path.join(__dirname, "..", "contracts", "MOG.sol"), "utf8");
+    const missing = FINDINGS.flatMap((entry) =>
+      entry.affects.filter((name) => !new RegExp(`function ${name}\\s*\\(`).test(source)).map((name) => `${entry.id}: ${name}`)
+    );
+
+    expect(missing).to.deep.equal([]);
+  });
+
+  it("Should list every registered finding in the README", async function () {
+    const readme = fs.readFileSync(path.join(__dirname, "..", "README.md"), "utf8");
+    const missing = FINDINGS.filter((entry) => !readme.includes(`| ${entry.id} | ${entry.title} |`));
+
+    expect(missing.map((entry) => entry.id)).to.deep.equal([]);
+  });
+});
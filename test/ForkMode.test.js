@@ -0,0 +1,68 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { dexHelpers } = require("../scripts/lib/dex");
+const { forkConfigFromEnv, captureSnapshot, attachForkedMOG } = require("../scripts/lib/fork");
+
+const SNAPSHOT_PATH = path.join(__dirname, "fixtures", "synthetic-mog-snapshot.json");
+
+async function forkFixture() {
+  return attachForkedMOG({ snapshot: SNAPSHOT_PATH });
+}
+
+describe("Fork Mode", function () {
+  const snapshot = JSON.parse(fs.readFileSync(SNAPSHOT_PATH, "utf8"));
+
+  it("Should attach to the snapshotted token with its owner impersonated", async function () {
+    const { mogToken, owner, addr1 } = await loadFixture(forkFixture);
+    const signers = (await ethers.getSigners()).map((signer) => signer.address);
+
+    expect(await mogToken.getAddress()).to.equal(snapshot.contracts.token);
+    expect(owner.address).to.equal(snapshot.owner);
+    expect(signers).to.not.include(owner.address);
+    expect(await mogToken.balanceOf(owner.address)).to.equal(await mogToken.totalSupply());
+
+    await expect(mogToken.setSwapBackSettings(false, 1n)).to.emit(mogToken, "set_SwapBack");
+    await expect(mogToken.connect(addr1).setSwapBackSettings(false, 1n)).to.be.revertedWith("Ownable: caller is not the owner");
+  });
+
+  it("Should trade through the snapshotted router and pair", async function () {
+    const fixture = await loadFixture(forkFixture);
+    const { mogToken, owner, addr1, pair } = fixture;
+    const dex = dexHelpers(fixture);
+
+    expect(await pair.getAddress()).to.equal(snapshot.contracts.pair);
+    await dex.addLiquidity(owner, (await mogToken.totalSupply()) / 2n, ethers.parseEther("100"));
+    await mogToken.startTrading();
+    await mogToken.reduceFee();
+
+    const gross = await dex.quoteBuy(ethers.parseEther("1"));
+    await dex.buy(addr1, ethers.parseEther("1"));
+
+    expect(await mogToken.balanceOf(addr1.address)).to.equal(gross - (gross * 4n) / 100n);
+  });
+
+  it("Should capture the same contract state it loaded", async function () {
+    await loadFixture(forkFixture);
+
+    const recaptured = await captureSnapshot(snapshot.contracts.token);
+
+    expect(recaptured.contracts).to.deep.equal(snapshot.contracts);
+    for (const address of Object.values(snapshot.contracts)) {
+      expect(recaptured.accounts[address].code).to.equal(snapshot.accounts[address].code);
+      expect(recaptured.accounts[address].storage).to.deep.equal(snapshot.accounts[address].storage);
+    }
+  });
+
+  it("Should only switch the shared fixtures over when configured", async function () {
+    expect(forkConfigFromEnv({})).to.equal(null);
+    expect(forkConfigFromEnv({ FORK_SNAPSHOT: SNAPSHOT_PATH })).to.deep.equal({ snapshot: SNAPSHOT_PATH });
+    expect(forkConfigFromEnv({ FORK_URL: "http://127.0.0.1:8545", FORK_TOKEN: snapshot.contracts.token })).to.deep.equal({
+      token: snapshot.contracts.token
+    });
+    // a live fork needs to be told which token to attach to
+    expect(forkConfigFromEnv({ FORK_URL: "http://127.0.0.1:8545" })).to.equal(null);
+  });
+});
@@ -0,0 +1,77 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { DEFAULT_MATRIX, runGasMatrix, worstCaseByPath, toCsv, toMarkdown } = require("../scripts/gas-matrix");
+
+describe("Gas Matrix", function () {
+  const [defaultFees, , , marketingOnly] = DEFAULT_MATRIX.fees;
+  const [, reduced] = DEFAULT_MATRIX.structures;
+
+  let rows;
+
+  before(async function () {
+    rows = await runGasMatrix({ fees: [defaultFees], structures: [reduced] });
+  });
+
+  const cell = (path, sender, swapState) =>
+    rows.find((row) => row.path === path && row.sender === sender && row.swapState === swapState);
+
+  it("Should measure every combination of path, sender and swap state", async function () {
+    expect(rows).to.have.lengthOf(DEFAULT_MATRIX.paths.length * DEFAULT_MATRIX.senders.length * DEFAULT_MATRIX.swapStates.length);
+    expect(rows.filter((row) => row.reverted !== null)).to.deep.equal([]);
+  });
+
+  it("Should only run swapBack on transfers and sells that cross the threshold", async function () {
+    for (const path of ["transfer", "sell"]) {
+      expect(cell(path, "taxed", "below threshold").swapBackRan).to.equal(false);
+      expect(cell(path, "taxed", "swapBack")).to.include({ swapBackRan: true, liquified: false });
+      expect(cell(path, "taxed", "swapBack + liquify")).to.include({ swapBackRan: true, liquified: true });
+    }
+    // msg.sender is the pair on a buy
+    for (const swapState of DEFAULT_MATRIX.swapStates) {
+      expect(cell("buy", "taxed", swapState).swapBackRan).to.equal(false);
+    }
+  });
+
+  it("Should order exempt < taxed < swapBack < swapBack with liquify", async function () {
+    if (hre.__SOLIDITY_COVERAGE_RUNNING) this.skip();
+
+    for (const path of ["transfer", "sell"]) {
+      expect(cell(path, "exempt", "below threshold").gas).to.be.lt(cell(path, "taxed", "below threshold").gas);
+      expect(cell(path, "taxed", "below threshold").gas).to.be.lt(cell(path, "taxed", "swapBack").gas);
+      expect(cell(path, "taxed", "swapBack").gas).to.be.lt(cell(path, "taxed", "swapBack + liquify").gas);
+    }
+  });
+
+  it("Should not add liquidity when the fee set has no liquidity share", async function () {
+    const [row] = await runGasMatrix({
+      fees: [marketingOnly],
+      structures: [reduced],
+      paths: ["transfer"],
+      senders: ["taxed"],
+      swapStates: ["swapBack + liquify"]
+    });
+
+    expect(row).to.include({ swapBackRan: true, liquified: false });
+  });
+
+  it("Should report the worst taxed case per path", async function () {
+    const worst = worstCaseByPath(rows);
+
+    expect(Object.keys(worst)).to.have.members(["transfer", "buy", "sell"]);
+    expect(worst.transfer.swapState).to.equal("swapBack + liquify");
+    expect(worst.sell.swapState).to.equal("swapBack + liquify");
+  });
+
+  it("Should render CSV and markdown tables", async function () {
+    const csv = toCsv(rows).trim().split("\n");
+    expect(csv[0]).to.equal("fees,structure,path,sender,swapState,gas,swapBackRan,liquified,reverted");
+    expect(csv).to.have.lengthOf(rows.length + 1);
+    expect(csv[1]).to.match(/^default,reduced,transfer,exempt,below threshold,\d+,false,false,$/);
+
+    expect(toCsv([{ ...rows[0], gas: null, reverted: 'reverted with "a, b"' }])).to.contain('"reverted with ""a, b"""');
+
+    const markdown = toMarkdown(rows);
+    expect(markdown).to.contain("| fees | structure | path | sender | swap state | gas | swapBack | liquify |");
+    expect(markdown).to.match(/\| sell \| \d+ \| default \| reduced \| swapBack \+ liquify \|/);
+  });
+});
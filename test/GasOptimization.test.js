@@ -1,6 +1,16 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMOGTokenFixture, deployMOGWithLiquidityFixture } = require("../scripts/lib/fixtures");
+const {
+  SNAPSHOT_PATH,
+  readSnapshot,
+  writeSnapshot,
+  toleranceFromEnv,
+  compareGas,
+  formatGasDiff
+} = require("./helpers/gasSnapshot");
 
 describe("MOG Token - Gas Optimization Tests", function () {
   let mogToken;
@@ -9,15 +19,6 @@ describe("MOG Token - Gas Optimization Tests", function () {
   let addr2;
   let addr3;
 
-  async function deployMOGTokenFixture() {
-    const [owner, addr1, addr2, addr3, ...addrs] = await ethers.getSigners();
-    
-    const MOGToken = await ethers.getContractFactory("MOG");
-    const mogToken = await MOGToken.deploy();
-    
-    return { mogToken, owner, addr1, addr2, addr3, addrs };
-  }
-
   beforeEach(async function () {
     const fixture = await loadFixture(deployMOGTokenFixture);
     mogToken = fixture.mogToken;
@@ -106,7 +107,9 @@ describe("MOG Token - Gas Optimization Tests", function () {
       console.log(`SetParameters gas used: ${receipt.gasUsed}`);
       
       // Should be reasonably efficient for admin function
-      expect(receipt.gasUsed).to.be.lt(100000);
+      // (three zero-to-nonzero fee slots are written here: 118,583 measured; the 115,783
+      // in test/gas-snapshot.json is setParameters(2, 1, 1, 1, 1, 100) after startTrading)
+      expect(receipt.gasUsed).to.be.lt(130000);
     });
 
     it("Should use optimal gas for setStructure", async function () {
@@ -180,6 +183,9 @@ describe("MOG Token - Gas Optimization Tests", function () {
       // Test multiple transfers to measure fee calculation efficiency
       const transferAmount = ethers.parseUnits("100", 18);
       
+      // The first taxed transfer initializes the contract and DEAD balances; exclude it
+      await mogToken.connect(addr1).transfer(ethers.Wallet.createRandom().address, transferAmount);
+      
       const tx1 = await mogToken.connect(addr1).transfer(addr2.address, transferAmount);
       const receipt1 = await tx1.wait();
       
@@ -241,6 +247,9 @@ describe("MOG Token - Gas Optimization Tests", function () {
     it("Should handle multiple transfers efficiently", async function () {
       const transferAmount = ethers.parseUnits("100", 18);
       
+      // Warm up the recipient and fee receiver balances so every measured transfer does the same writes
+      await mogToken.connect(addr1).transfer(addr2.address, transferAmount);
+      
       // Multiple transfers
       const transactions = [];
       for (let i = 0; i < 5; i++) {
@@ -283,45 +292,122 @@ describe("MOG Token - Gas Optimization Tests", function () {
     });
 
     it("Should use optimal gas for clearStuckToken", async function () {
-      const tx = await mogToken.clearStuckToken(ethers.ZeroAddress, 0);
+      const tx = await mogToken.clearStuckToken(await mogToken.getAddress(), 0);
       const receipt = await tx.wait();
       
       console.log(`ClearStuckToken gas used: ${receipt.gasUsed}`);
       
-      // Should be efficient even if it fails
+      // Should be efficient
       expect(receipt.gasUsed).to.be.lt(100000);
     });
   });
 
   describe("Gas Regression Tests", function () {
-    it("Should maintain gas efficiency over time", async function () {
-      // This test ensures gas usage doesn't regress
-      const baselineGas = {
-        transfer: 150000,
-        transferFrom: 180000,
-        approve: 50000,
-        setParameters: 100000
-      };
-      
-      // Test transfer
-      const transferTx = await mogToken.connect(addr1).transfer(addr2.address, ethers.parseUnits("100", 18));
-      const transferReceipt = await transferTx.wait();
-      expect(transferReceipt.gasUsed).to.be.lte(baselineGas.transfer);
-      
-      // Test approve
-      const approveTx = await mogToken.connect(addr1).approve(addr2.address, ethers.parseUnits("1000", 18));
-      const approveReceipt = await approveTx.wait();
-      expect(approveReceipt.gasUsed).to.be.lte(baselineGas.approve);
-      
-      // Test transferFrom
-      const transferFromTx = await mogToken.connect(addr2).transferFrom(addr1.address, addr3.address, ethers.parseUnits("50", 18));
-      const transferFromReceipt = await transferFromTx.wait();
-      expect(transferFromReceipt.gasUsed).to.be.lte(baselineGas.transferFrom);
-      
-      // Test admin function
-      const setParamsTx = await mogToken.setParameters(2, 1, 1, 1, 1, 100);
-      const setParamsReceipt = await setParamsTx.wait();
-      expect(setParamsReceipt.gasUsed).to.be.lte(baselineGas.setParameters);
+    // Trading open and addr1 funded, like the beforeEach above, but as a fixture so every
+    // scenario below starts from identical storage and measures deterministically
+    async function tradingFixture() {
+      const fixture = await deployMOGTokenFixture();
+      await fixture.mogToken.startTrading();
+      await fixture.mogToken.transfer(fixture.addr1.address, ethers.parseUnits("100000", 18));
+      return fixture;
+    }
+
+    async function swapBackFixture() {
+      const fixture = await deployMOGWithLiquidityFixture();
+      await fixture.mogToken.startTrading();
+      await fixture.mogToken.reduceFee();
+      await fixture.mogToken.setSwapBackSettings(true, ethers.parseUnits("1000", 18));
+      await fixture.mogToken.transfer(fixture.addr1.address, ethers.parseUnits("1000000", 18));
+      return fixture;
+    }
+
+    const tokens = (amount) => ethers.parseUnits(amount, 18);
+
+    // name -> [fixture, scenario]; the scenario does any setup and returns the measured tx
+    const GAS_SCENARIOS = {
+      "transfer (taxed, first fee)": [tradingFixture, ({ mogToken, addr1, addr2 }) =>
+        mogToken.connect(addr1).transfer(addr2.address, tokens("100"))],
+      "transfer (taxed, warm)": [tradingFixture, async ({ mogToken, addr1, addr2, addr3 }) => {
+        await mogToken.connect(addr1).transfer(addr3.address, tokens("100"));
+        return mogToken.connect(addr1).transfer(addr2.address, tokens("100"));
+      }],
+      "transfer (exempt owner)": [tradingFixture, ({ mogToken, addr2 }) =>
+        mogToken.transfer(addr2.address, tokens("100"))],
+      "transfer (triggers swapBack)": [swapBackFixture, async ({ mogToken, addr1, addr2 }) => {
+        await mogToken.connect(addr1).transfer(addr2.address, tokens("100000"));
+        return mogToken.connect(addr1).transfer(addr2.address, tokens("100"));
+      }],
+      "transferFrom (taxed)": [tradingFixture, async ({ mogToken, addr1, addr2, addr3 }) => {
+        await mogToken.connect(addr1).approve(addr2.address, tokens("1000"));
+        return mogToken.connect(addr2).transferFrom(addr1.address, addr3.address, tokens("50"));
+      }],
+      "approve": [tradingFixture, ({ mogToken, addr1, addr2 }) =>
+        mogToken.connect(addr1).approve(addr2.address, tokens("1000"))],
+      "approveMax": [tradingFixture, ({ mogToken, addr1, addr2 }) =>
+        mogToken.connect(addr1).approveMax(addr2.address)],
+      "setParameters": [tradingFixture, ({ mogToken }) => mogToken.setParameters(2, 1, 1, 1, 1, 100)],
+      "setStructure": [tradingFixture, ({ mogToken }) => mogToken.setStructure(200, 300, 400)],
+      "setWallets": [tradingFixture, ({ mogToken, addr1, addr2, addr3 }) =>
+        mogToken.setWallets(addr1.address, addr2.address, addr3.address, addr1.address, addr2.address)],
+      "setSwapBackSettings": [tradingFixture, ({ mogToken }) => mogToken.setSwapBackSettings(false, tokens("1000"))],
+      "maxWalletRule": [tradingFixture, ({ mogToken }) => mogToken.maxWalletRule(20)],
+      "removeLimits": [tradingFixture, ({ mogToken }) => mogToken.removeLimits()],
+      "reduceFee": [tradingFixture, ({ mogToken }) => mogToken.reduceFee()],
+      "clearStuckToken": [tradingFixture, async ({ mogToken, addr1, addr2 }) => {
+        await mogToken.connect(addr1).transfer(addr2.address, tokens("100"));
+        return mogToken.clearStuckToken(await mogToken.getAddress(), 0);
+      }],
+      "manualSend": [tradingFixture, async ({ mogToken, owner }) => {
+        await owner.sendTransaction({ to: await mogToken.getAddress(), value: ethers.parseEther("1") });
+        return mogToken.manualSend();
+      }],
+      "buy (router)": [swapBackFixture, ({ dex, addr2 }) => dex.buy(addr2, ethers.parseEther("0.1"))],
+      "sell (router)": [swapBackFixture, ({ dex, addr1 }) => dex.sell(addr1, tokens("1000"))]
+    };
+
+    it("Should classify gas changes against the tolerance", async function () {
+      const baseline = { approve: 46000n, transfer: 100000n, removed: 1000n };
+      const measured = { approve: 46300n, transfer: 97000n, added: 5000n };
+
+      const rows = compareGas(baseline, measured, { tolerance: 1 });
+
+      expect(rows.map((row) => [row.name, row.status])).to.deep.equal([
+        ["added", "new"],
+        ["approve", "unchanged"],
+        ["removed", "missing"],
+        ["transfer", "improved"]
+      ]);
+      expect(compareGas(baseline, measured, { tolerance: 0.5 })[1].status).to.equal("regressed");
+      expect(formatGasDiff(rows)).to.match(/transfer\s+100000\s+97000\s+-3000\s+-3\.00\s+improved/);
+    });
+
+    it("Should match the committed gas snapshot", async function () {
+      // solidity-coverage instruments the contracts, so its gas numbers mean nothing here
+      if (hre.__SOLIDITY_COVERAGE_RUNNING) this.skip();
+
+      const measured = {};
+      for (const [name, [fixtureFn, scenario]] of Object.entries(GAS_SCENARIOS)) {
+        const fixture = await loadFixture(fixtureFn);
+        const receipt = await (await scenario(fixture)).wait();
+        measured[name] = receipt.gasUsed;
+      }
+
+      if (process.env.UPDATE_GAS_SNAPSHOT) {
+        const rows = compareGas(readSnapshot(), measured, { tolerance: 0 });
+        writeSnapshot(measured);
+        console.log(`Gas snapshot updated (${SNAPSHOT_PATH}):\n${formatGasDiff(rows)}`);
+        return;
+      }
+
+      const tolerance = toleranceFromEnv();
+      const rows = compareGas(readSnapshot(), measured, { tolerance });
+      const changed = rows.filter((row) => row.status !== "unchanged");
+      if (changed.length > 0) {
+        console.log(`Gas changes beyond ${tolerance}% (update with npm run test:gas:update):\n${formatGasDiff(rows)}`);
+      }
+
+      const failing = changed.filter((row) => row.status !== "improved");
+      expect(failing.map((row) => `${row.name}: ${row.status}`), formatGasDiff(rows)).to.deep.equal([]);
     });
   });
-}); 
\ No newline at end of file
+});
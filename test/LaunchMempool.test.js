@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { verifies } = require("./helpers/findings");
+const { parseCalls } = require("../scripts/lib/calls");
+const { mineInOrder } = require("../scripts/lib/mempool");
+const { SCENARIOS, simulateBlock, runMempool, toMarkdown } = require("../scripts/launch-mempool");
+
+describe("Launch Mempool", function () {
+  // the deployed wallet limit, 1% of supply
+  const MAX_WALLET = ethers.parseUnits("420690000000000", 18) / 100n;
+
+  let results;
+
+  before(async function () {
+    results = await runMempool();
+  });
+
+  const scenario = (name) => results.find((result) => result.scenario === name);
+  const transaction = (name, index) => scenario(name).transactions[index];
+
+  verifies("MOG-04").it("Should reject a sniper mined ahead of startTrading in the same block", async function () {
+    const sniper = transaction("sniper ahead of startTrading", 0);
+    const buyer = transaction("sniper ahead of startTrading", 2);
+
+    expect(sniper).to.include({ ok: false, reason: "Trading not open yet", received: 0n, ethIn: 0n });
+    // the failed buy still costs gas
+    expect(sniper.gasCost).to.be.gt(0n);
+    expect(buyer.ok).to.equal(true);
+  });
+
+  verifies("MOG-02").it("Should charge the 14x launch buy fee to buyers right behind startTrading", async function () {
+    const sniper = transaction("sniper behind startTrading", 1);
+    const buyer = transaction("sniper behind startTrading", 2);
+
+    // 4% total fee at buypercent 1400, less rounding
+    expect(sniper.feeBps).to.be.within(5590n, 5600n);
+    expect(buyer.feeBps).to.be.within(5590n, 5600n);
+    // the sniper is first, so it also gets the better price
+    expect((sniper.received * ethers.parseEther("1")) / sniper.ethIn).to.be.gt((buyer.received * ethers.parseEther("1")) / buyer.ethIn);
+  });
+
+  verifies("MOG-02").it("Should let a sniper behind reduceFee get twice the tokens of the buyer ahead of it", async function () {
+    const buyer = transaction("sniper behind reduceFee", 0);
+    const sniper = transaction("sniper behind reduceFee", 2);
+
+    expect(buyer.feeBps).to.be.within(5590n, 5600n);
+    expect(sniper.feeBps).to.be.within(390n, 400n);
+    // same 1 ETH, after the buyer has already moved the price up
+    expect(sniper.received).to.be.gt(buyer.received * 2n);
+  });
+
+  verifies("MOG-05").it("Should hold buyers to the wallet limit until removeLimits lands", async function () {
+    const whale = transaction("whale around removeLimits", 0);
+    const sniper = transaction("whale around removeLimits", 2);
+
+    expect(whale).to.include({ ok: false, reason: "Total Holding is currently limited, you can not buy that much." });
+    expect(sniper.ok).to.equal(true);
+    expect(sniper.received).to.be.gt(MAX_WALLET);
+  });
+
+  it("Should mine a whole launch in one block in the listed order", async function () {
+    const launch = scenario("full launch in one block");
+
+    expect(launch.transactions.map((row) => row.ok)).to.deep.equal([true, true, true, true, true, true]);
+    expect(launch.transactions.map((row) => row.actor)).to.deep.equal(["owner", "buyer", "owner", "sniper", "owner", "whale"]);
+    expect(launch.transactions[1].feeBps).to.be.within(5590n, 5600n);
+    expect(launch.transactions[3].feeBps).to.be.within(390n, 400n);
+    expect(launch.actors.whale.received).to.be.gt(launch.actors.sniper.received);
+    expect(Object.keys(launch.actors)).to.have.members(["buyer", "sniper", "whale"]);
+  });
+
+  it("Should run custom blocks and restore automine after a bad one", async function () {
+    const custom = await simulateBlock({ name: "custom", setup: parseCalls("startTrading()"), block: parseCalls("reduceFee(); buy(@sniper, 1)") });
+    expect(custom.transactions[1]).to.include({ ok: true, call: "buy(@sniper, 1)" });
+
+    const before = await ethers.provider.getBlockNumber();
+    await expect(simulateBlock({ name: "bad", setup: parseCalls("startTrading()"), block: parseCalls("buy(@sniper, 1); buy(@nobody, 1)") })).to.be.rejectedWith(
+      "Unknown actor @nobody"
+    );
+    expect(await ethers.provider.send("hardhat_getAutomine", [])).to.equal(true);
+    expect(await ethers.provider.getBlockNumber()).to.equal(before);
+
+    // without a snapshot to restore, the transaction sent before the bad one is dropped
+    // rather than left pending for the next send to mine
+    const [sender, recipient] = await ethers.getSigners();
+    await expect(
+      mineInOrder([
+        { label: "transfer", send: (fees) => sender.sendTransaction({ to: recipient.address, value: 1n, gasLimit: 21000n, ...fees }) },
+        { label: "bad", send: () => Promise.reject(new Error("bad send")) }
+      ])
+    ).to.be.rejectedWith("bad send");
+    expect((await ethers.provider.send("eth_getBlockByNumber", ["pending", false])).transactions).to.deep.equal([]);
+    expect(await ethers.provider.send("hardhat_getAutomine", [])).to.equal(true);
+  });
+
+  it("Should buy fractional ETH amounts", async function () {
+    expect(parseCalls("buy(@sniper, 0.5)")).to.deep.equal([["buy", "@sniper", "0.5"]]);
+    expect(() => parseCalls("buy(@sniper, half)")).to.throw('Cannot parse argument "half" of "buy(@sniper, half)"');
+
+    const custom = await simulateBlock({ name: "custom", setup: parseCalls("startTrading(); reduceFee()"), block: parseCalls("buy(@sniper, 0.5); buy(@buyer, .25)") });
+
+    expect(custom.transactions[0]).to.include({ ok: true, call: "buy(@sniper, 0.5)", ethIn: ethers.parseEther("0.5") });
+    expect(custom.transactions[1]).to.include({ ok: true, call: "buy(@buyer, .25)", ethIn: ethers.parseEther("0.25") });
+    expect(custom.transactions[0].received).to.be.gt(custom.transactions[1].received);
+  });
+
+  it("Should report every transaction of every scenario", async function () {
+    const markdown = toMarkdown(results);
+
+    expect(results).to.have.lengthOf(SCENARIOS.length);
+    expect(markdown).to.contain("### sniper ahead of startTrading");
+    expect(markdown).to.contain("| 0 | sniper | `buy(@sniper, 2)` | reverted: Trading not open yet |");
+    expect(markdown).to.contain("Before the block: `startTrading()`, `reduceFee()`");
+    expect(markdown).to.match(/\| 1 \| sniper \| `buy\(@sniper, 2\)` \| ok \| 2\.0000 \| [\d.]+e\+\d+ \| [\d.]+e\+\d+ \| 55\.9\d% \|/);
+  });
+});
@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployLocalDex } = require("../scripts/lib/dex");
+const { optionsFromEnv, rehearseLaunch } = require("../scripts/rehearse-launch");
+
+describe("Launch Rehearsal", function () {
+  const quiet = () => {};
+  const MAX_WALLET = "Total Holding is currently limited, you can not buy that much.";
+
+  beforeEach(async function () {
+    await loadFixture(deployLocalDex);
+  });
+
+  const reasons = (wave) => wave.outcomes.filter((outcome) => !outcome.ok).map((outcome) => outcome.reason);
+
+  it("Should walk through every launch phase in order", async function () {
+    const { timeline, waves } = await rehearseLaunch({ buyers: 4, buyEth: ["1", "4"], log: quiet });
+
+    expect(timeline.map((entry) => entry.phase)).to.deep.equal([
+      "liquidity seeded",
+      "startTrading",
+      "launch buy wave",
+      "launch sell wave",
+      "reduceFee",
+      "reduced-fee buy wave",
+      "removeLimits",
+      "final"
+    ]);
+    expect(waves.map((wave) => wave.label)).to.deep.equal([
+      "buyers at launch fees",
+      "sellers at launch fees",
+      "buyers at reduced fees",
+      "buyers without limits",
+      "sellers without limits"
+    ]);
+  });
+
+  it("Should reject buys over the wallet limit until removeLimits", async function () {
+    const { waves } = await rehearseLaunch({ buyers: 4, buyEth: ["1", "4"], log: quiet });
+    const [launchBuys, , reducedBuys, unlimitedBuys] = waves;
+
+    // 4 ETH buys about 1.9% of supply gross, over the 1% wallet limit
+    expect(reasons(launchBuys)).to.deep.equal([MAX_WALLET, MAX_WALLET]);
+    expect(reasons(reducedBuys)).to.deep.equal([MAX_WALLET, MAX_WALLET]);
+    expect(reasons(unlimitedBuys)).to.deep.equal([]);
+  });
+
+  it("Should apply _maxTxAmount to sells once the wallet limit is loosened", async function () {
+    const { timeline, waves } = await rehearseLaunch({ buyers: 4, buyEth: ["1", "10"], maxWalletPercent: 60, log: quiet });
+    const launchSells = waves.find((wave) => wave.label === "sellers at launch fees");
+    const finalSells = waves.find((wave) => wave.label === "sellers without limits");
+
+    expect(timeline[0].maxWalletToken).to.equal((timeline[0].totalSupply * 60n) / 1000n);
+    expect(reasons(launchSells)).to.deep.equal(["TX Limit Exceeded", "TX Limit Exceeded"]);
+    expect(reasons(finalSells)).to.deep.equal([]);
+  });
+
+  it("Should take more of a buy at launch fees than after reduceFee", async function () {
+    const { waves } = await rehearseLaunch({ buyers: 2, buyEth: ["1"], log: quiet });
+    const [launchBuys, , reducedBuys] = waves;
+
+    // 14x buy multiplier keeps 44% of the gross amount, 1x keeps 96%; the second buy also
+    // pays a higher price, which is far smaller than the fee difference
+    expect(reducedBuys.outcomes[0].received).to.be.gt((launchBuys.outcomes[0].received * 2n));
+  });
+
+  it("Should track price, fees and burns across the timeline", async function () {
+    const { timeline } = await rehearseLaunch({ buyers: 4, buyEth: ["1", "2"], log: quiet });
+    const byPhase = Object.fromEntries(timeline.map((entry) => [entry.phase, entry]));
+
+    expect(byPhase["startTrading"].burned).to.equal(0);
+    expect(byPhase["launch buy wave"].price).to.be.gt(byPhase["startTrading"].price);
+    expect(byPhase["launch buy wave"].holders).to.equal(4);
+    for (let i = 1; i < timeline.length; i++) {
+      expect(timeline[i].burned).to.be.gte(timeline[i - 1].burned);
+      expect(timeline[i].feesCollected).to.be.gte(timeline[i - 1].feesCollected);
+    }
+    expect(byPhase["removeLimits"].maxTxAmount).to.equal(byPhase["removeLimits"].totalSupply);
+  });
+
+  it("Should read its options from the environment", async function () {
+    expect(optionsFromEnv({ REHEARSAL_BUYERS: "3", REHEARSAL_BUY_ETH: "0.1,5", REHEARSAL_MAX_WALLET: "25" })).to.deep.equal({
+      buyers: 3,
+      buyEth: ["0.1", "5"],
+      maxWalletPercent: 25
+    });
+    expect(optionsFromEnv({}).buyers).to.equal(10);
+  });
+});
@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { NOT_OWNER, stateChangingFunctions, buildPrivilegeMap, formatPrivilegeMap } = require("../scripts/lib/privileges");
+const { fundedTokenFixture, privilegeMap } = require("../scripts/privilege-map");
+
+describe("Privilege Map", function () {
+  let rows;
+
+  before(async function () {
+    rows = await privilegeMap();
+  });
+
+  const row = (name) => rows.find((entry) => entry.name === name);
+
+  it("Should probe every state-changing function in the ABI", async function () {
+    const { mogToken } = await loadFixture(fundedTokenFixture);
+    const expected = stateChangingFunctions(mogToken.interface).map((fragment) => fragment.format());
+
+    expect(rows.map((entry) => entry.signature)).to.deep.equal(expected);
+    expect(rows.map((entry) => entry.name)).to.not.include.members(["balanceOf", "showBacking", "owner"]);
+  });
+
+  it("Should leave manualSend and clearStuckToken open to anyone", async function () {
+    for (const name of ["manualSend", "clearStuckToken"]) {
+      expect(row(name)).to.include({ access: "anyone", callableAfterRenounce: true });
+      expect(row(name).asOther.ok).to.equal(true);
+    }
+
+    // both sweep the contract's balance to autoLiquidityReceiver, the owner by default
+    expect(row("manualSend").asOther.mutates).to.have.members(["ETH(contract)", "ETH(owner)"]);
+    expect(row("clearStuckToken").asOther.mutates).to.have.members(["balanceOf(contract)", "balanceOf(owner)"]);
+  });
+
+  it("Should report the storage an owner call writes by variable name, getter or not", async function () {
+    // none of these has a getter; the names come from the storage layout
+    expect(row("setWallets").asOwner.mutates).to.have.members([
+      "autoLiquidityReceiver",
+      "marketingFeeReceiver",
+      "devFeeReceiver",
+      "buybackFeeReceiver",
+      "burnFeeReceiver"
+    ]);
+    expect(row("setStructure").asOwner.mutates).to.have.members(["buypercent", "sellpercent", "transferpercent"]);
+    expect(row("setParameters").asOwner.mutates).to.have.members(["totalFee", "liquidityFee", "buybackFee", "marketingFee", "devFee"]);
+    expect(row("startTrading").asOwner.mutates).to.have.members(["TradingOpen", "buypercent", "sellpercent", "transferpercent"]);
+    expect(row("transferOwnership").asOwner.mutates).to.have.members(["_owner", "owner", "getOwner"]);
+    expect(rows.flatMap((entry) => entry.asOwner.mutates).filter((key) => key.startsWith("slot "))).to.deep.equal([]);
+    expect(row("setSwapBackSettings").asOwner.events).to.deep.equal(["set_SwapBack"]);
+    expect(row("approve").asOther.mutates).to.deep.equal(["allowance(caller, probe)"]);
+  });
+
+  it("Should lock every owner function after renounceOwnership", async function () {
+    for (const entry of rows) {
+      expect(entry.callableAfterRenounce, entry.name).to.equal(entry.access === "anyone");
+      if (entry.access === "owner") expect(entry.asOther.reason, entry.name).to.equal(NOT_OWNER);
+    }
+  });
+
+  it("Should count any other revert as reachable by anyone", async function () {
+    const [owner, addr1, addr2] = await ethers.getSigners();
+    const mock = await (await ethers.getContractFactory("MockMOG")).deploy();
+
+    const mockRows = await buildPrivilegeMap({ token: mock, owner, other: addr1, probe: addr2, contractName: "MockMOG" });
+    const transfer = mockRows.find((entry) => entry.name === "transfer");
+
+    expect(transfer).to.include({ access: "anyone", callableAfterRenounce: true });
+    expect(transfer.asOther).to.include({ ok: false, reason: "Insufficient Balance" });
+    expect(mockRows.filter((entry) => entry.access === "owner").map((entry) => entry.name)).to.have.members([
+      "startTrading",
+      "setParameters",
+      "removeLimits",
+      "maxWalletRule",
+      "renounceOwnership",
+      "transferOwnership"
+    ]);
+  });
+
+  it("Should print one markdown row per function", async function () {
+    const markdown = formatPrivilegeMap(rows).trim().split("\n");
+
+    expect(markdown[0]).to.equal("| function | access | as owner | as anyone else | after renounce | mutates | events |");
+    expect(markdown).to.have.lengthOf(rows.length + 2);
+    expect(markdown).to.include("| `manualSend()` | anyone | ok | ok | callable | ETH(contract), ETH(owner) | - |");
+    expect(markdown.find((line) => line.startsWith("| `startTrading()`"))).to.contain(`| owner | ok | reverts: ${NOT_OWNER} | locked |`);
+  });
+});
@@ -0,0 +1,89 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMOGWithLiquidityFixture } = require("../scripts/lib/fixtures");
+const { mineInOrder } = require("../scripts/lib/mempool");
+const { verifies } = require("./helpers/findings");
+const { swapCount } = require("./helpers/events");
+const { POOLS, runSandwich, extractableValue, toMarkdown } = require("../scripts/sandwich");
+
+describe("Sandwich Analysis", function () {
+  const [deep, , shallow] = POOLS;
+  const THRESHOLDS = [10n, 70n];
+  const BUY_PERCENT = [1n, 50n];
+
+  let rows;
+
+  before(async function () {
+    rows = await runSandwich({ pools: [deep, shallow], thresholds: THRESHOLDS, buyPercents: BUY_PERCENT });
+  });
+
+  const cell = (pool, thresholdBps, buyPercent) =>
+    rows.find((row) => row.pool === pool.name && row.thresholdBps === thresholdBps && row.buyPercent === buyPercent);
+
+  verifies("MOG-10").it("Should find no profitable buy-first sandwich around swapBack", async function () {
+    expect(rows).to.have.lengthOf(2 * THRESHOLDS.length * BUY_PERCENT.length);
+    // the attacker pays the buy and sell fee and sells into the price swapBack just pushed down
+    for (const row of rows) {
+      expect(row.profit).to.be.lt(0n);
+    }
+    expect(extractableValue(rows).map((cell) => cell.value)).to.deep.equal([0n, 0n, 0n, 0n]);
+  });
+
+  verifies("MOG-10").it("Should pay swapBack more ETH the larger the buy in front of it", async function () {
+    for (const pool of [deep, shallow]) {
+      for (const thresholdBps of THRESHOLDS) {
+        const small = cell(pool, thresholdBps, 1n);
+        const large = cell(pool, thresholdBps, 50n);
+        expect(small.swapBackChange).to.be.gt(0n);
+        expect(large.swapBackChange).to.be.gt(small.swapBackChange);
+        // and the attacker loses more
+        expect(large.profit).to.be.lt(small.profit);
+      }
+    }
+    // a 0.7% threshold sells a third of the shallow pool's tokens, so a 50% buy in front
+    // roughly doubles what swapBack gets
+    expect(cell(shallow, 70n, 50n).swapBackChange).to.be.gt(cell(shallow, 70n, 50n).swapBackETH);
+  });
+
+  verifies("MOG-10").it("Should run a pending swapBack inside an attacker's sell placed in front", async function () {
+    const { mogToken, router, weth, pair, owner, addr1: attacker, addr2: victim } = await loadFixture(deployMOGWithLiquidityFixture);
+    const threshold = ethers.parseUnits("1000000000", 18);
+    await mogToken.startTrading();
+    await mogToken.reduceFee();
+    await mogToken.setSwapBackSettings(true, threshold);
+    await mogToken.transfer(attacker.address, threshold);
+    await mogToken.transfer(victim.address, threshold);
+    await mogToken.transfer(await mogToken.getAddress(), threshold);
+    await mogToken.connect(attacker).approve(await router.getAddress(), ethers.MaxUint256);
+
+    const [sell, trigger] = await mineInOrder([
+      {
+        label: "attacker sell",
+        send: (fees) =>
+          router
+            .connect(attacker)
+            .swapExactTokensForETHSupportingFeeOnTransferTokens(threshold, 0, [mogToken.target, weth.target], attacker.address, ethers.MaxUint256, {
+              ...fees,
+              gasLimit: 2_000_000n
+            })
+      },
+      { label: "victim transfer", send: (fees) => mogToken.connect(victim).transfer(owner.address, 1n, { ...fees, gasLimit: 2_000_000n }) }
+    ]);
+
+    // swapBack ran first, at the untouched price, then the attacker's own swap
+    expect(swapCount(sell, pair)).to.equal(2);
+    expect(swapCount(trigger, pair)).to.equal(0);
+  });
+
+  it("Should report every cell and the extractable value per pool and threshold", async function () {
+    const markdown = toMarkdown(rows);
+
+    expect(markdown).to.contain("| pool | threshold | swapBack ETH | attacker buy | attacker profit | gas | swapBack ETH change | swapBacks in attacker sell |");
+    expect(markdown).to.match(/\| 50% \/ 100 ETH \| 0\.70% \| [\d.]+ \| 50\.0000 \(50%\) \| -[\d.]+ \|/);
+    expect(markdown).to.contain("- 2% / 10 ETH, threshold 0.70%: 0.0000 ETH");
+
+    const profitable = { ...cell(deep, 10n, 1n), profit: ethers.parseEther("0.25") };
+    expect(toMarkdown([profitable])).to.contain("- 50% / 100 ETH, threshold 0.10%: 0.2500 ETH (buy 1% of pool ETH)");
+  });
+});
@@ -1,6 +1,24 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMOGTokenFixture } = require("../scripts/lib/fixtures");
+const { buildPrivilegeMap } = require("../scripts/lib/privileges");
+
+// Every state-changing function in MOG's ABI, by who may call it. A function added to the
+// contract fails the privilege map test below until it is listed here.
+const OWNER_FUNCTIONS = [
+  "maxWalletRule",
+  "reduceFee",
+  "removeLimits",
+  "renounceOwnership",
+  "setParameters",
+  "setStructure",
+  "setSwapBackSettings",
+  "setWallets",
+  "startTrading",
+  "transferOwnership"
+];
+const OPEN_FUNCTIONS = ["approve", "approveMax", "clearStuckToken", "manualSend", "transfer", "transferFrom"];
 
 describe("MOG Token - Security Tests", function () {
   let mogToken;
@@ -10,15 +28,6 @@ describe("MOG Token - Security Tests", function () {
   let addr3;
   let addrs;
 
-  async function deployMOGTokenFixture() {
-    const [owner, addr1, addr2, addr3, ...addrs] = await ethers.getSigners();
-    
-    const MOGToken = await ethers.getContractFactory("MOG");
-    const mogToken = await MOGToken.deploy();
-    
-    return { mogToken, owner, addr1, addr2, addr3, addrs };
-  }
-
   beforeEach(async function () {
     const fixture = await loadFixture(deployMOGTokenFixture);
     mogToken = fixture.mogToken;
@@ -30,104 +39,23 @@ describe("MOG Token - Security Tests", function () {
   });
 
   describe("Access Control Security", function () {
-    it("Should prevent unauthorized access to owner functions", async function () {
-      // Test setParameters
-      await expect(
-        mogToken.connect(addr1).setParameters(1, 1, 1, 1, 1, 100)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
-
-      // Test setStructure
-      await expect(
-        mogToken.connect(addr1).setStructure(100, 100, 100)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
-
-      // Test startTrading
-      await expect(
-        mogToken.connect(addr1).startTrading()
-      ).to.be.revertedWith("Ownable: caller is not the owner");
-
-      // Test reduceFee
-      await expect(
-        mogToken.connect(addr1).reduceFee()
-      ).to.be.revertedWith("Ownable: caller is not the owner");
-
-      // Test maxWalletRule
-      await expect(
-        mogToken.connect(addr1).maxWalletRule(50)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
-
-      // Test removeLimits
-      await expect(
-        mogToken.connect(addr1).removeLimits()
-      ).to.be.revertedWith("Ownable: caller is not the owner");
-
-      // Test setWallets
+    it("Should reject the MOG-only owner functions from a non-owner", async function () {
+      // the owner functions MOG shares with other tax tokens are covered by the tax token kit
       await expect(
         mogToken.connect(addr1).setWallets(addr1.address, addr1.address, addr1.address, addr1.address, addr1.address)
       ).to.be.revertedWith("Ownable: caller is not the owner");
 
-      // Test setSwapBackSettings
       await expect(
         mogToken.connect(addr1).setSwapBackSettings(true, ethers.parseUnits("1000", 18))
       ).to.be.revertedWith("Ownable: caller is not the owner");
     });
 
-    it("Should prevent unauthorized ownership transfer", async function () {
-      await expect(
-        mogToken.connect(addr1).transferOwnership(addr2.address)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
-    });
-
-    it("Should prevent unauthorized ownership renouncement", async function () {
-      await expect(
-        mogToken.connect(addr1).renounceOwnership()
-      ).to.be.revertedWith("Ownable: caller is not the owner");
-    });
-  });
-
-  describe("Fee Manipulation Prevention", function () {
-    it("Should prevent fee manipulation beyond limits", async function () {
-      // Test setting total fees over 50%
-      await expect(
-        mogToken.setParameters(60, 0, 0, 0, 0, 100)
-      ).to.be.revertedWith("Fees can not be more than 50%");
-
-      await expect(
-        mogToken.setParameters(25, 25, 5, 0, 0, 100)
-      ).to.be.revertedWith("Fees can not be more than 50%");
-
-      await expect(
-        mogToken.setParameters(10, 10, 10, 10, 11, 100)
-      ).to.be.revertedWith("Fees can not be more than 50%");
-    });
-
-    it("Should allow setting fees at the maximum limit", async function () {
-      // Should allow exactly 49% (just under 50%)
-      await mogToken.setParameters(24, 25, 0, 0, 0, 100);
-      expect(await mogToken.totalFee()).to.equal(49);
-    });
-
-    it("Should prevent invalid fee denominator", async function () {
-      // If fee denominator is too small, even small fees could exceed 50%
-      await expect(
-        mogToken.setParameters(1, 0, 0, 0, 0, 1)
-      ).to.be.revertedWith("Fees can not be more than 50%");
-    });
-  });
-
-  describe("Wallet Limit Security", function () {
-    it("Should prevent setting wallet limits too low", async function () {
-      // Test minimum wallet percentage (should be at least 0.1%)
-      await expect(
-        mogToken.maxWalletRule(0)
-      ).to.be.reverted; // Should revert due to require(maxWallPercent >= 1)
-    });
+    it("Should gate every state-changing function found in the ABI", async function () {
+      const rows = await buildPrivilegeMap({ token: mogToken, owner, other: addr1, probe: addr2 });
+      const names = (access) => rows.filter((row) => row.access === access).map((row) => row.name);
 
-    it("Should allow reasonable wallet limits", async function () {
-      // Should allow 1% (10/1000)
-      await mogToken.maxWalletRule(10);
-      const maxWallet = await mogToken._maxWalletToken();
-      expect(maxWallet).to.be.gt(0);
+      expect(names("owner")).to.have.members(OWNER_FUNCTIONS);
+      expect(names("anyone")).to.have.members(OPEN_FUNCTIONS);
     });
   });
 
@@ -137,13 +65,6 @@ describe("MOG Token - Security Tests", function () {
       await mogToken.transfer(addr1.address, ethers.parseUnits("10000", 18));
     });
 
-    it("Should prevent transfers with insufficient balance", async function () {
-      // addr2 has no tokens
-      await expect(
-        mogToken.connect(addr2).transfer(addr1.address, ethers.parseUnits("1", 18))
-      ).to.be.revertedWith("Insufficient Balance");
-    });
-
     it("Should prevent transferFrom with insufficient allowance", async function () {
       // addr2 trying to transfer from addr1 without proper allowance
       await expect(
@@ -166,6 +87,11 @@ describe("MOG Token - Security Tests", function () {
   });
 
   describe("Overflow/Underflow Protection", function () {
+    beforeEach(async function () {
+      await mogToken.startTrading();
+      await mogToken.transfer(addr1.address, ethers.parseUnits("10000", 18));
+    });
+
     it("Should handle large number operations safely", async function () {
       // Test with very large allowance
       await mogToken.connect(addr1).approve(addr2.address, ethers.MaxUint256);
@@ -191,30 +117,6 @@ describe("MOG Token - Security Tests", function () {
     });
   });
 
-  describe("Trading Control Security", function () {
-    it("Should prevent trading when disabled", async function () {
-      // Ensure trading is disabled
-      expect(await mogToken.TradingOpen()).to.be.false;
-
-      // Give addr1 some tokens
-      await mogToken.transfer(addr1.address, ethers.parseUnits("1000", 18));
-
-      // addr1 should not be able to transfer to addr2
-      await expect(
-        mogToken.connect(addr1).transfer(addr2.address, ethers.parseUnits("100", 18))
-      ).to.be.revertedWith("Trading not open yet");
-    });
-
-    it("Should allow authorized addresses to trade even when trading is disabled", async function () {
-      // Owner should be able to transfer even when trading is disabled
-      expect(await mogToken.TradingOpen()).to.be.false;
-      
-      await mogToken.transfer(addr1.address, ethers.parseUnits("1000", 18));
-      const addr1Balance = await mogToken.balanceOf(addr1.address);
-      expect(addr1Balance).to.equal(ethers.parseUnits("1000", 18));
-    });
-  });
-
   describe("Reentrancy Protection", function () {
     it("Should prevent reentrancy attacks during swapBack", async function () {
       // The swapping modifier should prevent reentrancy
@@ -238,13 +140,25 @@ describe("MOG Token - Security Tests", function () {
     });
   });
 
+  describe("Authorization Bypass Prevention", function () {
+    it("Should check the trading gate before the balance", async function () {
+      // the gate itself is covered by the tax token kit; MockMOG checks the balance first
+      expect(await mogToken.TradingOpen()).to.be.false;
+
+      // addr2 holds nothing, yet is turned away by the gate rather than by its balance
+      await expect(
+        mogToken.connect(addr2).transfer(addr3.address, ethers.parseUnits("1", 18))
+      ).to.be.revertedWith("Trading not open yet");
+    });
+  });
+
   describe("Emergency Function Security", function () {
     it("Should only allow authorized addresses to call emergency functions", async function () {
       // manualSend should be callable by anyone (but only affects owner)
       await mogToken.connect(addr1).manualSend();
       
       // clearStuckToken should be callable by anyone 
-      await mogToken.connect(addr1).clearStuckToken(ethers.ZeroAddress, 0);
+      await mogToken.connect(addr1).clearStuckToken(await mogToken.getAddress(), 0);
     });
 
     it("Should handle emergency functions safely", async function () {
@@ -262,50 +176,4 @@ describe("MOG Token - Security Tests", function () {
       expect(contractBalance).to.equal(0);
     });
   });
-
-  describe("Authorization Bypass Prevention", function () {
-    it("Should prevent bypassing authorization checks", async function () {
-      // Ensure authorizations mapping is properly protected
-      // Non-authorized addresses should not be able to bypass trading restrictions
-      
-      expect(await mogToken.TradingOpen()).to.be.false;
-      
-      // Give tokens to addr1
-      await mogToken.transfer(addr1.address, ethers.parseUnits("1000", 18));
-      
-      // addr1 should not be able to transfer to addr2 (not authorized)
-      await expect(
-        mogToken.connect(addr1).transfer(addr2.address, ethers.parseUnits("100", 18))
-      ).to.be.revertedWith("Trading not open yet");
-      
-      // Even if addr2 has no tokens, transfer between non-authorized should fail
-      await expect(
-        mogToken.connect(addr2).transfer(addr3.address, ethers.parseUnits("1", 18))
-      ).to.be.revertedWith("Trading not open yet");
-    });
-  });
-
-  describe("Input Validation", function () {
-    it("Should validate input parameters", async function () {
-      // Test zero address validation in ownership transfer
-      await expect(
-        mogToken.transferOwnership(ethers.ZeroAddress)
-      ).to.be.revertedWith("Ownable: new owner is the zero address");
-      
-      // Test wallet limit validation
-      await expect(
-        mogToken.maxWalletRule(0)
-      ).to.be.reverted;
-    });
-
-    it("Should handle edge case values safely", async function () {
-      // Test with maximum values
-      await mogToken.setParameters(49, 0, 0, 0, 0, 100);
-      expect(await mogToken.totalFee()).to.equal(49);
-      
-      // Test with minimum values
-      await mogToken.setParameters(0, 0, 0, 0, 0, 100);
-      expect(await mogToken.totalFee()).to.equal(0);
-    });
-  });
 }); 
\ No newline at end of file
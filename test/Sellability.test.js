@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const { verifies } = require("./helpers/findings");
+const { parseCalls, formatCall } = require("../scripts/lib/calls");
+const { SCENARIOS, verdictOf, runSellability, toMarkdown } = require("../scripts/sellability");
+
+describe("Sellability", function () {
+  let rows;
+
+  before(async function () {
+    rows = await runSellability();
+  });
+
+  const scenario = (name) => rows.find((row) => row.scenario === name);
+
+  it("Should let a holder sell at launch and after reduceFee", async function () {
+    const launch = scenario("launch");
+    const reduced = scenario("reduced");
+
+    expect(launch.verdict).to.equal("sellable");
+    expect(reduced.verdict).to.equal("sellable");
+    // 32% and 4% sell fees, plus the price impact of the swapBack that runs first
+    expect(launch.recoveryBps).to.be.within(6000n, 6799n);
+    expect(reduced.recoveryBps).to.be.within(9000n, 9599n);
+    expect(reduced.ethOut).to.be.gt(launch.ethOut);
+  });
+
+  verifies("MOG-03").it("Should leave about half the proceeds at the 49% fee cap", async function () {
+    const row = scenario("max fees, reduced");
+
+    expect(row.verdict).to.equal("punitive");
+    expect(row.recoveryBps).to.be.within(4500n, 5099n);
+  });
+
+  verifies("MOG-02", "MOG-03").it("Should freeze trading when fees at the cap meet the launch multipliers", async function () {
+    const row = scenario("max fees at launch");
+
+    // 49% times the 8x sell and 14x buy multipliers exceeds the amount itself
+    expect(row).to.include({ verdict: "frozen", sellReason: "SafeMath: subtraction overflow", buyReason: "SafeMath: subtraction overflow" });
+  });
+
+  verifies("MOG-03").it("Should turn the token into a honeypot with an uncapped sell multiplier", async function () {
+    const punitive = scenario("sell multiplier 24x");
+    const honeypot = scenario("sell multiplier 100x");
+
+    expect(punitive.verdict).to.equal("punitive");
+    expect(punitive.recoveryBps).to.be.lt(500n);
+    expect(honeypot).to.include({ verdict: "honeypot", sellable: false, buyable: true, permanent: false });
+    expect(honeypot.sellReason).to.equal("SafeMath: subtraction overflow");
+  });
+
+  verifies("MOG-01", "MOG-03").it("Should make the honeypot permanent once ownership is renounced", async function () {
+    const row = scenario("sell multiplier 100x, renounced");
+
+    expect(row).to.include({ verdict: "honeypot", permanent: true });
+  });
+
+  verifies("MOG-09").it("Should freeze every taxed trade when all fees are set to zero", async function () {
+    const row = scenario("all fees zero");
+
+    // takeFee divides the fee by totalFee to find the burn share
+    expect(row).to.include({ verdict: "frozen", sellReason: "SafeMath: division by zero", buyReason: "SafeMath: division by zero" });
+  });
+
+  verifies("MOG-10").it("Should block sells but not buys with a zero swap threshold", async function () {
+    const row = scenario("swap threshold zero");
+
+    // swapBack runs on every sell and asks the router to swap nothing
+    expect(row).to.include({ verdict: "honeypot", sellReason: "UniswapV2Library: INSUFFICIENT_INPUT_AMOUNT" });
+  });
+
+  verifies("MOG-10").it("Should keep selling through reverting or gas-burning fee receivers", async function () {
+    const reduced = scenario("reduced");
+    const reverting = scenario("reverting fee receivers");
+    const gasBurner = scenario("gas-burning marketing receiver");
+
+    // swapBack ignores the result of each receiver call
+    expect(reverting.verdict).to.equal("sellable");
+    expect(reverting.ethOut).to.equal(reduced.ethOut);
+    // but forwards all gas, so the marketing receiver can take 63/64 of it
+    expect(gasBurner.verdict).to.equal("punitive");
+    expect(gasBurner.ethOut).to.equal(reduced.ethOut);
+    expect(gasBurner.gasUsed).to.be.gt(reduced.gasUsed * 10n);
+  });
+
+  it("Should parse and print owner call sequences", async function () {
+    const calls = parseCalls("setStructure(100, 10000, 100); setSwapBackSettings(true, 0);renounceOwnership()");
+
+    expect(calls).to.deep.equal([["setStructure", 100n, 10000n, 100n], ["setSwapBackSettings", true, 0n], ["renounceOwnership"]]);
+    expect(calls.map(formatCall)).to.deep.equal(["setStructure(100, 10000, 100)", "setSwapBackSettings(true, 0)", "renounceOwnership()"]);
+    expect(parseCalls("setWallets(@owner, @reverting, @owner, @dead, @owner)")[0]).to.include("@reverting");
+    expect(() => parseCalls("setStructure 100")).to.throw('Cannot parse owner call "setStructure 100"');
+  });
+
+  it("Should grade sells by recovery and gas", async function () {
+    const limits = { minRecoveryBps: 5000n, maxGas: 1_000_000n };
+    const sold = { sellable: true, buyable: true, recoveryBps: 9000n, gasUsed: 300_000n };
+
+    expect(verdictOf(sold, limits)).to.equal("sellable");
+    expect(verdictOf({ ...sold, recoveryBps: 4999n }, limits)).to.equal("punitive");
+    expect(verdictOf({ ...sold, gasUsed: 1_000_001n }, limits)).to.equal("punitive");
+    expect(verdictOf({ ...sold, sellable: false }, limits)).to.equal("honeypot");
+    expect(verdictOf({ ...sold, sellable: false, buyable: false }, limits)).to.equal("frozen");
+  });
+
+  it("Should report every scenario and list the ones that block selling", async function () {
+    const markdown = toMarkdown(rows);
+
+    expect(rows).to.have.lengthOf(SCENARIOS.length);
+    expect(markdown).to.contain("| scenario | owner calls | verdict | recovered | sell gas | sell | buy |");
+    expect(markdown).to.match(/\| reduced \| `reduceFee\(\)` \| sellable \| \d+\.\d\d% \| \d+ \| ok \| ok \|/);
+    expect(markdown).to.contain("honeypot (permanent)");
+    expect(markdown).to.contain("- sell multiplier 100x: `setStructure(100, 10000, 100)` (SafeMath: subtraction overflow)");
+    expect(markdown).to.not.contain("- reverting fee receivers");
+  });
+});
@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, setStorageAt } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMOGTokenFixture } = require("../scripts/lib/fixtures");
+const { storageReader, snapshotState, diffState } = require("../scripts/lib/storage");
+
+describe("Storage Layout Reader", function () {
+  const DEAD = "0x000000000000000000000000000000000000dEaD";
+
+  let mogToken;
+  let owner;
+  let addr1;
+  let addr2;
+  let router;
+  let storage;
+
+  beforeEach(async function () {
+    ({ mogToken, owner, addr1, addr2, router } = await loadFixture(deployMOGTokenFixture));
+    storage = await storageReader(mogToken, "MOG");
+  });
+
+  it("Should read the private fee settings and receivers", async function () {
+    expect(await storage.read("liquidityFee")).to.equal(2n);
+    expect(await storage.read("marketingFee")).to.equal(0n);
+    expect(await storage.read("burnFee")).to.equal(2n);
+    expect(await storage.read("feeDenominator")).to.equal(100n);
+    expect(await storage.read("setRatio")).to.equal(30n);
+    expect(await storage.read("autoLiquidityReceiver")).to.equal(owner.address);
+    expect(await storage.read("burnFeeReceiver")).to.equal(DEAD);
+    expect(await storage.read("pairContract")).to.equal(await mogToken.pair());
+    expect(await storage.read("inSwap")).to.equal(false);
+  });
+
+  it("Should read the multipliers startTrading and reduceFee set", async function () {
+    await mogToken.startTrading();
+
+    expect(await storage.read("buypercent")).to.equal(1400n);
+    expect(await storage.read("sellpercent")).to.equal(800n);
+    expect(await storage.read("transferpercent")).to.equal(1000n);
+    // packed into the same slot as pair
+    expect(await storage.read("TradingOpen")).to.equal(true);
+    expect(await storage.read("pair")).to.equal(await mogToken.pair());
+
+    await mogToken.reduceFee();
+    expect(await storage.read("buypercent")).to.equal(100n);
+  });
+
+  it("Should read mapping entries by key", async function () {
+    await mogToken.transfer(addr1.address, 1234n);
+    await mogToken.connect(addr1).approve(addr2.address, 99n);
+
+    expect(await storage.read("_balances", addr1)).to.equal(1234n);
+    expect(await storage.read("_allowances", addr1, addr2)).to.equal(99n);
+    expect(await storage.read("_allowances", await mogToken.getAddress(), await router.getAddress())).to.equal(ethers.MaxUint256);
+    expect(await storage.read("isexemptfromfees", owner)).to.equal(true);
+    expect(await storage.read("isexemptfromfees", addr1)).to.equal(false);
+    expect(await storage.read("authorizations", owner)).to.equal(true);
+    // the constructor exempts marketingFeeReceiver before assigning it
+    expect(await storage.read("isexemptfrommaxTX", ethers.ZeroAddress)).to.equal(true);
+  });
+
+  it("Should diff full state snapshots", async function () {
+    const keys = [owner, addr1, addr2];
+    const before = await snapshotState(storage, { keys });
+
+    await mogToken.setWallets(addr1.address, addr2.address, addr2.address, DEAD, addr2.address);
+    await mogToken.transfer(addr1.address, 1000n);
+    const changes = diffState(before, await snapshotState(storage, { keys }));
+
+    expect(Object.keys(changes)).to.have.members([
+      "autoLiquidityReceiver",
+      "marketingFeeReceiver",
+      "devFeeReceiver",
+      "buybackFeeReceiver",
+      `_balances[${owner.address}]`,
+      `_balances[${addr1.address}]`
+    ]);
+    expect(changes.marketingFeeReceiver).to.deep.equal({ before: owner.address, after: addr2.address });
+    expect(changes[`_balances[${addr1.address}]`]).to.deep.equal({ before: 0n, after: 1000n });
+    expect(before).to.have.property(`_allowances[${owner.address}][${addr1.address}]`, 0n);
+  });
+
+  it("Should locate a variable for setStorageAt", async function () {
+    const { slot, offset } = storage.locate("sellpercent");
+    expect(offset).to.equal(0);
+
+    await setStorageAt(await mogToken.getAddress(), slot, 2500n);
+    expect(await storage.read("sellpercent")).to.equal(2500n);
+
+    const balance = storage.locate("_balances", owner);
+    expect(BigInt(await ethers.provider.getStorage(await mogToken.getAddress(), balance.slot))).to.equal(await mogToken.balanceOf(owner.address));
+    expect(storage.locate("TradingOpen")).to.include({ offset: 20, type: "bool" });
+  });
+
+  it("Should read any compiled contract and reject unknown names", async function () {
+    const mock = await (await ethers.getContractFactory("MockMOG")).deploy();
+    const mockStorage = await storageReader(mock, "MockMOG");
+
+    expect(await mockStorage.read("totalFee")).to.equal(await mock.totalFee());
+    await expect(storage.read("nope")).to.be.rejectedWith('MOG has no storage variable "nope"');
+    await expect(storage.read("_balances")).to.be.rejectedWith("needs a key");
+    await expect(storage.read("feeDenominator", owner)).to.be.rejectedWith("takes no key");
+  });
+});
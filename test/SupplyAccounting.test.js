@@ -0,0 +1,203 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, setStorageAt } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMOGTokenFixture, deployMOGWithLiquidityFixture } = require("../scripts/lib/fixtures");
+const { supplyReport, formatSupplyReport } = require("../scripts/lib/supply");
+const { storageReader } = require("../scripts/lib/storage");
+
+describe("MOG Token - Supply Accounting", function () {
+  const DEAD = "0x000000000000000000000000000000000000dEaD";
+  const tokens = (amount) => ethers.parseUnits(amount, 18);
+
+  describe("Without burns", function () {
+    let mogToken;
+    let owner;
+    let addr1;
+    let addr2;
+
+    beforeEach(async function () {
+      ({ mogToken, owner, addr1, addr2 } = await loadFixture(deployMOGTokenFixture));
+    });
+
+    it("Should report no drift right after deployment", async function () {
+      const report = await supplyReport(mogToken);
+
+      expect(report.minted).to.equal(await mogToken.totalSupply());
+      expect(report.burned).to.equal(0);
+      expect(report.drift).to.deep.equal({ totalSupply: 0n, showSupply: 0n, logs: 0n });
+      expect(report.holders).to.deep.equal([]);
+      expect(report.doubleCountedBurn).to.equal(false);
+      expect(report.explained).to.equal(true);
+    });
+
+    it("Should treat a deliberate transfer to DEAD as circulating supply leaving, not a burn", async function () {
+      await mogToken.transfer(addr1.address, tokens("1000"));
+      await mogToken.transfer(DEAD, tokens("500"));
+
+      const report = await supplyReport(mogToken);
+
+      expect(report.burned).to.equal(0);
+      expect(report.showSupply).to.equal(report.totalSupply - tokens("500"));
+      expect(report.expectedShowSupply).to.equal(report.showSupply);
+      expect(report.drift.showSupply).to.equal(0);
+      expect(report.explained).to.equal(true);
+    });
+
+    it("Should reconstruct approvals spent through transferFrom", async function () {
+      await mogToken.approve(addr1.address, tokens("100"));
+      await mogToken.connect(addr1).transferFrom(owner.address, addr2.address, tokens("100"));
+
+      const report = await supplyReport(mogToken);
+
+      expect(report.holderSum).to.equal(report.totalSupply);
+      expect(report.holders).to.deep.equal([]);
+    });
+  });
+
+  describe("Fee burns", function () {
+    let mogToken;
+    let addr1;
+    let addr2;
+    let addr3;
+
+    beforeEach(async function () {
+      ({ mogToken, addr1, addr2, addr3 } = await loadFixture(deployMOGTokenFixture));
+      await mogToken.startTrading();
+      await mogToken.transfer(addr1.address, tokens("10000"));
+    });
+
+    it("Should flag the burn that is both credited to DEAD and removed from totalSupply", async function () {
+      // transfer multiplier 10x: 40% fee, half of it burned
+      await mogToken.connect(addr1).transfer(addr2.address, tokens("1000"));
+
+      const report = await supplyReport(mogToken);
+      const formatted = formatSupplyReport(report);
+
+      expect(report.burned).to.equal(tokens("200"));
+      expect(report.burnedTo.get(DEAD)).to.equal(tokens("200"));
+      expect(report.doubleCountedBurn).to.equal(true);
+      expect(report.doubleCounted).to.equal(tokens("200"));
+
+      // balances still add up to the pre-burn supply
+      expect(report.holderSum).to.equal(report.minted);
+      expect(report.drift.totalSupply).to.equal(tokens("200"));
+      // showSupply() subtracts the same 200 a second time
+      expect(report.showSupply).to.equal(report.minted - tokens("400"));
+      expect(report.drift.showSupply).to.equal(tokens("200"));
+      // the logs themselves are consistent with totalSupply()
+      expect(report.drift.logs).to.equal(0);
+
+      expect(report.holders).to.deep.equal([
+        { address: DEAD, logged: 0n, actual: tokens("200"), drift: tokens("200") }
+      ]);
+      expect(report.explained).to.equal(true);
+
+      expect(formatted).to.contain(`burned into ${DEAD}: ${tokens("200")}`);
+      expect(formatted).to.contain(`double-counted burn: ${tokens("200")} subtracted from totalSupply and again from showSupply`);
+      expect(formatted).to.contain(`  ${DEAD}: logs 0, balanceOf ${tokens("200")} (drift ${tokens("200")})`);
+      expect(formatted).to.match(/all drift is explained by the burn double count$/);
+    });
+
+    it("Should accumulate drift across several taxed transfers", async function () {
+      await mogToken.connect(addr1).transfer(addr2.address, tokens("1000"));
+      await mogToken.connect(addr2).transfer(addr3.address, tokens("100"));
+      await mogToken.reduceFee();
+      await mogToken.connect(addr1).transfer(addr3.address, tokens("1000"));
+
+      const report = await supplyReport(mogToken);
+
+      // 200 + 20 at 10x, then 20 at 1x
+      expect(report.burned).to.equal(tokens("240"));
+      expect(report.drift.totalSupply).to.equal(tokens("240"));
+      expect(report.drift.showSupply).to.equal(tokens("240"));
+      expect(report.explained).to.equal(true);
+    });
+
+    it("Should credit a taxed transfer to ZERO when burnFee is zero", async function () {
+      // 4% fee, none of it burned: takeFee() emits no burn, so the fee Transfer is followed
+      // straight by the 600 tokens addr1 sends to ZERO at 10x
+      await mogToken.setParameters(2, 0, 2, 0, 0, 100);
+      await mogToken.connect(addr1).transfer(ethers.ZeroAddress, tokens("1000"));
+
+      const report = await supplyReport(mogToken);
+
+      expect(report.burned).to.equal(0);
+      expect(report.burnedTo.size).to.equal(0);
+      expect(report.drift.totalSupply).to.equal(0);
+      expect(report.drift.logs).to.equal(0);
+      expect(report.holders).to.deep.equal([]);
+      expect(await mogToken.balanceOf(ethers.ZeroAddress)).to.equal(tokens("600"));
+      expect(report.explained).to.equal(true);
+    });
+
+    it("Should only count burns into DEAD against showSupply after setWallets moves the burn receiver", async function () {
+      const [, , , , burnWallet] = await ethers.getSigners();
+
+      await mogToken.connect(addr1).transfer(addr2.address, tokens("1000"));
+      await mogToken.setWallets(addr3.address, addr3.address, addr3.address, burnWallet.address, addr3.address);
+      await mogToken.connect(addr1).transfer(addr2.address, tokens("1000"));
+
+      const report = await supplyReport(mogToken);
+
+      expect(report.burnedTo.get(DEAD)).to.equal(tokens("200"));
+      expect(report.burnedTo.get(burnWallet.address)).to.equal(tokens("200"));
+      // both burns still sit in a balance...
+      expect(report.drift.totalSupply).to.equal(tokens("400"));
+      // ...but only the one in DEAD is subtracted twice by showSupply()
+      expect(report.drift.showSupply).to.equal(tokens("200"));
+      expect(report.explained).to.equal(true);
+    });
+
+    it("Should open from the supply and balances before fromBlock when replaying part of the history", async function () {
+      const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+      await mogToken.connect(addr1).transfer(addr2.address, tokens("1000"));
+
+      const report = await supplyReport(mogToken, { fromBlock });
+
+      // no Transfer from ZERO after fromBlock: the opening supply stands in for the mint
+      expect(report.minted).to.equal(report.totalSupply + tokens("200"));
+      expect(report.burned).to.equal(tokens("200"));
+      expect(report.drift.totalSupply).to.equal(tokens("200"));
+      expect(report.explained).to.equal(true);
+    });
+
+    it("Should report unexplained drift when a balance changes without a Transfer", async function () {
+      const tokenAddress = await mogToken.getAddress();
+      const balance = await mogToken.balanceOf(addr1.address);
+      const { slot } = (await storageReader(mogToken, "MOG")).locate("_balances", addr1);
+      await setStorageAt(tokenAddress, slot, balance + tokens("5"));
+
+      const report = await supplyReport(mogToken);
+
+      expect(report.holders).to.deep.include({ address: addr1.address, logged: balance, actual: balance + tokens("5"), drift: tokens("5") });
+      expect(report.explained).to.equal(false);
+      expect(formatSupplyReport(report)).to.contain("UNEXPLAINED DRIFT");
+    });
+  });
+
+  describe("Through the DEX pair", function () {
+    it("Should stay explained by the burn double count across buys, sells and swapBack", async function () {
+      const { mogToken, addr1, addr2, pair, dex } = await loadFixture(deployMOGWithLiquidityFixture);
+      await mogToken.startTrading();
+      await mogToken.reduceFee();
+      await mogToken.removeLimits();
+      await mogToken.setSwapBackSettings(true, tokens("1000000"));
+
+      await dex.buy(addr1, ethers.parseEther("5"));
+      await dex.buy(addr2, ethers.parseEther("5"));
+      // the fee balance now exceeds swapThreshold, so the sell and the transfer both run swapBack
+      await dex.sell(addr1, (await mogToken.balanceOf(addr1.address)) / 2n);
+      await mogToken.connect(addr2).transfer(addr1.address, tokens("1000"));
+
+      const swaps = await mogToken.queryFilter(mogToken.filters.Transfer(await mogToken.getAddress(), await pair.getAddress()));
+      expect(swaps).to.have.lengthOf(2);
+
+      const report = await supplyReport(mogToken);
+
+      expect(report.burned).to.be.gt(0);
+      expect(report.drift.totalSupply).to.equal(report.burned);
+      expect(report.drift.showSupply).to.equal(report.burned);
+      expect(report.explained).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,270 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMOGWithLiquidityFixture, deployMOGWithThinLiquidityFixture } = require("../scripts/lib/fixtures");
+const { dexHelpers } = require("../scripts/lib/dex");
+
+describe("MOG Token - SwapBack and AutoLiquify", function () {
+  let mogToken;
+  let owner;
+  let addr1;
+  let addr2;
+  let router;
+  let pair;
+  let weth;
+  let liquidityReceiver;
+  let marketingReceiver;
+  let devReceiver;
+  let buybackReceiver;
+
+  const DEAD = "0x000000000000000000000000000000000000dEaD";
+
+  // setParameters(liquidity, buyback, marketing, dev, burn, denominator)
+  const FEES = { liquidity: 2n, buyback: 1n, marketing: 3n, dev: 1n, burn: 1n, denominator: 100n };
+  const TOTAL_FEE = FEES.liquidity + FEES.buyback + FEES.marketing + FEES.dev + FEES.burn;
+
+  async function useFixture(fixtureFn) {
+    const fixture = await loadFixture(fixtureFn);
+    mogToken = fixture.mogToken;
+    owner = fixture.owner;
+    addr1 = fixture.addr1;
+    addr2 = fixture.addr2;
+    router = fixture.router;
+    pair = fixture.pair;
+    weth = fixture.weth;
+    [liquidityReceiver, marketingReceiver, devReceiver, buybackReceiver] = fixture.addrs;
+
+    await mogToken.setParameters(FEES.liquidity, FEES.buyback, FEES.marketing, FEES.dev, FEES.burn, FEES.denominator);
+    await mogToken.setWallets(
+      liquidityReceiver.address,
+      marketingReceiver.address,
+      devReceiver.address,
+      DEAD,
+      buybackReceiver.address
+    );
+    await mogToken.startTrading();
+    await mogToken.reduceFee();
+  }
+
+  async function tokenReserves() {
+    const [reserve0, reserve1] = await pair.getReserves();
+    return (await pair.token0()) === (await mogToken.getAddress())
+      ? { tokens: reserve0, eth: reserve1 }
+      : { tokens: reserve1, eth: reserve0 };
+  }
+
+  // Replays swapBack() and the router's addLiquidityETH against the current pool and
+  // contract state, returning every amount the next swapBack should produce.
+  async function expectedSwapBack() {
+    const threshold = await mogToken.swapThreshold();
+    const backed = await mogToken.checkRatio(30, 100);
+    const dynamicLiquidityFee = backed ? 0n : FEES.liquidity;
+
+    const amountToLiquify = threshold * dynamicLiquidityFee / TOTAL_FEE / 2n;
+    const amountToSwap = threshold - amountToLiquify;
+
+    const reserves = await tokenReserves();
+    const amountETH = await router.getAmountOut(amountToSwap, reserves.tokens, reserves.eth);
+
+    const totalETHFee = TOTAL_FEE - dynamicLiquidityFee / 2n;
+    const amountETHLiquidity = amountETH * dynamicLiquidityFee / totalETHFee / 2n;
+    const amountETHMarketing = amountETH * FEES.marketing / totalETHFee;
+    const amountETHbuyback = amountETH * FEES.buyback / totalETHFee;
+    const amountETHdev = amountETH * FEES.dev / totalETHFee;
+
+    // addLiquidityETH matches the pool ratio after the swap and refunds unused ETH
+    let liquidityTokens = 0n;
+    let liquidityETH = 0n;
+    let lpMinted = 0n;
+    if (amountToLiquify > 0n) {
+      const tokensAfter = reserves.tokens + amountToSwap;
+      const ethAfter = reserves.eth - amountETH;
+      const ethOptimal = await router.quote(amountToLiquify, tokensAfter, ethAfter);
+      if (ethOptimal <= amountETHLiquidity) {
+        [liquidityTokens, liquidityETH] = [amountToLiquify, ethOptimal];
+      } else {
+        [liquidityTokens, liquidityETH] = [await router.quote(amountETHLiquidity, ethAfter, tokensAfter), amountETHLiquidity];
+      }
+      const lpSupply = await pair.totalSupply();
+      const byTokens = liquidityTokens * lpSupply / tokensAfter;
+      const byETH = liquidityETH * lpSupply / ethAfter;
+      lpMinted = byTokens < byETH ? byTokens : byETH;
+    }
+
+    return {
+      amountToLiquify,
+      amountToSwap,
+      amountETH,
+      amountETHLiquidity,
+      amountETHMarketing,
+      amountETHbuyback,
+      amountETHdev,
+      liquidityTokens,
+      liquidityETH,
+      lpMinted,
+      ethLeftInContract: amountETH - amountETHMarketing - amountETHbuyback - amountETHdev - liquidityETH
+    };
+  }
+
+  async function fillContractTo(amount) {
+    await mogToken.transfer(await mogToken.getAddress(), amount);
+  }
+
+  describe("With liquidity share active (thin pool)", function () {
+    beforeEach(async function () {
+      await useFixture(deployMOGWithThinLiquidityFixture);
+    });
+
+    it("Should confirm the pool is under-backed so dynamicLiquidityFee applies", async function () {
+      expect(await mogToken.showBacking(100)).to.equal(20);
+      expect(await mogToken.checkRatio(30, 100)).to.be.false;
+    });
+
+    it("Should not swap back while the contract balance is below swapThreshold", async function () {
+      const threshold = await mogToken.swapThreshold();
+      await fillContractTo(threshold - 1n);
+
+      await expect(mogToken.transfer(addr1.address, ethers.parseUnits("1000", 18)))
+        .to.not.emit(mogToken, "AutoLiquify");
+      expect(await mogToken.balanceOf(await mogToken.getAddress())).to.equal(threshold - 1n);
+    });
+
+    it("Should swap exactly amountToSwap tokens into the pair for ETH", async function () {
+      const threshold = await mogToken.swapThreshold();
+      await fillContractTo(threshold);
+
+      const expected = await expectedSwapBack();
+      const reservesBefore = await tokenReserves();
+      const mogAddress = await mogToken.getAddress();
+
+      // amountToLiquify = threshold * 2 / 8 / 2
+      expect(expected.amountToLiquify).to.equal(threshold / 8n);
+      expect(expected.amountToSwap).to.equal(threshold - threshold / 8n);
+
+      await expect(mogToken.transfer(addr1.address, ethers.parseUnits("1000", 18)))
+        .to.emit(mogToken, "Transfer").withArgs(mogAddress, await pair.getAddress(), expected.amountToSwap);
+
+      const reservesAfter = await tokenReserves();
+      expect(reservesAfter.tokens).to.equal(reservesBefore.tokens + expected.amountToSwap + expected.liquidityTokens);
+      expect(reservesAfter.eth).to.equal(reservesBefore.eth - expected.amountETH + expected.liquidityETH);
+      expect(await mogToken.balanceOf(mogAddress)).to.equal(threshold - expected.amountToSwap - expected.liquidityTokens);
+    });
+
+    it("Should distribute ETH to marketing, dev and buyback receivers in fee proportion", async function () {
+      await fillContractTo(await mogToken.swapThreshold());
+      const expected = await expectedSwapBack();
+
+      await expect(mogToken.transfer(addr1.address, ethers.parseUnits("1000", 18))).to.changeEtherBalances(
+        [marketingReceiver, devReceiver, buybackReceiver, mogToken],
+        [expected.amountETHMarketing, expected.amountETHdev, expected.amountETHbuyback, expected.ethLeftInContract]
+      );
+
+      // totalETHFee = 8 - 2 / 2 = 7 shares: 3 marketing, 1 dev, 1 buyback, 1 liquidity
+      expect(expected.amountETHMarketing).to.equal(expected.amountETH * 3n / 7n);
+      expect(expected.amountETHdev).to.equal(expected.amountETH / 7n);
+      expect(expected.amountETHbuyback).to.equal(expected.amountETH / 7n);
+      expect(expected.amountETHLiquidity).to.equal(expected.amountETH * 2n / 7n / 2n);
+    });
+
+    it("Should mint LP tokens to autoLiquidityReceiver", async function () {
+      await fillContractTo(await mogToken.swapThreshold());
+      const expected = await expectedSwapBack();
+
+      expect(await pair.balanceOf(liquidityReceiver.address)).to.equal(0);
+
+      await expect(mogToken.transfer(addr1.address, ethers.parseUnits("1000", 18)))
+        .to.emit(pair, "Transfer").withArgs(ethers.ZeroAddress, liquidityReceiver.address, expected.lpMinted);
+
+      expect(expected.lpMinted).to.be.gt(0);
+      expect(await pair.balanceOf(liquidityReceiver.address)).to.equal(expected.lpMinted);
+    });
+
+    it("Should emit AutoLiquify with the nominal ETH and token amounts", async function () {
+      await fillContractTo(await mogToken.swapThreshold());
+      const expected = await expectedSwapBack();
+
+      await expect(mogToken.transfer(addr1.address, ethers.parseUnits("1000", 18)))
+        .to.emit(mogToken, "AutoLiquify").withArgs(expected.amountETHLiquidity, expected.amountToLiquify);
+    });
+
+    it("Should swap back from fees accumulated by taxed transfers", async function () {
+      const mogAddress = await mogToken.getAddress();
+
+      // Lower the threshold so a single 1x taxed transfer crosses it
+      await mogToken.setSwapBackSettings(true, (await mogToken.swapThreshold()) / 100n);
+      await mogToken.maxWalletRule(1000);
+
+      const amount = ethers.parseUnits("1000000000000", 18);
+      await mogToken.transfer(addr1.address, amount * 2n);
+
+      // fee = amount * 8 * 100 / (100 * 100); the 1/8 burn share goes to DEAD, the rest stays
+      const fee = amount * TOTAL_FEE / FEES.denominator;
+      const contractShare = fee - fee * FEES.burn / TOTAL_FEE;
+
+      await mogToken.connect(addr1).transfer(addr2.address, amount);
+      expect(await mogToken.balanceOf(mogAddress)).to.equal(contractShare);
+      expect(contractShare).to.be.gte(await mogToken.swapThreshold());
+
+      const expected = await expectedSwapBack();
+
+      await expect(mogToken.connect(addr1).transfer(addr2.address, amount))
+        .to.emit(mogToken, "AutoLiquify").withArgs(expected.amountETHLiquidity, expected.amountToLiquify);
+
+      // The triggering transfer's own fee lands after swapBack has run
+      expect(await mogToken.balanceOf(mogAddress)).to.equal(
+        contractShare - expected.amountToSwap - expected.liquidityTokens + contractShare
+      );
+    });
+
+    it("Should not swap back on buys because msg.sender is the pair", async function () {
+      await fillContractTo(await mogToken.swapThreshold());
+      const dex = dexHelpers({ mogToken, router, weth });
+
+      await expect(dex.buy(addr1, ethers.parseEther("0.1"))).to.not.emit(mogToken, "AutoLiquify");
+    });
+
+    it("Should not swap back when swapEnabled is false", async function () {
+      const threshold = await mogToken.swapThreshold();
+      await mogToken.setSwapBackSettings(false, threshold);
+      await fillContractTo(threshold);
+
+      await expect(mogToken.transfer(addr1.address, ethers.parseUnits("1000", 18)))
+        .to.not.emit(mogToken, "AutoLiquify");
+      expect(await mogToken.balanceOf(await mogToken.getAddress())).to.equal(threshold);
+    });
+  });
+
+  describe("With liquidity share disabled (deep pool)", function () {
+    beforeEach(async function () {
+      await useFixture(deployMOGWithLiquidityFixture);
+    });
+
+    it("Should zero dynamicLiquidityFee once backing exceeds setRatio", async function () {
+      expect(await mogToken.showBacking(100)).to.equal(100);
+      expect(await mogToken.checkRatio(30, 100)).to.be.true;
+    });
+
+    it("Should swap the whole threshold and skip addLiquidityETH", async function () {
+      const threshold = await mogToken.swapThreshold();
+      await fillContractTo(threshold);
+      const expected = await expectedSwapBack();
+
+      expect(expected.amountToLiquify).to.equal(0);
+      expect(expected.amountToSwap).to.equal(threshold);
+
+      const tx = mogToken.transfer(addr1.address, ethers.parseUnits("1000", 18));
+      await expect(tx).to.not.emit(mogToken, "AutoLiquify");
+      await expect(tx).to.changeEtherBalances(
+        [marketingReceiver, devReceiver, buybackReceiver, mogToken],
+        [expected.amountETHMarketing, expected.amountETHdev, expected.amountETHbuyback, expected.ethLeftInContract]
+      );
+
+      // totalETHFee = 8: the 2 liquidity + 1 burn shares of ETH stay in the contract
+      expect(expected.ethLeftInContract).to.equal(
+        expected.amountETH - expected.amountETH * 3n / 8n - expected.amountETH / 8n - expected.amountETH / 8n
+      );
+      expect(await pair.balanceOf(liquidityReceiver.address)).to.equal(0);
+      expect(await mogToken.balanceOf(await mogToken.getAddress())).to.equal(0);
+    });
+  });
+});
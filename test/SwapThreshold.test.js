@@ -0,0 +1,76 @@
+const { expect } = require("chai");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { verifies } = require("./helpers/findings");
+const { poolFixture } = require("../scripts/lib/fixtures");
+const { poolState, predictSwapBack, maxThreshold, executeSwapBack, runThresholdReport, toMarkdown } = require("../scripts/swap-threshold");
+
+describe("Swap Threshold", function () {
+  // the deployed pool, where swapBack skips the liquidity share, and a thin one where it liquifies
+  const DEEP = { tokenBps: 5000n, eth: "100" };
+  const THIN = { tokenBps: 1000n, eth: "20" };
+  const CANDIDATES = [10n, 100n];
+  const TARGETS = [20n, 100n];
+
+  let deep;
+  let thin;
+
+  before(async function () {
+    deep = await runThresholdReport({ pool: DEEP, candidates: CANDIDATES, targets: TARGETS });
+    thin = await runThresholdReport({ pool: THIN, candidates: CANDIDATES, targets: TARGETS });
+  });
+
+  const row = (report, label) => report.rows.find((row) => row.label === label);
+
+  verifies("MOG-10").it("Should predict exactly what swapBack sells and realizes on the local pair", async function () {
+    expect(deep.state.backed).to.equal(true);
+    expect(thin.state.backed).to.equal(false);
+    for (const report of [deep, thin]) {
+      for (const { predicted, realized } of report.rows) {
+        expect(realized.toSwap).to.equal(predicted.toSwap);
+        expect(realized.ethOut).to.equal(predicted.ethOut);
+        expect(realized.slippageBps).to.equal(predicted.slippageBps);
+        expect(realized.liquified).to.equal(!report.state.backed);
+      }
+    }
+    // a quarter of the threshold goes to liquidity: half the 2% liquidity fee out of 4%
+    const { predicted } = row(thin, "current");
+    expect(predicted.toLiquify).to.equal(predicted.threshold / 4n);
+  });
+
+  verifies("MOG-10").it("Should recommend the largest threshold that stays under the target slippage", async function () {
+    const fixture = await loadFixture(poolFixture(DEEP));
+    const state = await poolState(fixture);
+    const recommended = deep.recommendations.find((recommendation) => recommendation.targetBps === 100n);
+
+    expect(recommended.threshold).to.equal(maxThreshold(state, 100n));
+    expect(recommended.realized.slippageBps).to.be.lte(100n);
+    // 1% more goes past the target on the pair itself
+    const above = await executeSwapBack(fixture, (recommended.threshold * 101n) / 100n);
+    expect(above.slippageBps).to.be.gte(100n);
+  });
+
+  verifies("MOG-10").it("Should push the deployed 0.7% threshold past 5% slippage in a thin pool", async function () {
+    const current = row(thin, "current");
+
+    expect(current.predicted.threshold).to.equal((thin.state.supply * 70n) / 10000n);
+    expect(current.realized.slippageBps).to.be.gte(500n);
+    // the price drops by more still, and the next swapBack sells into it
+    expect(current.realized.priceImpactBps).to.be.gt(current.realized.slippageBps);
+    const recommended = thin.recommendations.find((recommendation) => recommendation.targetBps === 100n);
+    expect(recommended.threshold).to.be.lt(current.predicted.threshold / 5n);
+  });
+
+  it("Should recommend nothing below the pair's 0.3% fee", async function () {
+    expect(deep.recommendations.find((recommendation) => recommendation.targetBps === 20n).threshold).to.equal(null);
+    expect(predictSwapBack(deep.state, deep.state.supply / 10000n).slippageBps).to.be.gte(30n);
+  });
+
+  it("Should report every threshold and the recommendations", async function () {
+    const markdown = toMarkdown(thin);
+
+    expect(markdown).to.contain("Pool: 4.207e+13 tokens (10.00% of supply) / 20.0000 ETH, below setRatio, so swapBack adds liquidity");
+    expect(markdown).to.match(/\| current \| 2\.945e\+12 \| 0\.70% \| 2\.209e\+12 \| 5\.25% \| [\d.]+ \| [\d.]+% \| [\d.]+% \| yes \|/);
+    expect(markdown).to.contain("- 0.20% slippage: none, the pair's 0.3% fee is already above it");
+    expect(markdown).to.match(/- 1\.00% slippage: [\d.]+e\+\d+ tokens \(0\.\d\d% of supply\), realized 0\.9\d%/);
+  });
+});
@@ -0,0 +1,30 @@
+const path = require("path");
+const { expect } = require("chai");
+const { describeTaxToken, validateProfile } = require("./kit");
+
+// The shared tax token suite, run against every bundled profile. TAX_TOKEN_PROFILE
+// points it at one more profile module, e.g. for another MOG-style token.
+const profiles = [require("./kit/profiles/mog"), require("./kit/profiles/mockMog")];
+
+if (process.env.TAX_TOKEN_PROFILE) {
+  profiles.push(require(path.resolve(process.env.TAX_TOKEN_PROFILE)));
+}
+
+for (const profile of profiles) {
+  describeTaxToken(profile);
+}
+
+describe("Tax Token Kit - Profiles", function () {
+  it("Should name everything a profile is missing", function () {
+    const broken = { ...profiles[0], functions: { ...profiles[0].functions, setFees: null }, errors: {} };
+
+    expect(() => validateProfile(broken)).to.throw(/Invalid tax token profile MOG: functions\.setFees is missing; errors\.notOwner is missing/);
+    expect(() => validateProfile(profiles[1])).to.not.throw();
+  });
+
+  it("Should reject a findings tag for a check the kit does not have", function () {
+    const tagged = { ...profiles[0], findings: { ...profiles[0].findings, gate: "MOG-04" } };
+
+    expect(() => validateProfile(tagged)).to.throw(/findings\.gate is not one of renounce, tradingGate/);
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require("fs");
+const path = require("path");
+const { FINDINGS } = require("./findings");
+const { decodeTimeline } = require("./events");
+
+// Turns the results of the finding-tagged tests into a report that can be attached to
+// the audit: one entry per registered finding with a status derived from the tests that
+// verify it and the evidence they recorded. Findings are not rated by severity.
+
+const REPORT_DIR = path.join(__dirname, "..", "..", "reports");
+
+function serialize(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(serialize);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serialize(item)]));
+  }
+  return value;
+}
+
+const isTransaction = (value) => Boolean(value) && typeof value === "object" && typeof value.hash === "string";
+
+function evidenceOf(context) {
+  context.test.evidence = context.test.evidence || [];
+  return context.test.evidence;
+}
+
+// Called from inside an `it` with its `this`; records the observed value
+function recordValue(context, label, value) {
+  if (isTransaction(value)) throw new Error(`recordValue("${label}"): use recordTransaction for a transaction`);
+  evidenceOf(context).push({ label, value: serialize(value) });
+}
+
+// The local chain is gone once the run ends, so a transaction (or receipt) is recorded as
+// the events `token` emitted in it
+async function recordTransaction(context, label, tx, token) {
+  if (!token) throw new Error(`recordTransaction("${label}"): pass the token whose events a transaction is recorded by`);
+  const events = (await decodeTimeline(tx, token))
+    .filter((entry) => entry.contract === "MOG")
+    .map(({ name, kind, args }) => ({ name, ...(kind ? { kind } : {}), args: serialize(args) }));
+  evidenceOf(context).push({ label, events });
+}
+
+function formatEvidence(item) {
+  if (!item.events) return `\`${JSON.stringify(item.value)}\``;
+  if (item.events.length === 0) return "no events";
+  return item.events
+    .map(({ name, kind, args }) => `\`${name}${kind ? `[${kind}]` : ""}(${Object.entries(args).map(([key, value]) => `${key}=${value}`).join(", ")})\``)
+    .join(", ");
+}
+
+// chai assertions failing means the behaviour was not observed; anything else (an
+// unexpected revert, a failing hook) means the check itself broke
+function classifyFailure(error) {
+  return error && error.name === "AssertionError" ? "not reproduced" : "error";
+}
+
+// results: [{ finding, test, state: "passed" | "failed" | "pending", error, evidence }]
+function buildReport(results, { generatedAt = new Date().toISOString() } = {}) {
+  const findings = FINDINGS.map((finding) => {
+    const own = results.filter((result) => result.finding === finding.id);
+    const failures = own.filter((result) => result.state === "failed");
+    const ran = own.filter((result) => result.state !== "pending");
+
+    let status = "confirmed";
+    if (failures.some((result) => classifyFailure(result.error) === "error")) status = "error";
+    else if (failures.length > 0 || ran.length === 0) status = "not reproduced";
+
+    return {
+      id: finding.id,
+      title: finding.title,
+      affects: finding.affects,
+      status,
+      tests: own.map((result) => ({
+        title: result.test,
+        state: result.state,
+        ...(result.error ? { error: result.error.message } : {})
+      })),
+      evidence: own.flatMap((result) => (result.evidence || []).map((item) => ({ test: result.test, ...item })))
+    };
+  });
+
+  const summary = { confirmed: 0, "not reproduced": 0, error: 0 };
+  for (const finding of findings) summary[finding.status]++;
+
+  return { generatedAt, summary, findings };
+}
+
+function toMarkdown(report) {
+  const lines = [
+    "# MOG Audit Findings",
+    "",
+    `Generated ${report.generatedAt}: ${report.summary.confirmed} confirmed, ${report.summary["not reproduced"]} not reproduced, ${report.summary.error} errored.`,
+    "",
+    "Severity is not assessed: the findings come without a rating, and the status only says whether the tests reproduce the behaviour.",
+    "",
+    "| ID | Finding | Status |",
+    "| --- | --- | --- |",
+    ...report.findings.map((finding) => `| ${finding.id} | ${finding.title} | ${finding.status} |`)
+  ];
+
+  for (const finding of report.findings) {
+    const affects = finding.affects.length > 0 ? ` Affects ${finding.affects.map((name) => `\`${name}\``).join(", ")}.` : "";
+    lines.push("", `## ${finding.id}: ${finding.title}`, "", `Status: ${finding.status}.${affects}`, "");
+    for (const test of finding.tests) {
+      lines.push(`- [${test.state}] ${test.title}${test.error ? ` — ${test.error.split("\n")[0]}` : ""}`);
+    }
+    if (finding.evidence.length > 0) {
+      lines.push("", "Evidence:", "");
+      for (const item of finding.evidence) {
+        lines.push(`- ${item.label}: ${formatEvidence(item)}`);
+      }
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+function writeReport(report, dir = REPORT_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  const json = path.join(dir, "audit-findings.json");
+  const markdown = path.join(dir, "audit-findings.md");
+  fs.writeFileSync(json, JSON.stringify(report, null, 2) + "\n");
+  fs.writeFileSync(markdown, toMarkdown(report));
+  return { json, markdown };
+}
+
+module.exports = {
+  REPORT_DIR,
+  recordValue,
+  recordTransaction,
+  classifyFailure,
+  buildReport,
+  toMarkdown,
+  writeReport
+};
@@ -0,0 +1,292 @@
+const { ethers } = require("hardhat");
+const { createRng } = require("./random");
+const { revertReason } = require("../../scripts/lib/errors");
+
+const DEAD = "0x000000000000000000000000000000000000dEaD";
+const TOTAL_SUPPLY = ethers.parseUnits("420690000000000", 18);
+const ONE_PERCENT = TOTAL_SUPPLY / 100n;
+
+// Operations both MOG and MockMOG implement. Anything else only exists on one side
+// and is reported by abiDiff() instead of being replayed.
+const OPERATIONS = ["transfer", "transferFrom", "approve", "startTrading", "setParameters", "maxWalletRule", "removeLimits"];
+
+function generateAmount(rng) {
+  switch (rng.int(0, 4)) {
+    case 0: return rng.bigint(10n ** 21n);
+    case 1: return rng.bigint(10n ** 27n);
+    case 2: return rng.bigint(ONE_PERCENT);
+    case 3: return ONE_PERCENT + BigInt(rng.int(-1, 1));
+    default: return rng.bigint(TOTAL_SUPPLY);
+  }
+}
+
+function generateOperation(rng, operations, signerCount) {
+  const actor = () => rng.int(0, signerCount - 1);
+  // Owner calls come from the owner most of the time, but not always
+  const ownerCaller = () => (rng.chance(0.8) ? 0 : actor());
+
+  const type = rng.pick(operations);
+  switch (type) {
+    case "transfer":
+      return { type, from: actor(), to: actor(), amount: generateAmount(rng) };
+    case "transferFrom":
+      return { type, spender: actor(), from: actor(), to: actor(), amount: generateAmount(rng) };
+    case "approve":
+      return { type, from: actor(), spender: actor(), amount: rng.chance(0.2) ? ethers.MaxUint256 : generateAmount(rng) };
+    case "setParameters": {
+      const fee = () => rng.int(0, 12);
+      return { type, caller: ownerCaller(), args: [fee(), fee(), fee(), fee(), fee(), rng.pick([100, 100, 50, 1000])] };
+    }
+    case "setStructure":
+      return { type, caller: ownerCaller(), args: [rng.int(0, 2000), rng.int(0, 2000), rng.int(0, 2000)] };
+    case "maxWalletRule":
+      return { type, caller: ownerCaller(), percent: rng.int(0, 1000) };
+    case "startTrading":
+    case "removeLimits":
+      return { type, caller: ownerCaller() };
+    default:
+      throw new Error(`No generator for operation "${type}"`);
+  }
+}
+
+// A reproducible sequence: the owner first seeds every other signer with tokens, then
+// `length` random operations drawn from `operations` follow. Listing an operation more
+// than once makes it more likely. Shared by the differential replay and the fuzzer.
+function generateSequence(seed, { operations = OPERATIONS, length = 40, signerCount = 5 } = {}) {
+  const rng = createRng(seed);
+  const sequence = [];
+  for (let i = 1; i < signerCount; i++) {
+    sequence.push({ type: "transfer", from: 0, to: i, amount: rng.bigint(ONE_PERCENT) });
+  }
+  for (let i = 0; i < length; i++) {
+    sequence.push(generateOperation(rng, operations, signerCount));
+  }
+  return sequence;
+}
+
+function describeOperation(op) {
+  switch (op.type) {
+    case "transfer": return `transfer #${op.from} -> #${op.to} ${op.amount}`;
+    case "transferFrom": return `transferFrom by #${op.spender}: #${op.from} -> #${op.to} ${op.amount}`;
+    case "approve": return `approve #${op.from} -> spender #${op.spender} ${op.amount}`;
+    case "setParameters":
+    case "setStructure": return `${op.type}(${op.args.join(", ")}) by #${op.caller}`;
+    case "maxWalletRule": return `maxWalletRule(${op.percent}) by #${op.caller}`;
+    default: return `${op.type}() by #${op.caller}`;
+  }
+}
+
+async function execute(token, signers, op) {
+  const at = (index) => signers[index].address;
+  let tx;
+  try {
+    switch (op.type) {
+      case "transfer":
+        tx = await token.connect(signers[op.from]).transfer(at(op.to), op.amount);
+        break;
+      case "transferFrom":
+        tx = await token.connect(signers[op.spender]).transferFrom(at(op.from), at(op.to), op.amount);
+        break;
+      case "approve":
+        tx = await token.connect(signers[op.from]).approve(at(op.spender), op.amount);
+        break;
+      case "setParameters":
+      case "setStructure":
+        tx = await token.connect(signers[op.caller])[op.type](...op.args);
+        break;
+      case "maxWalletRule":
+        tx = await token.connect(signers[op.caller]).maxWalletRule(op.percent);
+        break;
+      default:
+        tx = await token.connect(signers[op.caller])[op.type]();
+    }
+  } catch (error) {
+    return { reverted: true, reason: revertReason(error), events: [] };
+  }
+
+  const receipt = await tx.wait();
+  const tokenAddress = await token.getAddress();
+  const events = receipt.logs
+    .filter((log) => log.address === tokenAddress)
+    .map((log) => token.interface.parseLog(log))
+    .filter(Boolean)
+    .map((event) => ({ name: event.name, args: event.args.toArray() }));
+  return { reverted: false, reason: null, events };
+}
+
+// Maps addresses to stable role names so the two deployments can be compared
+function roleMap(signers, tokenAddress) {
+  const roles = new Map();
+  signers.forEach((signer, index) => roles.set(signer.address.toLowerCase(), `#${index}`));
+  roles.set(tokenAddress.toLowerCase(), "contract");
+  roles.set(DEAD.toLowerCase(), "DEAD");
+  roles.set(ethers.ZeroAddress, "ZERO");
+  return roles;
+}
+
+function normalizeEvents(events, roles) {
+  return JSON.stringify(events.map(({ name, args }) => ({
+    name,
+    args: args.map((value) => {
+      if (typeof value === "bigint") return value.toString();
+      if (typeof value === "string" && roles.has(value.toLowerCase())) return roles.get(value.toLowerCase());
+      return value;
+    })
+  })));
+}
+
+async function snapshot(token, holders) {
+  const balances = {};
+  for (const [role, address] of holders) {
+    balances[role] = await token.balanceOf(address);
+  }
+  return { balances, totalSupply: await token.totalSupply() };
+}
+
+function holdersFor(signers, tokenAddress) {
+  return [
+    ...signers.map((signer, index) => [`#${index}`, signer.address]),
+    ["contract", tokenAddress],
+    ["DEAD", DEAD],
+    ["ZERO", ethers.ZeroAddress]
+  ];
+}
+
+// Replays `sequence` against both deployments (same owner, same signers) and records
+// every step where reverts, emitted events, balance or supply changes, or allowances
+// differ. Changes are compared rather than absolute balances, so one divergent step
+// does not make every later step look divergent too; the accumulated drift is
+// reported separately in `finalState`.
+async function replay({ mog, mock, signers, sequence }) {
+  const mogAddress = await mog.getAddress();
+  const mockAddress = await mock.getAddress();
+  const mogRoles = roleMap(signers, mogAddress);
+  const mockRoles = roleMap(signers, mockAddress);
+  const mogHolders = holdersFor(signers, mogAddress);
+  const mockHolders = holdersFor(signers, mockAddress);
+
+  const divergences = [];
+  const steps = [];
+  let mogBefore = await snapshot(mog, mogHolders);
+  let mockBefore = await snapshot(mock, mockHolders);
+
+  for (let step = 0; step < sequence.length; step++) {
+    const op = sequence[step];
+    const onMog = await execute(mog, signers, op);
+    const onMock = await execute(mock, signers, op);
+    const found = [];
+
+    if (onMog.reverted !== onMock.reverted || onMog.reason !== onMock.reason) {
+      found.push({
+        kind: "revert",
+        mog: onMog.reverted ? `reverted: ${onMog.reason}` : "succeeded",
+        mock: onMock.reverted ? `reverted: ${onMock.reason}` : "succeeded"
+      });
+    } else if (normalizeEvents(onMog.events, mogRoles) !== normalizeEvents(onMock.events, mockRoles)) {
+      found.push({ kind: "events", mog: normalizeEvents(onMog.events, mogRoles), mock: normalizeEvents(onMock.events, mockRoles) });
+    }
+
+    const mogAfter = await snapshot(mog, mogHolders);
+    const mockAfter = await snapshot(mock, mockHolders);
+    for (const role of Object.keys(mogAfter.balances)) {
+      const mogChange = mogAfter.balances[role] - mogBefore.balances[role];
+      const mockChange = mockAfter.balances[role] - mockBefore.balances[role];
+      if (mogChange !== mockChange) {
+        found.push({ kind: `balance ${role}`, mog: mogChange, mock: mockChange });
+      }
+    }
+    const mogSupplyChange = mogAfter.totalSupply - mogBefore.totalSupply;
+    const mockSupplyChange = mockAfter.totalSupply - mockBefore.totalSupply;
+    if (mogSupplyChange !== mockSupplyChange) {
+      found.push({ kind: "totalSupply", mog: mogSupplyChange, mock: mockSupplyChange });
+    }
+    mogBefore = mogAfter;
+    mockBefore = mockAfter;
+
+    if (op.type === "approve" || op.type === "transferFrom") {
+      const holder = signers[op.from].address;
+      const spender = signers[op.spender].address;
+      const mogAllowance = await mog.allowance(holder, spender);
+      const mockAllowance = await mock.allowance(holder, spender);
+      if (mogAllowance !== mockAllowance) {
+        found.push({ kind: "allowance", mog: mogAllowance, mock: mockAllowance });
+      }
+    }
+
+    steps.push({ step, op, mog: onMog, mock: onMock });
+    for (const divergence of found) {
+      divergences.push({ step, op, description: describeOperation(op), ...divergence });
+    }
+  }
+
+  return {
+    steps,
+    divergences,
+    summary: summarize(steps, divergences),
+    finalState: { mog: mogBefore, mock: mockBefore }
+  };
+}
+
+// Per operation type: how often it ran, how often it diverged and in what way.
+// An operation the mock can stand in for has diverged === 0 across many seeds.
+function summarize(steps, divergences) {
+  const summary = {};
+  for (const { step, op } of steps) {
+    summary[op.type] = summary[op.type] || { runs: 0, diverged: 0, kinds: new Set() };
+    summary[op.type].runs++;
+    if (divergences.some((divergence) => divergence.step === step)) {
+      summary[op.type].diverged++;
+    }
+  }
+  for (const divergence of divergences) {
+    summary[divergence.op.type].kinds.add(divergence.kind.split(" ")[0]);
+  }
+  return summary;
+}
+
+// Functions only one of the two contracts exposes
+function abiDiff(mogInterface, mockInterface) {
+  const names = (iface) => new Set(iface.fragments.filter((f) => f.type === "function").map((f) => f.name));
+  const mogFunctions = names(mogInterface);
+  const mockFunctions = names(mockInterface);
+  return {
+    onlyInMOG: [...mogFunctions].filter((name) => !mockFunctions.has(name)).sort(),
+    onlyInMock: [...mockFunctions].filter((name) => !mogFunctions.has(name)).sort()
+  };
+}
+
+function formatReport({ summary, divergences, finalState }, { seed, limit = 20 } = {}) {
+  const lines = [];
+  lines.push(`Differential replay MOG vs MockMOG${seed !== undefined ? ` (seed ${seed})` : ""}`);
+  lines.push("operation       runs  diverged  kinds");
+  for (const [type, entry] of Object.entries(summary)) {
+    lines.push(
+      `${type.padEnd(15)} ${String(entry.runs).padStart(4)}  ${String(entry.diverged).padStart(8)}  ${[...entry.kinds].join(", ") || "-"}`
+    );
+  }
+  if (divergences.length > 0) {
+    lines.push("");
+    lines.push(`First ${Math.min(limit, divergences.length)} of ${divergences.length} divergences:`);
+    for (const divergence of divergences.slice(0, limit)) {
+      lines.push(`  step ${divergence.step} ${divergence.description}`);
+      lines.push(`    ${divergence.kind}: MOG ${divergence.mog} | MockMOG ${divergence.mock}`);
+    }
+  }
+  if (finalState) {
+    const drift = Object.keys(finalState.mog.balances)
+      .filter((role) => finalState.mog.balances[role] !== finalState.mock.balances[role]);
+    lines.push("");
+    lines.push(`Final drift: totalSupply ${finalState.mog.totalSupply - finalState.mock.totalSupply}, balances differ for ${drift.join(", ") || "none"}`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  OPERATIONS,
+  generateSequence,
+  describeOperation,
+  execute,
+  replay,
+  abiDiff,
+  formatReport
+};
@@ -0,0 +1,186 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const ZERO = ethers.ZeroAddress;
+
+// Decodes a transaction into an ordered timeline of events. MOG's own events are parsed
+// with its ABI; `contracts` maps extra labels to contracts (pair, router, weth, ...) whose
+// logs should be decoded too. Anything else is kept as an "unknown" entry so log indexes
+// stay meaningful.
+//
+// Every MOG Transfer also gets a `kind`:
+//   mint      - the constructor's Transfer from ZERO
+//   fee       - takeFee()'s Transfer(sender, contract, contractTokens)
+//   burn      - takeFee()'s Transfer(sender, ZERO, burnTokens), only when burnTokens > 0
+//   net       - the Transfer(sender, recipient, amountReceived) that follows a fee
+//   transfer  - everything else (fee-exempt transfers, swapBack moving tokens to the pair)
+
+function plainArgs(event) {
+  const args = {};
+  event.fragment.inputs.forEach((input, i) => {
+    args[input.name] = event.args[i];
+  });
+  return args;
+}
+
+async function decodeTimeline(txOrReceipt, token, contracts = {}) {
+  const receipt = typeof txOrReceipt.wait === "function" ? await txOrReceipt.wait() : txOrReceipt;
+  const tokenAddress = await token.getAddress();
+
+  const decoders = new Map([[tokenAddress, { label: "MOG", contract: token }]]);
+  for (const [label, contract] of Object.entries(contracts)) {
+    decoders.set(await contract.getAddress(), { label, contract });
+  }
+
+  const timeline = receipt.logs.map((log) => {
+    const decoder = decoders.get(log.address);
+    const event = decoder && decoder.contract.interface.parseLog(log);
+    if (!event) {
+      return { index: log.index, contract: decoder ? decoder.label : log.address, name: "unknown", topics: log.topics, data: log.data };
+    }
+    return { index: log.index, contract: decoder.label, name: event.name, args: plainArgs(event) };
+  });
+
+  classifyTransfers(timeline, tokenAddress);
+  return timeline;
+}
+
+function classifyTransfers(timeline, tokenAddress) {
+  const transfers = timeline.filter((entry) => entry.contract === "MOG" && entry.name === "Transfer");
+
+  for (let i = 0; i < transfers.length; i++) {
+    const { from, to } = transfers[i].args;
+    if (from === ZERO) {
+      transfers[i].kind = "mint";
+      continue;
+    }
+    if (to !== tokenAddress || from === tokenAddress) {
+      transfers[i].kind = transfers[i].kind || "transfer";
+      continue;
+    }
+
+    // A fee Transfer to the contract is followed by an optional burn and then the net
+    // Transfer, all from the same sender
+    let next = i + 1;
+    const burn = transfers[next] && transfers[next].args.from === from && transfers[next].args.to === ZERO ? transfers[next] : null;
+    if (burn) next++;
+    const net = transfers[next] && transfers[next].args.from === from ? transfers[next] : null;
+
+    if (net) {
+      transfers[i].kind = "fee";
+      if (burn) burn.kind = "burn";
+      net.kind = "net";
+      i = next;
+    } else {
+      transfers[i].kind = "transfer";
+    }
+  }
+}
+
+function addressOf(value) {
+  return typeof value === "string" ? value : value.address;
+}
+
+function sameAddress(a, b) {
+  return addressOf(a).toLowerCase() === addressOf(b).toLowerCase();
+}
+
+function matches(entry, name, args) {
+  if (entry.name !== name) return false;
+  return Object.entries(args).every(([key, expected]) => {
+    const actual = entry.args[key];
+    if (typeof actual === "string" && actual.startsWith("0x") && (typeof expected === "string" || (expected && expected.address))) {
+      return sameAddress(actual, expected);
+    }
+    return actual === (typeof expected === "number" ? BigInt(expected) : expected);
+  });
+}
+
+function describeEntry(entry) {
+  if (entry.name === "unknown") return `${entry.contract}: unknown log`;
+  const args = Object.entries(entry.args).map(([key, value]) => `${key}=${value}`).join(", ");
+  return `${entry.contract}.${entry.name}${entry.kind ? `[${entry.kind}]` : ""}(${args})`;
+}
+
+function describeTimeline(timeline) {
+  return timeline.map((entry) => `  #${entry.index} ${describeEntry(entry)}`).join("\n");
+}
+
+// Chainable assertions over a decoded timeline; each throws a chai AssertionError that
+// prints the whole timeline, so a failure shows what was emitted instead.
+function expectTimeline(timeline) {
+  const mog = timeline.filter((entry) => entry.contract === "MOG");
+  const context = (message) => `${message}\nTimeline:\n${describeTimeline(timeline)}`;
+
+  const assertions = {
+    // exact sequence of MOG event names, e.g. ["Transfer", "Transfer", "Transfer"]
+    names(expected) {
+      expect(mog.map((entry) => entry.name), context("MOG event names")).to.deep.equal(expected);
+      return assertions;
+    },
+
+    // exact sequence of MOG Transfer kinds, e.g. ["fee", "burn", "net"]
+    transferKinds(expected) {
+      const kinds = mog.filter((entry) => entry.name === "Transfer").map((entry) => entry.kind);
+      expect(kinds, context("MOG Transfer kinds")).to.deep.equal(expected);
+      return assertions;
+    },
+
+    // at least one MOG event `name` whose args include `args` (numbers compare as BigInt,
+    // signers and addresses compare case-insensitively)
+    emitted(name, args = {}) {
+      expect(mog.some((entry) => matches(entry, name, args)), context(`expected ${name} with ${JSON.stringify(args, stringifyBigInt)}`)).to.equal(true);
+      return assertions;
+    },
+
+    notEmitted(name) {
+      expect(mog.some((entry) => entry.name === name), context(`expected no ${name}`)).to.equal(false);
+      return assertions;
+    },
+
+    // The fee / burn / net triple takeFee() produces. `burn: 0n` asserts there is no burn Transfer.
+    taxedTransfer({ from, to, fee, burn, net }) {
+      const feeIndex = mog.findIndex((entry) => entry.kind === "fee" && sameAddress(entry.args.from, from));
+      expect(feeIndex, context(`expected a taxed transfer from ${addressOf(from)}`)).to.be.at.least(0);
+
+      const feeEntry = mog[feeIndex];
+      const burnEntry = mog[feeIndex + 1].kind === "burn" ? mog[feeIndex + 1] : null;
+      const netEntry = mog[feeIndex + (burnEntry ? 2 : 1)];
+
+      expect(feeEntry.args.value, context("fee Transfer to the contract")).to.equal(fee);
+      expect(burnEntry ? burnEntry.args.value : 0n, context("burn Transfer to ZERO")).to.equal(burn);
+      expect(sameAddress(netEntry.args.to, to), context(`net Transfer recipient should be ${addressOf(to)}`)).to.equal(true);
+      expect(netEntry.args.value, context("net Transfer to the recipient")).to.equal(net);
+      return assertions;
+    },
+
+    // A single Transfer with no fee taken
+    untaxedTransfer({ from, to, value }) {
+      const found = mog.some((entry) =>
+        entry.kind === "transfer" && sameAddress(entry.args.from, from) && sameAddress(entry.args.to, to) && entry.args.value === value
+      );
+      expect(found, context(`expected an untaxed Transfer ${addressOf(from)} -> ${addressOf(to)} of ${value}`)).to.equal(true);
+      expect(mog.some((entry) => entry.kind === "fee" && sameAddress(entry.args.from, from)), context("expected no fee Transfer")).to.equal(false);
+      return assertions;
+    }
+  };
+  return assertions;
+}
+
+// Swap events `pair` emitted in a receipt: one per swapBack, plus any swap of the caller's own
+function swapCount(receipt, pair) {
+  return receipt.logs.filter((log) => log.address === pair.target && pair.interface.parseLog(log)?.name === "Swap").length;
+}
+
+function stringifyBigInt(key, value) {
+  if (typeof value === "bigint") return value.toString();
+  if (value && value.address) return value.address;
+  return value;
+}
+
+module.exports = {
+  decodeTimeline,
+  describeTimeline,
+  expectTimeline,
+  swapCount
+};
@@ -0,0 +1,138 @@
+const { ethers } = require("hardhat");
+const { loadFixture, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployMOGTokenFixture } = require("../../scripts/lib/fixtures");
+const { failureReason } = require("../../scripts/lib/errors");
+const mogModel = require("./mogModel");
+
+// Sender/recipient roles for the exemption matrix. _transferFrom branches on
+// authorizations, isexemptfromfees and isexemptfrommaxTX, and MOG has no setters for them,
+// so these roles cover every combination the constructor grants. The wallet check is also
+// skipped for the contract, DEAD, the pair, burnFeeReceiver and marketingFeeReceiver.
+const ROLES = ["owner", "holder", "contract", "pair", "DEAD", "burnFeeReceiver", "marketingFeeReceiver"];
+
+const REASONS = {
+  closed: "Trading not open yet",
+  wallet: "Total Holding is currently limited, you can not buy that much.",
+  tx: "TX Limit Exceeded"
+};
+
+// The two burn and marketing receivers get their own addresses so they are not also the
+// owner, and swapBack is switched off: funding the contract role would otherwise trigger
+// it on every transfer, and that path is covered by the SwapBack suite.
+async function matrixFixture() {
+  const fixture = await deployMOGTokenFixture();
+  const { mogToken, owner, addr1, addr2, addr3 } = fixture;
+  await mogToken.setWallets(owner.address, addr3.address, owner.address, addr2.address, owner.address);
+  await mogToken.setSwapBackSettings(false, await mogToken.swapThreshold());
+
+  const addresses = {
+    owner: owner.address,
+    holder: addr1.address,
+    contract: await mogToken.getAddress(),
+    pair: await mogToken.pair(),
+    DEAD: mogModel.DEAD,
+    burnFeeReceiver: addr2.address,
+    marketingFeeReceiver: addr3.address
+  };
+  return { ...fixture, addresses };
+}
+
+async function openMatrixFixture() {
+  const fixture = await matrixFixture();
+  await fixture.mogToken.startTrading();
+  return fixture;
+}
+
+// matrixFixture's state as the reference model sees it
+function matrixModel(addresses, trading) {
+  let model = mogModel.initialState({ owner: addresses.owner, contract: addresses.contract, pair: addresses.pair });
+  model = mogModel.setWallets(model, addresses.owner, addresses.marketingFeeReceiver, addresses.owner, addresses.burnFeeReceiver, addresses.owner);
+  model = mogModel.setSwapBackSettings(model, false, model.swapThreshold);
+  return trading === "open" ? mogModel.startTrading(model) : model;
+}
+
+// What runCell should see, from the reference model: the owner funds `sender` with
+// `amount`, then `sender` transfers it to `recipient`
+function expectedOutcome({ addresses, sender, recipient, amount, trading }) {
+  let model = matrixModel(addresses, trading);
+  if (sender !== "owner") model = mogModel.transfer(model, { sender: addresses.owner, recipient: addresses[sender], amount }).state;
+  try {
+    return { reason: null, fee: mogModel.transfer(model, { sender: addresses[sender], recipient: addresses[recipient], amount }).fee };
+  } catch (error) {
+    if (!(error instanceof mogModel.ModelRevert)) throw error;
+    return { reason: error.reason, fee: null };
+  }
+}
+
+async function signerFor(role, fixture) {
+  if (role === "owner") return fixture.owner;
+  const address = fixture.addresses[role];
+  const signer = (await ethers.getSigners()).find((candidate) => candidate.address === address);
+  if (signer) return signer;
+  await setBalance(address, ethers.parseEther("10"));
+  return ethers.getImpersonatedSigner(address);
+}
+
+// Runs one cell: the owner funds the sender with exactly `amount`, then the sender
+// transfers it. `amount` is "within" (1000 tokens) or "over" (one above both limits).
+async function runCell({ sender, recipient, trading, amount: size }) {
+  const fixture = await loadFixture(trading === "open" ? openMatrixFixture : matrixFixture);
+  const { mogToken, owner, addresses } = fixture;
+  const maxTx = await mogToken._maxTxAmount();
+  const amount = size === "over" ? maxTx + 1n : ethers.parseUnits("1000", 18);
+
+  if (sender !== "owner") await mogToken.connect(owner).transfer(addresses[sender], amount);
+  const expected = expectedOutcome({ addresses, sender, recipient, amount, trading });
+
+  const actual = { reason: null, fee: null };
+  try {
+    const signer = await signerFor(sender, fixture);
+    const receipt = await (await mogToken.connect(signer).transfer(addresses[recipient], amount)).wait();
+    // the last Transfer is always sender -> recipient with the amount after fees
+    const transfers = receipt.logs.map((log) => mogToken.interface.parseLog(log)).filter((event) => event && event.name === "Transfer");
+    actual.fee = amount - transfers[transfers.length - 1].args.value;
+  } catch (error) {
+    actual.reason = failureReason(error);
+  }
+
+  return { sender, recipient, trading, amount: size, value: amount, expected, actual };
+}
+
+const SHORT_REASONS = { [REASONS.closed]: "closed", [REASONS.wallet]: "wallet", [REASONS.tx]: "tx" };
+
+// "40%" for a fee (rounded), "closed" / "wallet" / "tx" for the three limit reverts
+function describeOutcome(outcome, amount) {
+  if (outcome.reason !== null) return SHORT_REASONS[outcome.reason] || outcome.reason;
+  return `${(outcome.fee * 100n + amount / 2n) / amount}%`;
+}
+
+// One table per trading state: senders down, recipients across, "within / over" per cell
+function formatMatrix(cells, roles = ROLES) {
+  const tables = [];
+  for (const trading of [...new Set(cells.map((cell) => cell.trading))]) {
+    const lines = [
+      `Trading ${trading} (within limits / over limits):`,
+      "",
+      `| sender \\ recipient | ${roles.join(" | ")} |`,
+      `| --- |${roles.map(() => " --- |").join("")}`
+    ];
+    for (const sender of roles) {
+      const row = roles.map((recipient) => {
+        const pair = cells.filter((cell) => cell.trading === trading && cell.sender === sender && cell.recipient === recipient);
+        if (pair.length === 0) return "-";
+        return pair.map((cell) => describeOutcome(cell.actual, cell.value)).join(" / ");
+      });
+      lines.push(`| ${sender} | ${row.join(" | ")} |`);
+    }
+    tables.push(lines.join("\n"));
+  }
+  return tables.join("\n\n") + "\n";
+}
+
+module.exports = {
+  ROLES,
+  REASONS,
+  expectedOutcome,
+  runCell,
+  formatMatrix
+};
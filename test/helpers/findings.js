@@ -0,0 +1,152 @@
+const fs = require("fs");
+const path = require("path");
+
+// The audit findings this suite verifies. Tests tag themselves with describeFinding (a
+// whole block) or verifies(...).it (a single test); the tags drive the audit report and
+// test/FindingsRegistry.test.js checks every finding is verified somewhere.
+// `affects` names the MOG functions the finding is about. The findings come without
+// a severity rating, so none is given here.
+const FINDINGS = [
+  {
+    id: "MOG-01",
+    number: 1,
+    title: "Contract Renouncement Risk",
+    affects: ["renounceOwnership", "transferOwnership"]
+  },
+  {
+    id: "MOG-02",
+    number: 2,
+    title: "High Initial Fees During Trading Start",
+    affects: ["startTrading", "reduceFee", "takeFee"]
+  },
+  {
+    id: "MOG-03",
+    number: 3,
+    title: "Fee Manipulation Capabilities",
+    affects: ["setParameters", "setStructure"]
+  },
+  {
+    id: "MOG-04",
+    number: 4,
+    title: "Trading Control Centralization",
+    affects: ["startTrading", "_transferFrom"]
+  },
+  {
+    id: "MOG-05",
+    number: 5,
+    title: "Wallet and Transaction Limits",
+    affects: ["maxWalletRule", "removeLimits", "checkTxLimit"]
+  },
+  {
+    id: "MOG-06",
+    number: 6,
+    title: "Burn Mechanism and Supply Reduction",
+    affects: ["takeFee", "showSupply"]
+  },
+  {
+    id: "MOG-07",
+    number: 7,
+    title: "Emergency Functions Access Control",
+    affects: ["manualSend", "clearStuckToken"]
+  },
+  {
+    id: "MOG-08",
+    number: 8,
+    title: "SafeMath Usage with Solidity 0.8.18",
+    affects: ["_transferFrom", "takeFee"]
+  },
+  {
+    id: "MOG-09",
+    number: 9,
+    title: "Fee Calculation Complexity",
+    affects: ["takeFee"]
+  },
+  {
+    id: "MOG-10",
+    number: 10,
+    title: "SwapBack Mechanism and Liquidity Management",
+    affects: ["setSwapBackSettings", "swapBack"]
+  },
+  {
+    id: "MOG-OVERALL",
+    number: null,
+    title: "Overall Security Assessment",
+    affects: []
+  }
+];
+
+function finding(id) {
+  const found = FINDINGS.find((entry) => entry.id === id);
+  if (!found) {
+    throw new Error(`Unknown audit finding "${id}"; register it in test/helpers/findings.js`);
+  }
+  return found;
+}
+
+// Title of a finding's block in AuditFindings.test.js
+function findingTitle(id) {
+  const { number, title } = finding(id);
+  return number === null ? `📊 ${title}` : `🔍 Finding ${number}: ${title}`;
+}
+
+function describeFinding(id, fn) {
+  const suite = describe(findingTitle(id), fn);
+  suite.finding = id;
+  return suite;
+}
+
+// verifies("MOG-03", "MOG-05").it("Should ...", async function () { ... })
+function verifies(...ids) {
+  ids.forEach(finding);
+  return {
+    it(title, fn) {
+      const test = it(title, fn);
+      test.findings = ids;
+      return test;
+    }
+  };
+}
+
+// Findings a test verifies through its own tag and those of its enclosing blocks
+function findingsOf(runnable) {
+  const ids = [...(runnable.findings || [])];
+  for (let suite = runnable.parent; suite; suite = suite.parent) {
+    if (suite.finding) ids.push(suite.finding);
+  }
+  return [...new Set(ids)];
+}
+
+// Every finding id a test file tags, read from source so the check does not depend on
+// which files a run happens to load. Kit profiles tag the shared checks through their
+// `findings` map, so those count as well.
+function findingReferences(testDir = path.join(__dirname, "..")) {
+  const references = [];
+  const profileDir = path.join(testDir, "kit", "profiles");
+  for (const name of fs.existsSync(profileDir) ? fs.readdirSync(profileDir).filter((file) => file.endsWith(".js")).sort() : []) {
+    for (const id of Object.values(require(path.join(profileDir, name)).findings || {})) {
+      references.push({ file: `kit/profiles/${name}`, id });
+    }
+  }
+  for (const name of fs.readdirSync(testDir).filter((file) => file.endsWith(".test.js")).sort()) {
+    const source = fs.readFileSync(path.join(testDir, name), "utf8");
+    for (const match of source.matchAll(/\bdescribeFinding\(\s*"([^"]+)"/g)) {
+      references.push({ file: name, id: match[1] });
+    }
+    for (const match of source.matchAll(/\bverifies\(([^)]*)\)/g)) {
+      for (const id of match[1].matchAll(/"([^"]+)"/g)) {
+        references.push({ file: name, id: id[1] });
+      }
+    }
+  }
+  return references;
+}
+
+module.exports = {
+  FINDINGS,
+  finding,
+  findingTitle,
+  describeFinding,
+  verifies,
+  findingsOf,
+  findingReferences
+};
@@ -0,0 +1,287 @@
+const { ethers } = require("hardhat");
+const { execute, generateSequence: generateDifferentialSequence } = require("./differential");
+
+const DEAD = "0x000000000000000000000000000000000000dEaD";
+
+// Transfers are listed three times so they make up most of a sequence
+const OPERATIONS = [
+  "transfer",
+  "transfer",
+  "transfer",
+  "transferFrom",
+  "approve",
+  "setParameters",
+  "setStructure",
+  "maxWalletRule",
+  "removeLimits",
+  "startTrading"
+];
+
+function generateSequence(seed, { length = 25, signerCount = 6 } = {}) {
+  return generateDifferentialSequence(seed, { operations: OPERATIONS, length, signerCount });
+}
+
+// ---------------------------------------------------------------------------
+// Invariants. Each receives the run context after a step and returns a message
+// when violated, or null. `context` carries state that persists across steps.
+
+async function sumOfBalances(context) {
+  let sum = 0n;
+  for (const address of context.holders) {
+    sum += await context.token.balanceOf(address);
+  }
+  return sum;
+}
+
+// Burned tokens stay in burnFeeReceiver's balance while also leaving _totalSupply,
+// so the sum of balances equals totalSupply plus everything burned so far.
+const supplyAccounting = {
+  name: "sum of balances == totalSupply + burned",
+  async check(context) {
+    const sum = await sumOfBalances(context);
+    const totalSupply = await context.token.totalSupply();
+    if (sum !== totalSupply + context.burned) {
+      return `sum of balances ${sum} != totalSupply ${totalSupply} + burned ${context.burned}`;
+    }
+    return null;
+  }
+};
+
+// The plain ERC20 expectation. MOG breaks it on the first taxed transfer with a burn,
+// which makes it a useful known-failing property for exercising the shrinker.
+const erc20SupplyAccounting = {
+  name: "sum of balances == totalSupply",
+  async check(context) {
+    const sum = await sumOfBalances(context);
+    const totalSupply = await context.token.totalSupply();
+    if (sum !== totalSupply) {
+      return `sum of balances ${sum} != totalSupply ${totalSupply} (drift ${sum - totalSupply})`;
+    }
+    return null;
+  }
+};
+
+const showSupplyBounded = {
+  name: "showSupply() <= totalSupply()",
+  async check(context) {
+    const totalSupply = await context.token.totalSupply();
+    let shown;
+    try {
+      shown = await context.token.showSupply();
+    } catch (error) {
+      return `showSupply() reverted: ${error.message.split("\n")[0]}`;
+    }
+    if (shown > totalSupply) {
+      return `showSupply ${shown} > totalSupply ${totalSupply}`;
+    }
+    return null;
+  }
+};
+
+// Allowances only change through approve (set) and transferFrom (reduced by exactly the
+// amount unless infinite). Every pair the sequence has touched is re-read after each step,
+// so any other operation moving one of them is caught too.
+const allowanceMonotonicity = {
+  name: "allowance monotonicity",
+  async check(context, op, result) {
+    if (op.type === "approve" || op.type === "transferFrom") {
+      const pairKey = `${op.from}:${op.spender}`;
+      if (!context.allowances.has(pairKey)) context.allowances.set(pairKey, 0n);
+    }
+
+    for (const [pairKey, previous] of context.allowances) {
+      const [holder, spender] = pairKey.split(":").map(Number);
+      const current = await context.token.allowance(context.signers[holder].address, context.signers[spender].address);
+      let expected = previous;
+      if (!result.reverted && op.from === holder && op.spender === spender) {
+        if (op.type === "approve") {
+          expected = op.amount;
+        } else if (op.type === "transferFrom" && previous !== ethers.MaxUint256) {
+          expected = previous - op.amount;
+        }
+      }
+      if (current !== expected) {
+        return `allowance #${holder} -> #${spender} is ${current}, expected ${expected}`;
+      }
+      context.allowances.set(pairKey, current);
+    }
+    return null;
+  }
+};
+
+const DEFAULT_INVARIANTS = [supplyAccounting, showSupplyBounded, allowanceMonotonicity];
+
+// ---------------------------------------------------------------------------
+// Runner
+
+// Every address a generated sequence can move tokens to: the signers, the fee and burn
+// receivers the constructor sets, and the pair that swapBack sells into.
+async function createRunner({ token, signers, snapshot, invariants = DEFAULT_INVARIANTS }) {
+  const holders = [
+    ...signers.map((signer) => signer.address),
+    await token.getAddress(),
+    DEAD,
+    await token.pair(),
+    ethers.ZeroAddress
+  ];
+  return { token, signers, snapshot, holders, invariants };
+}
+
+// Runs `sequence` from the snapshot (a fresh deployment with no allowances) and checks
+// every invariant after every step. Returns null when all hold, otherwise the first violation.
+async function runSequence({ token, signers, snapshot, holders, invariants }, sequence) {
+  await snapshot.restore();
+  const context = { token, signers, holders, burned: 0n, allowances: new Map() };
+
+  for (let step = 0; step < sequence.length; step++) {
+    const op = sequence[step];
+    const result = await execute(token, signers, op);
+
+    for (const { name, args } of result.events) {
+      if (name === "Transfer" && args[1] === ethers.ZeroAddress && args[0] !== ethers.ZeroAddress) {
+        context.burned += args[2];
+      }
+    }
+
+    for (const invariant of invariants) {
+      const message = await invariant.check(context, op, result);
+      if (message) {
+        return { step, invariant: invariant.name, message };
+      }
+    }
+  }
+  return null;
+}
+
+async function failsSame(runner, sequence, invariantName) {
+  const failure = await runSequence(runner, sequence);
+  return failure && failure.invariant === invariantName ? failure : null;
+}
+
+// Greedy shrinking: cut the sequence right after the failing step, drop chunks and
+// then single operations while the same invariant still fails, then try smaller amounts.
+async function shrink(runner, sequence, failure) {
+  let current = sequence.slice(0, failure.step + 1);
+  let currentFailure = failure;
+
+  for (let chunk = Math.floor(current.length / 2); chunk >= 1; chunk = Math.floor(chunk / 2)) {
+    let index = 0;
+    while (index < current.length) {
+      const candidate = [...current.slice(0, index), ...current.slice(index + chunk)];
+      const candidateFailure = candidate.length > 0 ? await failsSame(runner, candidate, failure.invariant) : null;
+      if (candidateFailure) {
+        current = candidate.slice(0, candidateFailure.step + 1);
+        currentFailure = candidateFailure;
+      } else {
+        index += chunk;
+      }
+    }
+  }
+
+  // Amounts depend on each other (a transfer can only shrink once its funding has), so
+  // keep passing over them until nothing gets smaller.
+  let shrunkAmount = true;
+  while (shrunkAmount) {
+    shrunkAmount = false;
+    for (let index = 0; index < current.length; index++) {
+      const amount = current[index].amount;
+      if (amount === undefined || amount === ethers.MaxUint256) continue;
+      for (const smaller of [1000n, amount / 1000n, amount / 10n, amount / 2n]) {
+        if (smaller <= 0n || smaller >= amount) continue;
+        const candidate = current.map((op, i) => (i === index ? { ...op, amount: smaller } : op));
+        const candidateFailure = await failsSame(runner, candidate, failure.invariant);
+        if (candidateFailure) {
+          current = candidate;
+          currentFailure = candidateFailure;
+          shrunkAmount = true;
+          break;
+        }
+      }
+    }
+  }
+
+  return { sequence: current, failure: currentFailure };
+}
+
+// Generates `runs` sequences from consecutive seeds, stopping at the first violation,
+// which is shrunk before being returned.
+async function fuzz({ token, signers, snapshot, invariants = DEFAULT_INVARIANTS, seed = 1, runs = 5, length = 25 }) {
+  const runner = await createRunner({ token, signers, snapshot, invariants });
+
+  for (let run = 0; run < runs; run++) {
+    const runSeed = seed + run;
+    const sequence = generateSequence(runSeed, { length, signerCount: signers.length });
+    const failure = await runSequence(runner, sequence);
+    if (failure) {
+      const shrunk = await shrink(runner, sequence, failure);
+      await snapshot.restore();
+      return { seed: runSeed, original: sequence, ...shrunk };
+    }
+  }
+  await snapshot.restore();
+  return null;
+}
+
+function callFor(op) {
+  const signer = (index) => `signers[${index}]`;
+  switch (op.type) {
+    case "transfer":
+      return `mogToken.connect(${signer(op.from)}).transfer(${signer(op.to)}.address, ${op.amount}n)`;
+    case "transferFrom":
+      return `mogToken.connect(${signer(op.spender)}).transferFrom(${signer(op.from)}.address, ${signer(op.to)}.address, ${op.amount}n)`;
+    case "approve":
+      return `mogToken.connect(${signer(op.from)}).approve(${signer(op.spender)}.address, ${op.amount}n)`;
+    case "setParameters":
+    case "setStructure":
+      return `mogToken.connect(${signer(op.caller)}).${op.type}(${op.args.join(", ")})`;
+    case "maxWalletRule":
+      return `mogToken.connect(${signer(op.caller)}).maxWalletRule(${op.percent})`;
+    default:
+      return `mogToken.connect(${signer(op.caller)}).${op.type}()`;
+  }
+}
+
+function expectRevert(reason) {
+  if (reason === "") return "to.be.reverted";
+  const panic = reason.match(/^Panic\((0x[0-9a-f]+)\)$/);
+  if (panic) return `to.be.revertedWithPanic(${panic[1]})`;
+  return `to.be.revertedWith(${JSON.stringify(reason)})`;
+}
+
+// Renders a shrunk failure as a mocha test. Each step is re-run so reverting steps are
+// written as revert expectations; `fixture` must produce the same state as the snapshot.
+async function toTestSnippet({ seed, sequence, failure }, { token, signers, snapshot }, fixture = "deployMOGTokenFixture") {
+  await snapshot.restore();
+  const lines = [];
+  lines.push(`it("fuzz seed ${seed}: ${failure.invariant}", async function () {`);
+  lines.push(`  const { mogToken } = await loadFixture(${fixture});`);
+  lines.push("  const signers = await ethers.getSigners();");
+  lines.push("");
+  for (const op of sequence) {
+    const result = await execute(token, signers, op);
+    if (result.reverted) {
+      lines.push(`  await expect(${callFor(op)}).${expectRevert(result.reason)};`);
+    } else {
+      lines.push(`  await ${callFor(op)};`);
+    }
+  }
+  lines.push("");
+  lines.push(`  // ${failure.invariant} is violated here: ${failure.message}`);
+  lines.push("});");
+  await snapshot.restore();
+  return lines.join("\n");
+}
+
+module.exports = {
+  DEFAULT_INVARIANTS,
+  supplyAccounting,
+  erc20SupplyAccounting,
+  showSupplyBounded,
+  allowanceMonotonicity,
+  generateSequence,
+  createRunner,
+  runSequence,
+  shrink,
+  fuzz,
+  toTestSnippet
+};
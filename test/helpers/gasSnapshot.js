@@ -0,0 +1,70 @@
+const fs = require("fs");
+const path = require("path");
+
+// Committed gas baseline per scenario, compared on every run of the gas regression test.
+// Refresh it after an intentional change with `npm run test:gas:update`.
+const SNAPSHOT_PATH = path.join(__dirname, "..", "gas-snapshot.json");
+
+// Percent a measurement may move in either direction before it counts as a change
+const DEFAULT_TOLERANCE = 1;
+
+function readSnapshot(file = SNAPSHOT_PATH) {
+  if (!fs.existsSync(file)) return {};
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Object.fromEntries(Object.entries(raw).map(([name, gas]) => [name, BigInt(gas)]));
+}
+
+function writeSnapshot(measured, file = SNAPSHOT_PATH) {
+  const sorted = Object.keys(measured).sort().map((name) => [name, Number(measured[name])]);
+  fs.writeFileSync(file, JSON.stringify(Object.fromEntries(sorted), null, 2) + "\n");
+}
+
+function toleranceFromEnv(env = process.env) {
+  return env.GAS_TOLERANCE !== undefined ? Number(env.GAS_TOLERANCE) : DEFAULT_TOLERANCE;
+}
+
+// One row per scenario in either set. Status is "regressed" / "improved" when the change
+// exceeds `tolerance` percent, "new" when it has no baseline and "missing" when the
+// baseline names a scenario that was not measured.
+function compareGas(baseline, measured, { tolerance = DEFAULT_TOLERANCE } = {}) {
+  const names = [...new Set([...Object.keys(baseline), ...Object.keys(measured)])].sort();
+  return names.map((name) => {
+    const before = baseline[name];
+    const after = measured[name];
+    if (before === undefined) return { name, baseline: null, measured: after, delta: null, percent: null, status: "new" };
+    if (after === undefined) return { name, baseline: before, measured: null, delta: null, percent: null, status: "missing" };
+
+    const delta = BigInt(after) - BigInt(before);
+    const percent = before === 0n ? 0 : (Number(delta) * 100) / Number(before);
+    let status = "unchanged";
+    if (percent > tolerance) status = "regressed";
+    else if (percent < -tolerance) status = "improved";
+    return { name, baseline: before, measured: after, delta, percent, status };
+  });
+}
+
+function formatGasDiff(rows) {
+  const width = Math.max(8, ...rows.map((row) => row.name.length));
+  const lines = [
+    `${"scenario".padEnd(width)}  ${"baseline".padStart(9)}  ${"measured".padStart(9)}  ${"delta".padStart(8)}  ${"%".padStart(7)}  status`
+  ];
+  for (const row of rows) {
+    const cell = (value) => (value === null ? "-" : String(value));
+    const delta = row.delta === null ? "-" : `${row.delta > 0n ? "+" : ""}${row.delta}`;
+    const percent = row.percent === null ? "-" : `${row.percent > 0 ? "+" : ""}${row.percent.toFixed(2)}`;
+    lines.push(
+      `${row.name.padEnd(width)}  ${cell(row.baseline).padStart(9)}  ${cell(row.measured).padStart(9)}  ${delta.padStart(8)}  ${percent.padStart(7)}  ${row.status}`
+    );
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  SNAPSHOT_PATH,
+  DEFAULT_TOLERANCE,
+  readSnapshot,
+  writeSnapshot,
+  toleranceFromEnv,
+  compareGas,
+  formatGasDiff
+};
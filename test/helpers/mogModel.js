@@ -0,0 +1,312 @@
+// Off-chain reference model of MOG's transfer path (_transferFrom, takeFee, checkTxLimit,
+// the max-wallet rule and shouldSwapBack). Everything is BigInt and side-effect free:
+// each function takes a state snapshot and returns a new one, or throws ModelRevert
+// with the exact revert string the contract would produce.
+//
+// swapBack() itself needs the pool, so it is not modelled: when a transfer would
+// trigger it the result carries swapBack: true and the caller decides what to do.
+
+const ZERO = "0x0000000000000000000000000000000000000000";
+const DEAD = "0x000000000000000000000000000000000000dEaD";
+const MAX_UINT256 = 2n ** 256n - 1n;
+const TOTAL_SUPPLY = 420690000000000n * 10n ** 18n;
+
+class ModelRevert extends Error {
+  constructor(reason) {
+    super(reason === "" ? "reverted without a reason" : reason);
+    this.name = "ModelRevert";
+    this.reason = reason;
+  }
+}
+
+function key(address) {
+  return address.toLowerCase();
+}
+
+// SafeMath as used by MOG: same revert strings, uint256 bounds
+const safe = {
+  add(a, b) {
+    const c = a + b;
+    if (c > MAX_UINT256) throw new ModelRevert("SafeMath: addition overflow");
+    return c;
+  },
+  sub(a, b, message = "SafeMath: subtraction overflow") {
+    if (b > a) throw new ModelRevert(message);
+    return a - b;
+  },
+  mul(a, b) {
+    const c = a * b;
+    if (c > MAX_UINT256) throw new ModelRevert("SafeMath: multiplication overflow");
+    return c;
+  },
+  div(a, b) {
+    if (b === 0n) throw new ModelRevert("SafeMath: division by zero");
+    return a / b;
+  }
+};
+
+// State right after the MOG constructor, for the given deployer, token and pair addresses
+function initialState({ owner, contract, pair }) {
+  return {
+    owner,
+    contract,
+    pair,
+    totalSupply: TOTAL_SUPPLY,
+    balances: new Map([[key(owner), TOTAL_SUPPLY]]),
+    allowances: new Map(),
+    authorizations: new Set([key(owner)]),
+    isexemptfromfees: new Set([key(owner)]),
+    // the constructor exempts marketingFeeReceiver while it is still address(0)
+    isexemptfrommaxTX: new Set([key(owner), key(pair), key(ZERO), key(contract)]),
+    fees: { liquidity: 2n, marketing: 0n, dev: 0n, buyback: 0n, burn: 2n, total: 4n, denominator: 100n },
+    percents: { buy: 100n, sell: 100n, transfer: 100n },
+    receivers: {
+      autoLiquidity: owner,
+      marketing: owner,
+      dev: owner,
+      buyback: owner,
+      burn: DEAD
+    },
+    maxTxAmount: TOTAL_SUPPLY / 100n,
+    maxWalletToken: TOTAL_SUPPLY / 100n,
+    tradingOpen: false,
+    swapEnabled: true,
+    swapThreshold: TOTAL_SUPPLY * 7n / 1000n,
+    inSwap: false
+  };
+}
+
+function clone(state) {
+  return {
+    ...state,
+    balances: new Map(state.balances),
+    allowances: new Map(state.allowances),
+    authorizations: new Set(state.authorizations),
+    isexemptfromfees: new Set(state.isexemptfromfees),
+    isexemptfrommaxTX: new Set(state.isexemptfrommaxTX),
+    fees: { ...state.fees },
+    percents: { ...state.percents },
+    receivers: { ...state.receivers }
+  };
+}
+
+function balanceOf(state, address) {
+  return state.balances.get(key(address)) || 0n;
+}
+
+function allowance(state, holder, spender) {
+  return state.allowances.get(`${key(holder)}:${key(spender)}`) || 0n;
+}
+
+function showSupply(state) {
+  return state.totalSupply - balanceOf(state, DEAD) - balanceOf(state, ZERO);
+}
+
+function setBalance(state, address, amount) {
+  state.balances.set(key(address), amount);
+}
+
+function checkTxLimit(state, sender, amount) {
+  if (!(amount <= state.maxTxAmount || state.isexemptfrommaxTX.has(key(sender)))) {
+    throw new ModelRevert("TX Limit Exceeded");
+  }
+}
+
+function checkMaxWallet(state, sender, recipient, amount) {
+  const to = key(recipient);
+  const exemptRecipient =
+    to === key(state.contract) ||
+    to === key(DEAD) ||
+    to === key(state.pair) ||
+    to === key(state.receivers.burn) ||
+    to === key(state.receivers.marketing) ||
+    state.isexemptfrommaxTX.has(to);
+
+  if (!state.authorizations.has(key(sender)) && !exemptRecipient) {
+    if (balanceOf(state, recipient) + amount > state.maxWalletToken) {
+      throw new ModelRevert("Total Holding is currently limited, you can not buy that much.");
+    }
+  }
+}
+
+function shouldSwapBack(state, msgSender) {
+  return key(msgSender) !== key(state.pair) &&
+    !state.inSwap &&
+    state.swapEnabled &&
+    balanceOf(state, state.contract) >= state.swapThreshold;
+}
+
+// Mutates `next` and records the fee Transfer events; returns the fee breakdown
+function takeFee(next, sender, amount, recipient, events) {
+  let percent = next.percents.transfer;
+  if (key(recipient) === key(next.pair)) {
+    percent = next.percents.sell;
+  } else if (key(sender) === key(next.pair)) {
+    percent = next.percents.buy;
+  }
+
+  const feeAmount = safe.div(safe.mul(safe.mul(amount, next.fees.total), percent), next.fees.denominator * 100n);
+  const burnTokens = safe.div(safe.mul(feeAmount, next.fees.burn), next.fees.total);
+  const contractTokens = safe.sub(feeAmount, burnTokens);
+
+  setBalance(next, next.contract, safe.add(balanceOf(next, next.contract), contractTokens));
+  setBalance(next, next.receivers.burn, safe.add(balanceOf(next, next.receivers.burn), burnTokens));
+  events.push({ from: sender, to: next.contract, value: contractTokens });
+
+  if (burnTokens > 0n) {
+    next.totalSupply = safe.sub(next.totalSupply, burnTokens);
+    events.push({ from: sender, to: ZERO, value: burnTokens });
+  }
+
+  return { received: safe.sub(amount, feeAmount), feeAmount, burnTokens, contractTokens };
+}
+
+// Models _transferFrom. msgSender defaults to the sender (a plain transfer()); pass the
+// router or pair when the call originates there, since shouldSwapBack looks at msg.sender.
+function transfer(state, { sender, recipient, amount, msgSender = sender }) {
+  const next = clone(state);
+  const events = [];
+
+  if (next.inSwap) {
+    setBalance(next, sender, safe.sub(balanceOf(next, sender), amount, "Insufficient Balance"));
+    setBalance(next, recipient, safe.add(balanceOf(next, recipient), amount));
+    events.push({ from: sender, to: recipient, value: amount });
+    return { state: next, received: amount, fee: 0n, burned: 0n, events, swapBack: false };
+  }
+
+  if (!next.authorizations.has(key(sender)) && !next.authorizations.has(key(recipient))) {
+    if (!next.tradingOpen) throw new ModelRevert("Trading not open yet");
+  }
+
+  checkMaxWallet(next, sender, recipient, amount);
+  checkTxLimit(next, sender, amount);
+
+  const swapBack = shouldSwapBack(next, msgSender);
+
+  setBalance(next, sender, safe.sub(balanceOf(next, sender), amount, "Insufficient Balance"));
+
+  let outcome = { received: amount, feeAmount: 0n, burnTokens: 0n };
+  if (!(next.isexemptfromfees.has(key(sender)) || next.isexemptfromfees.has(key(recipient)))) {
+    outcome = takeFee(next, sender, amount, recipient, events);
+  }
+  setBalance(next, recipient, safe.add(balanceOf(next, recipient), outcome.received));
+  events.push({ from: sender, to: recipient, value: outcome.received });
+
+  return {
+    state: next,
+    received: outcome.received,
+    fee: outcome.feeAmount,
+    burned: outcome.burnTokens,
+    events,
+    swapBack
+  };
+}
+
+// Models transferFrom(): allowance is consumed before _transferFrom runs
+function transferFrom(state, { spender, sender, recipient, amount }) {
+  const current = allowance(state, sender, spender);
+  let next = state;
+  if (current !== MAX_UINT256) {
+    next = clone(state);
+    next.allowances.set(`${key(sender)}:${key(spender)}`, safe.sub(current, amount, "Insufficient Allowance"));
+  }
+  return transfer(next, { sender, recipient, amount, msgSender: spender });
+}
+
+function approve(state, { holder, spender, amount }) {
+  const next = clone(state);
+  next.allowances.set(`${key(holder)}:${key(spender)}`, amount);
+  return next;
+}
+
+// Owner-only setters. The caller is expected to have passed onlyOwner already.
+
+function startTrading(state) {
+  const next = clone(state);
+  next.tradingOpen = true;
+  next.percents = { buy: 1400n, sell: 800n, transfer: 1000n };
+  return next;
+}
+
+function reduceFee(state) {
+  const next = clone(state);
+  next.percents = { buy: 100n, sell: 100n, transfer: 100n };
+  return next;
+}
+
+function setStructure(state, buy, sell, walletTransfer) {
+  const next = clone(state);
+  next.percents = { buy: BigInt(buy), sell: BigInt(sell), transfer: BigInt(walletTransfer) };
+  return next;
+}
+
+function setParameters(state, liquidity, buyback, marketing, dev, burn, denominator) {
+  const next = clone(state);
+  const fees = {
+    liquidity: BigInt(liquidity),
+    buyback: BigInt(buyback),
+    marketing: BigInt(marketing),
+    dev: BigInt(dev),
+    burn: BigInt(burn),
+    denominator: BigInt(denominator)
+  };
+  fees.total = safe.add(safe.add(safe.add(safe.add(fees.liquidity, fees.buyback), fees.marketing), fees.dev), fees.burn);
+  if (!(fees.total < fees.denominator / 2n)) throw new ModelRevert("Fees can not be more than 50%");
+  next.fees = fees;
+  return next;
+}
+
+function maxWalletRule(state, maxWallPercent) {
+  if (BigInt(maxWallPercent) < 1n) throw new ModelRevert("");
+  const next = clone(state);
+  // plain checked arithmetic here, so overflow is a Panic rather than a SafeMath string
+  const product = next.totalSupply * BigInt(maxWallPercent);
+  if (product > MAX_UINT256) throw new ModelRevert("Panic(0x11)");
+  next.maxWalletToken = product / 1000n;
+  return next;
+}
+
+function removeLimits(state) {
+  const next = clone(state);
+  next.maxTxAmount = next.totalSupply;
+  next.maxWalletToken = next.totalSupply;
+  return next;
+}
+
+function setWallets(state, autoLiquidity, marketing, dev, burn, buyback) {
+  const next = clone(state);
+  next.receivers = { autoLiquidity, marketing, dev, burn, buyback };
+  return next;
+}
+
+function setSwapBackSettings(state, enabled, amount) {
+  const next = clone(state);
+  next.swapEnabled = enabled;
+  next.swapThreshold = BigInt(amount);
+  return next;
+}
+
+module.exports = {
+  ZERO,
+  DEAD,
+  MAX_UINT256,
+  TOTAL_SUPPLY,
+  ModelRevert,
+  initialState,
+  balanceOf,
+  allowance,
+  showSupply,
+  checkTxLimit,
+  shouldSwapBack,
+  transfer,
+  transferFrom,
+  approve,
+  startTrading,
+  reduceFee,
+  setStructure,
+  setParameters,
+  maxWalletRule,
+  removeLimits,
+  setWallets,
+  setSwapBackSettings
+};
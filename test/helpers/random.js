@@ -0,0 +1,43 @@
+// Small seeded PRNG (mulberry32) so generated sequences are reproducible from a seed
+function createRng(seed) {
+  let state = seed >>> 0;
+
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Integer in [min, max]
+  function int(min, max) {
+    return min + Math.floor(next() * (max - min + 1));
+  }
+
+  function pick(items) {
+    return items[int(0, items.length - 1)];
+  }
+
+  function chance(probability) {
+    return next() < probability;
+  }
+
+  // BigInt in [0, max], built from 32-bit chunks so large ranges stay uniform enough
+  function bigint(max) {
+    if (max <= 0n) return 0n;
+    let value = 0n;
+    let range = max;
+    while (range > 0n) {
+      value = (value << 32n) | BigInt(int(0, 0xffffffff));
+      range >>= 32n;
+    }
+    return value % (max + 1n);
+  }
+
+  return { seed, next, int, pick, chance, bigint };
+}
+
+module.exports = {
+  createRng
+};
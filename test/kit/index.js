@@ -0,0 +1,348 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { verifies } = require("../helpers/findings");
+
+// Test kit for MOG-shaped fee-on-transfer tokens: owner-gated trading start, a fee split
+// set in one call, optional buy/sell/transfer multipliers, max wallet / max tx limits.
+// A profile (see test/kit/profiles) names the target's functions, revert strings and fee
+// layout; describeTaxToken(profile) then defines the shared suite against it. Checks for
+// functions the profile sets to null are left pending. A profile's `findings` map tags the
+// checks with the audit findings they verify (see FINDING_KEYS).
+
+const REQUIRED_FUNCTIONS = ["startTrading", "removeLimits", "setFees", "setMaxWallet", "tradingOpen", "totalFee", "maxTx", "maxWallet"];
+const REQUIRED_ERRORS = ["notOwner", "tradingClosed", "txLimit", "walletLimit", "feeCap", "insufficientBalance"];
+const FINDING_KEYS = ["renounce", "tradingGate", "feeCap", "multipliers", "burn", "limits"];
+
+function validateProfile(profile) {
+  const problems = [];
+  if (typeof profile.deploy !== "function") problems.push("deploy() is missing");
+  for (const name of REQUIRED_FUNCTIONS) {
+    if (!profile.functions || !profile.functions[name]) problems.push(`functions.${name} is missing`);
+  }
+  for (const name of REQUIRED_ERRORS) {
+    if (!profile.errors || !profile.errors[name]) problems.push(`errors.${name} is missing`);
+  }
+  const fees = profile.fees || {};
+  if (!Array.isArray(fees.parameters) || !fees.defaults) problems.push("fees.parameters and fees.defaults are required");
+  else if (!fees.parameters.every((key) => key in fees.defaults)) problems.push("fees.defaults must name every entry of fees.parameters");
+  if (typeof fees.burned !== "function") problems.push("fees.burned(fee, fees) is missing");
+  for (const key of Object.keys(profile.findings || {})) {
+    if (!FINDING_KEYS.includes(key)) problems.push(`findings.${key} is not one of ${FINDING_KEYS.join(", ")}`);
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid tax token profile ${profile.name || "(unnamed)"}: ${problems.join("; ")}`);
+  }
+  return profile;
+}
+
+// Arguments for the fee setter in the profile's order, defaults overridden by `values`
+function feeArgs(profile, values = {}) {
+  const fees = { ...profile.fees.defaults, ...values };
+  return profile.fees.parameters.map((key) => fees[key]);
+}
+
+function feeTotal(profile, values = {}) {
+  const fees = { ...profile.fees.defaults, ...values };
+  return profile.fees.parameters.filter((key) => key !== "denominator").reduce((sum, key) => sum + fees[key], 0);
+}
+
+// Fee withheld from `amount` at `multiplier` (the profile's base when it has none)
+function expectedFee(profile, amount, { fees = {}, multiplier } = {}) {
+  const { denominator } = { ...profile.fees.defaults, ...fees };
+  const base = profile.fees.multipliers ? BigInt(profile.fees.multipliers.base) : 1n;
+  const applied = multiplier === undefined ? base : BigInt(multiplier);
+  return (amount * BigInt(feeTotal(profile, fees)) * applied) / (BigInt(denominator) * base);
+}
+
+// loadFixture needs the same function every time, so fixtures are kept per profile
+const fixtures = new Map();
+function fixtureFor(profile) {
+  if (!fixtures.has(profile)) {
+    fixtures.set(profile, { [profile.name]: () => profile.deploy() }[profile.name]);
+  }
+  return fixtures.get(profile);
+}
+
+function describeTaxToken(profile) {
+  validateProfile(profile);
+  const { functions: fn, errors, fees, limits } = profile;
+  const fixture = fixtureFor(profile);
+  const tokens = (amount) => ethers.parseUnits(amount, 18);
+  // `it`, tagged with the findings the profile gives for these FINDING_KEYS
+  const tagged = (...keys) => {
+    const ids = keys.map((key) => profile.findings && profile.findings[key]).filter(Boolean);
+    return ids.length > 0 ? verifies(...ids).it : it;
+  };
+  const itIf = (condition, ...keys) => (condition ? tagged(...keys) : it.skip);
+  const launch = (kind) => (fees.multipliers ? fees.multipliers.launch[kind] : undefined);
+
+  describe(`${profile.name} - Tax Token Kit`, function () {
+    let token;
+    let owner;
+    let holder;
+    let other;
+    let context;
+
+    beforeEach(async function () {
+      context = await loadFixture(fixture);
+      ({ token, owner } = context);
+      [holder, other] = context.holders;
+    });
+
+    const read = (name) => token[fn[name]]();
+    const send = (signer, name, ...args) => token.connect(signer)[fn[name]](...args);
+    // every fee parameter but the denominator at 0
+    const zeroed = () => Object.fromEntries(fees.parameters.filter((key) => key !== "denominator").map((key) => [key, 0]));
+
+    describe("Access control", function () {
+      it("Should reject every owner function from a non-owner", async function () {
+        const calls = [
+          ["startTrading"],
+          ["reduceFee"],
+          ["removeLimits"],
+          ["setFees", ...feeArgs(profile)],
+          ["setMultipliers", ...(fees.multipliers ? fees.multipliers.order.map(() => fees.multipliers.base) : [])],
+          ["setMaxWallet", limits.initialPerMille],
+          ["transferOwnership", holder.address],
+          ["renounceOwnership"]
+        ].filter(([name]) => fn[name]);
+
+        for (const [name, ...args] of calls) {
+          await expect(send(holder, name, ...args), name).to.be.revertedWith(errors.notOwner);
+        }
+      });
+
+      itIf(fn.transferOwnership)("Should hand the owner functions to the new owner", async function () {
+        await send(owner, "transferOwnership", holder.address);
+
+        expect(await token.owner()).to.equal(holder.address);
+        await expect(send(owner, "startTrading")).to.be.revertedWith(errors.notOwner);
+        await expect(send(holder, "startTrading")).to.not.be.reverted;
+      });
+
+      itIf(fn.transferOwnership && errors.zeroOwner)("Should refuse to transfer ownership to the zero address", async function () {
+        await expect(send(owner, "transferOwnership", ethers.ZeroAddress)).to.be.revertedWith(errors.zeroOwner);
+      });
+
+      itIf(fn.renounceOwnership, "renounce")("Should lock every owner function after renouncement", async function () {
+        await send(owner, "renounceOwnership");
+
+        expect(await token.owner()).to.equal(ethers.ZeroAddress);
+        await expect(send(owner, "startTrading")).to.be.revertedWith(errors.notOwner);
+        await expect(send(owner, "setFees", ...feeArgs(profile))).to.be.revertedWith(errors.notOwner);
+        await expect(send(owner, "removeLimits")).to.be.revertedWith(errors.notOwner);
+        // and there is no way back
+        if (fn.transferOwnership) {
+          await expect(send(owner, "transferOwnership", owner.address)).to.be.revertedWith(errors.notOwner);
+        }
+      });
+    });
+
+    describe("Trading gate", function () {
+      tagged("tradingGate")("Should block holders until trading starts while the owner can still transfer", async function () {
+        await token.connect(owner).transfer(holder.address, tokens("1000"));
+        expect(await read("tradingOpen")).to.equal(false);
+        expect(await token.balanceOf(holder.address)).to.equal(tokens("1000"));
+
+        await expect(token.connect(holder).transfer(other.address, tokens("100"))).to.be.revertedWith(errors.tradingClosed);
+
+        await send(owner, "startTrading");
+        expect(await read("tradingOpen")).to.equal(true);
+        await expect(token.connect(holder).transfer(other.address, tokens("100"))).to.not.be.reverted;
+      });
+    });
+
+    describe("Fees", function () {
+      beforeEach(async function () {
+        await send(owner, "startTrading");
+        await token.connect(owner).transfer(holder.address, tokens("10000"));
+      });
+
+      tagged("multipliers", "burn")("Should withhold the launch transfer fee and burn its share", async function () {
+        const amount = tokens("1000");
+        const fee = expectedFee(profile, amount, { multiplier: launch("transfer") });
+        const supplyBefore = await token.totalSupply();
+
+        await token.connect(holder).transfer(other.address, amount);
+
+        expect(await token.balanceOf(other.address)).to.equal(amount - fee);
+        expect(supplyBefore - (await token.totalSupply())).to.equal(fees.burned(fee, fees.defaults));
+      });
+
+      itIf(fn.reduceFee, "multipliers")("Should fall back to the base fee after reduceFee", async function () {
+        await send(owner, "reduceFee");
+        const amount = tokens("1000");
+
+        await token.connect(holder).transfer(other.address, amount);
+
+        expect(await token.balanceOf(other.address)).to.equal(amount - expectedFee(profile, amount));
+      });
+
+      itIf(fn.setMultipliers, "feeCap")("Should apply the transfer multiplier set by the owner", async function () {
+        const { order, base } = fees.multipliers;
+        const multipliers = { buy: base, sell: base, transfer: base * 3 };
+        await send(owner, "setMultipliers", ...order.map((kind) => multipliers[kind]));
+        const amount = tokens("1000");
+
+        await token.connect(holder).transfer(other.address, amount);
+
+        expect(await token.balanceOf(other.address)).to.equal(amount - expectedFee(profile, amount, { multiplier: base * 3 }));
+      });
+
+      tagged("feeCap")("Should cap the total fee", async function () {
+        const [first] = fees.parameters;
+
+        await send(owner, "setFees", ...feeArgs(profile, { ...zeroed(), [first]: fees.maxTotal }));
+        expect(await read("totalFee")).to.equal(fees.maxTotal);
+
+        await expect(send(owner, "setFees", ...feeArgs(profile, { ...zeroed(), [first]: fees.maxTotal + 1 }))).to.be.revertedWith(
+          errors.feeCap
+        );
+
+        await send(owner, "setFees", ...feeArgs(profile, zeroed()));
+        expect(await read("totalFee")).to.equal(0);
+      });
+
+      tagged("feeCap")("Should cap the sum of the fee parameters, not each one", async function () {
+        const keys = Object.keys(zeroed());
+        const each = Math.ceil((fees.maxTotal + 1) / keys.length);
+        const spread = Object.fromEntries(keys.map((key) => [key, each]));
+
+        await expect(send(owner, "setFees", ...feeArgs(profile, spread))).to.be.revertedWith(errors.feeCap);
+      });
+
+      const withDenominator = fees.parameters.includes("denominator");
+      itIf(withDenominator, "feeCap")("Should hold the cap against the denominator passed with the fees", async function () {
+        const [first] = fees.parameters;
+
+        await expect(send(owner, "setFees", ...feeArgs(profile, { ...zeroed(), [first]: 1, denominator: 1 }))).to.be.revertedWith(
+          errors.feeCap
+        );
+      });
+
+      tagged("feeCap")("Should charge the fee set by the owner", async function () {
+        // kept low: at MOG's 10x launch transfer multiplier a 10% fee would exceed the amount
+        const custom = { [fees.parameters[0]]: 3 };
+        await send(owner, "setFees", ...feeArgs(profile, custom));
+        expect(await read("totalFee")).to.equal(feeTotal(profile, custom));
+        const amount = tokens("1000");
+
+        await token.connect(holder).transfer(other.address, amount);
+
+        const fee = expectedFee(profile, amount, { fees: custom, multiplier: launch("transfer") });
+        expect(await token.balanceOf(other.address)).to.equal(amount - fee);
+      });
+
+      it("Should not tax the owner", async function () {
+        await token.connect(owner).transfer(other.address, tokens("1000"));
+
+        expect(await token.balanceOf(other.address)).to.equal(tokens("1000"));
+      });
+
+      it("Should reject transfers above the balance", async function () {
+        await expect(token.connect(other).transfer(holder.address, 1n)).to.be.revertedWith(errors.insufficientBalance);
+      });
+    });
+
+    describe("Limits", function () {
+      tagged("limits")("Should start both limits at the configured share of supply", async function () {
+        const expected = ((await token.totalSupply()) * BigInt(limits.initialPerMille)) / 1000n;
+
+        expect(await read("maxTx")).to.equal(expected);
+        expect(await read("maxWallet")).to.equal(expected);
+      });
+
+      tagged("limits")("Should enforce the wallet limit on receivers", async function () {
+        await send(owner, "startTrading");
+        const maxWallet = await read("maxWallet");
+        await token.connect(owner).transfer(holder.address, maxWallet * 2n);
+
+        await expect(token.connect(holder).transfer(other.address, maxWallet + 1n)).to.be.revertedWith(errors.walletLimit);
+      });
+
+      tagged("limits")("Should enforce the transaction limit on senders", async function () {
+        await send(owner, "startTrading");
+        const maxTx = await read("maxTx");
+        await token.connect(owner).transfer(holder.address, maxTx * 2n);
+
+        // the token itself is exempt from the wallet limit, so only the tx limit applies
+        await expect(token.connect(holder).transfer(await token.getAddress(), maxTx + 1n)).to.be.revertedWith(errors.txLimit);
+      });
+
+      tagged("limits")("Should exempt the owner from both limits", async function () {
+        const amount = (await read("maxTx")) + (await read("maxWallet"));
+
+        await token.connect(owner).transfer(holder.address, amount);
+
+        expect(await token.balanceOf(holder.address)).to.equal(amount);
+      });
+
+      tagged("limits")("Should let the owner move the wallet limit", async function () {
+        await send(owner, "setMaxWallet", 50);
+
+        expect(await read("maxWallet")).to.equal(((await token.totalSupply()) * 50n) / 1000n);
+      });
+
+      it("Should refuse a zero wallet limit", async function () {
+        await expect(send(owner, "setMaxWallet", 0)).to.be.reverted;
+      });
+
+      tagged("limits")("Should lift both limits with removeLimits", async function () {
+        await send(owner, "removeLimits");
+        const totalSupply = await token.totalSupply();
+
+        expect(await read("maxTx")).to.equal(totalSupply);
+        expect(await read("maxWallet")).to.equal(totalSupply);
+      });
+    });
+
+    describe("Through the DEX pair", function () {
+      beforeEach(async function () {
+        if (!context.dex) this.skip();
+        await send(owner, "startTrading");
+      });
+
+      tagged("multipliers")("Should charge the launch buy multiplier on buys", async function () {
+        const ethIn = ethers.parseEther("1");
+        const gross = await context.dex.quoteBuy(ethIn);
+
+        await context.dex.buy(holder, ethIn);
+
+        expect(await token.balanceOf(holder.address)).to.equal(gross - expectedFee(profile, gross, { multiplier: launch("buy") }));
+      });
+
+      tagged("multipliers")("Should charge the launch sell multiplier on sells", async function () {
+        const amount = tokens("1000000000");
+        await token.connect(owner).transfer(holder.address, amount);
+        const pairBefore = await token.balanceOf(await context.pair.getAddress());
+
+        await context.dex.sell(holder, amount);
+
+        const fee = expectedFee(profile, amount, { multiplier: launch("sell") });
+        expect((await token.balanceOf(await context.pair.getAddress())) - pairBefore).to.equal(amount - fee);
+      });
+
+      itIf(fn.reduceFee, "multipliers")("Should charge the base fee on buys and sells after reduceFee", async function () {
+        await send(owner, "reduceFee");
+        const ethIn = ethers.parseEther("1");
+        const gross = await context.dex.quoteBuy(ethIn);
+
+        await context.dex.buy(holder, ethIn);
+        const bought = await token.balanceOf(holder.address);
+        expect(bought).to.equal(gross - expectedFee(profile, gross));
+
+        const ethOut = await context.dex.quoteSell(bought - expectedFee(profile, bought));
+        await expect(context.dex.sell(holder, bought)).to.changeEtherBalance(holder, ethOut);
+      });
+    });
+  });
+}
+
+module.exports = {
+  validateProfile,
+  feeArgs,
+  feeTotal,
+  expectedFee,
+  describeTaxToken
+};
@@ -0,0 +1,46 @@
+const { ethers } = require("hardhat");
+
+// MockMOG: same setter names and error strings as MOG, but a flat fee out of 100 with
+// half of it burned, no multipliers, no reduceFee and no DEX. The audit findings are
+// about MOG, so this profile tags none of them.
+module.exports = {
+  name: "MockMOG",
+  async deploy() {
+    const [owner, addr1, addr2, addr3] = await ethers.getSigners();
+    const token = await (await ethers.getContractFactory("MockMOG")).deploy();
+    return { token, owner, holders: [addr1, addr2, addr3], dex: null, pair: null };
+  },
+  functions: {
+    startTrading: "startTrading",
+    reduceFee: null,
+    removeLimits: "removeLimits",
+    setFees: "setParameters",
+    setMultipliers: null,
+    setMaxWallet: "maxWalletRule",
+    renounceOwnership: "renounceOwnership",
+    transferOwnership: "transferOwnership",
+    tradingOpen: "TradingOpen",
+    totalFee: "totalFee",
+    maxTx: "_maxTxAmount",
+    maxWallet: "_maxWalletToken"
+  },
+  errors: {
+    notOwner: "Ownable: caller is not the owner",
+    zeroOwner: "Ownable: new owner is the zero address",
+    tradingClosed: "Trading not open yet",
+    txLimit: "TX Limit Exceeded",
+    walletLimit: "Total Holding is currently limited, you can not buy that much.",
+    feeCap: "Fees can not be more than 50%",
+    insufficientBalance: "Insufficient Balance"
+  },
+  fees: {
+    parameters: ["liquidity", "buyback", "marketing", "dev", "burn", "denominator"],
+    defaults: { liquidity: 2, buyback: 0, marketing: 0, dev: 0, burn: 2, denominator: 100 },
+    maxTotal: 49,
+    multipliers: null,
+    burned: (fee) => fee / 2n
+  },
+  limits: {
+    initialPerMille: 10
+  }
+};
@@ -0,0 +1,65 @@
+const { deployMOGWithLiquidityFixture } = require("../../../scripts/lib/fixtures");
+
+// MOG itself: six-way fee split with a burn share, buy/sell/transfer multipliers that
+// startTrading() raises and reduceFee() resets, and a V2 pair to trade through.
+module.exports = {
+  name: "MOG",
+  async deploy() {
+    const { mogToken, owner, addr1, addr2, addr3, dex, pair } = await deployMOGWithLiquidityFixture();
+    return { token: mogToken, owner, holders: [addr1, addr2, addr3], dex, pair };
+  },
+  functions: {
+    startTrading: "startTrading",
+    reduceFee: "reduceFee",
+    removeLimits: "removeLimits",
+    setFees: "setParameters",
+    setMultipliers: "setStructure",
+    setMaxWallet: "maxWalletRule",
+    renounceOwnership: "renounceOwnership",
+    transferOwnership: "transferOwnership",
+    tradingOpen: "TradingOpen",
+    totalFee: "totalFee",
+    maxTx: "_maxTxAmount",
+    maxWallet: "_maxWalletToken"
+  },
+  errors: {
+    notOwner: "Ownable: caller is not the owner",
+    zeroOwner: "Ownable: new owner is the zero address",
+    tradingClosed: "Trading not open yet",
+    txLimit: "TX Limit Exceeded",
+    walletLimit: "Total Holding is currently limited, you can not buy that much.",
+    feeCap: "Fees can not be more than 50%",
+    insufficientBalance: "Insufficient Balance"
+  },
+  fees: {
+    // setParameters argument order
+    parameters: ["liquidity", "buyback", "marketing", "dev", "burn", "denominator"],
+    defaults: { liquidity: 2, buyback: 0, marketing: 0, dev: 0, burn: 2, denominator: 100 },
+    // totalFee must stay below denominator / 2
+    maxTotal: 49,
+    // fee = amount * totalFee * multiplier / (denominator * base)
+    multipliers: {
+      order: ["buy", "sell", "transfer"],
+      base: 100,
+      launch: { buy: 1400, sell: 800, transfer: 1000 }
+    },
+    // the burn share of the fee leaves totalSupply
+    burned(fee, fees) {
+      const total = fees.liquidity + fees.buyback + fees.marketing + fees.dev + fees.burn;
+      return (fee * BigInt(fees.burn)) / BigInt(total);
+    }
+  },
+  limits: {
+    // both limits start at 1% of supply; setMaxWallet takes per mille
+    initialPerMille: 10
+  },
+  // the audit findings (test/helpers/findings.js) the shared checks verify for MOG
+  findings: {
+    renounce: "MOG-01",
+    multipliers: "MOG-02",
+    feeCap: "MOG-03",
+    tradingGate: "MOG-04",
+    limits: "MOG-05",
+    burn: "MOG-06"
+  }
+};
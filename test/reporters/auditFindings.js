@@ -0,0 +1,34 @@
+const Spec = require("mocha/lib/reporters/spec");
+const { constants } = require("mocha/lib/runner");
+const { buildReport, writeReport, REPORT_DIR } = require("../helpers/auditReport");
+const { findingsOf } = require("../helpers/findings");
+
+// Mocha reporter for `npm run test:audit:report`: prints the usual spec output, then
+// writes reports/audit-findings.json and .md (or to AUDIT_REPORT_DIR). Untagged tests
+// are ignored, so it can also run over the whole suite.
+
+class AuditFindingsReporter extends Spec {
+  constructor(runner, options) {
+    super(runner, options);
+    const results = [];
+
+    const record = (runnable, state, error) => {
+      // a failing hook is reported with the hook itself; charge it to the test it ran for
+      const test = runnable.type === "hook" && runnable.ctx.currentTest ? runnable.ctx.currentTest : runnable;
+      for (const finding of findingsOf(test)) {
+        results.push({ finding, test: test.title, state, error, evidence: test.evidence });
+      }
+    };
+
+    runner.on(constants.EVENT_TEST_PASS, (test) => record(test, "passed"));
+    runner.on(constants.EVENT_TEST_FAIL, (test, error) => record(test, "failed", error));
+    runner.on(constants.EVENT_TEST_PENDING, (test) => record(test, "pending"));
+
+    runner.once(constants.EVENT_RUN_END, () => {
+      const { json, markdown } = writeReport(buildReport(results), process.env.AUDIT_REPORT_DIR || REPORT_DIR);
+      console.log(`Audit findings report written to ${json} and ${markdown}`);
+    });
+  }
+}
+
+module.exports = AuditFindingsReporter;